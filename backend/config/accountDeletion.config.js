@@ -0,0 +1,14 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Deleted accounts stay restorable through the emailed cancel link for the
+// grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30), then the purge job
+// removes them for good. The purge runs every ACCOUNT_PURGE_INTERVAL_MS.
+export const accountDeletionConfig = {
+  gracePeriod: (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * DAY,
+  purgeInterval:
+    Number(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+};
@@ -0,0 +1,24 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Cookie-authenticated requests that change state must send the token from
+// GET /api/auth/csrf-token back in the X-CSRF-Token header. Exempt are:
+//   - requests with "Authorization: Bearer" (API keys, access tokens), which
+//     browsers never attach on their own. CSRF_EXEMPT_BEARER=false turns
+//     this off.
+//   - exemptPaths: endpoints other servers call, which don't use our cookies.
+//     CSRF_EXEMPT_PATHS adds comma-separated paths (subpaths included).
+export const csrfConfig = {
+  cookieName: "csrfToken",
+  headerName: "X-CSRF-Token",
+  exemptBearer: process.env.CSRF_EXEMPT_BEARER !== "false",
+  exemptPaths: [
+    "/api/oidc/token",
+    "/api/oidc/userinfo",
+    ...(process.env.CSRF_EXEMPT_PATHS ?? "")
+      .split(",")
+      .map((path) => path.trim())
+      .filter(Boolean),
+  ],
+};
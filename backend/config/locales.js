@@ -0,0 +1,19 @@
+// Languages emails can be sent in. Adding one only needs a string table in
+// `email/locales/` and an entry here.
+export const SUPPORTED_LOCALES = ["en", "es"];
+
+export const DEFAULT_LOCALE = "en";
+
+// Picks a supported locale from an explicit choice or an Accept-Language
+// header ("es-MX,es;q=0.9,en;q=0.8"), falling back to the default.
+export const resolveLocale = (...candidates) => {
+  const languages = candidates
+    .filter(Boolean)
+    .flatMap((candidate) => String(candidate).split(","))
+    .map((entry) => entry.split(";")[0].trim().toLowerCase().split("-")[0]);
+
+  return (
+    languages.find((language) => SUPPORTED_LOCALES.includes(language)) ||
+    DEFAULT_LOCALE
+  );
+};
@@ -0,0 +1,63 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Social login providers. A provider is enabled once its client id is set.
+// Every endpoint can be overridden from the environment so the flow can be
+// pointed at a local mock OIDC provider, e.g.:
+//   OAUTH_GOOGLE_CLIENT_ID=test OAUTH_GOOGLE_CLIENT_SECRET=secret
+//   OAUTH_GOOGLE_ISSUER=http://localhost:8080
+//
+// Per provider (replace GOOGLE with GITHUB / OIDC):
+//   OAUTH_GOOGLE_CLIENT_ID, OAUTH_GOOGLE_CLIENT_SECRET, OAUTH_GOOGLE_ISSUER,
+//   OAUTH_GOOGLE_AUTHORIZATION_URL, OAUTH_GOOGLE_TOKEN_URL,
+//   OAUTH_GOOGLE_USERINFO_URL, OAUTH_GOOGLE_JWKS_URL, OAUTH_GOOGLE_SCOPES
+//
+// `oidc` providers use discovery (`<issuer>/.well-known/openid-configuration`)
+// for any endpoint not set explicitly and validate the ID token. `oauth2`
+// providers (GitHub) have no ID token and are read through their user API.
+const defaults = {
+  google: {
+    label: "Google",
+    type: "oidc",
+    issuer: "https://accounts.google.com",
+    scopes: "openid email profile",
+  },
+  github: {
+    label: "GitHub",
+    type: "oauth2",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    userinfoUrl: "https://api.github.com/user",
+    emailsUrl: "https://api.github.com/user/emails",
+    scopes: "read:user user:email",
+  },
+  // Any other standards-compliant provider (Keycloak, Auth0, a mock server...)
+  oidc: {
+    label: process.env.OAUTH_OIDC_LABEL || "SSO",
+    type: "oidc",
+    scopes: "openid email profile",
+  },
+};
+
+const env = (name, field) => process.env[`OAUTH_${name.toUpperCase()}_${field}`];
+
+const buildProvider = (name, provider) => ({
+  ...provider,
+  name,
+  clientId: env(name, "CLIENT_ID"),
+  clientSecret: env(name, "CLIENT_SECRET"),
+  issuer: env(name, "ISSUER") || provider.issuer,
+  authorizationUrl: env(name, "AUTHORIZATION_URL") || provider.authorizationUrl,
+  tokenUrl: env(name, "TOKEN_URL") || provider.tokenUrl,
+  userinfoUrl: env(name, "USERINFO_URL") || provider.userinfoUrl,
+  jwksUrl: env(name, "JWKS_URL") || provider.jwksUrl,
+  emailsUrl: env(name, "EMAILS_URL") || provider.emailsUrl,
+  scopes: env(name, "SCOPES") || provider.scopes,
+});
+
+export const oauthProviders = Object.fromEntries(
+  Object.entries(defaults)
+    .map(([name, provider]) => [name, buildProvider(name, provider)])
+    .filter(([, provider]) => provider.clientId)
+);
@@ -0,0 +1,19 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// This service as the OpenID Connect provider of our other apps. Clients are
+// registered with `npm run oauth-client`.
+//   OIDC_ISSUER                public URL of this API, where
+//                              /.well-known/openid-configuration is served
+//   OIDC_ACCESS_TOKEN_TTL      lifetime of access and ID tokens in seconds
+//                              (default 3600)
+// Tokens are signed with the keys in signingKeys.config.js.
+export const oidcConfig = {
+  issuer: (
+    process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/$/, ""),
+  scopes: ["openid", "profile", "email"],
+  tokenTtl: Number(process.env.OIDC_ACCESS_TOKEN_TTL) || 60 * 60,
+  codeTtl: 60, // Seconds an authorization code can be exchanged
+};
@@ -0,0 +1,26 @@
+// Roles inside an organization, separate from the app-wide roles in roles.js.
+// Organization routes check these permissions (via `authorizeOrg`), never role
+// names.
+export const ORG_PERMISSIONS = {
+  READ: "org:read",
+  UPDATE: "org:update",
+  MEMBERS_INVITE: "org:members:invite",
+  MEMBERS_MANAGE: "org:members:manage",
+  // Granting, changing or removing the owner role
+  OWNERS_MANAGE: "org:owners:manage",
+};
+
+export const ORG_ROLES = {
+  owner: Object.values(ORG_PERMISSIONS),
+  admin: [
+    ORG_PERMISSIONS.READ,
+    ORG_PERMISSIONS.UPDATE,
+    ORG_PERMISSIONS.MEMBERS_INVITE,
+    ORG_PERMISSIONS.MEMBERS_MANAGE,
+  ],
+  member: [ORG_PERMISSIONS.READ],
+};
+
+export const DEFAULT_ORG_ROLE = "member";
+
+export const permissionsForOrgRole = (role) => ORG_ROLES[role] || [];
@@ -0,0 +1,26 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// How new password hashes are made. Stored hashes record the algorithm and
+// parameters they were made with, and are upgraded on the next successful
+// login once these settings change:
+//   PASSWORD_HASH_ALGORITHM   bcrypt (default) or scrypt
+//   PASSWORD_BCRYPT_COST      bcrypt work factor (default 10)
+//   PASSWORD_SCRYPT_LOG_N     scrypt CPU/memory cost as a power of 2 (default 15)
+//   PASSWORD_SCRYPT_R / _P    scrypt block size (8) and parallelism (1)
+//   PASSWORD_PEPPER           optional server-side secret mixed into every
+//                             hash. Changing or removing it breaks the
+//                             passwords hashed with it.
+export const passwordHashingConfig = {
+  algorithm: process.env.PASSWORD_HASH_ALGORITHM || "bcrypt",
+  bcrypt: {
+    cost: Number(process.env.PASSWORD_BCRYPT_COST) || 10,
+  },
+  scrypt: {
+    logN: Number(process.env.PASSWORD_SCRYPT_LOG_N) || 15,
+    r: Number(process.env.PASSWORD_SCRYPT_R) || 8,
+    p: Number(process.env.PASSWORD_SCRYPT_P) || 1,
+  },
+  pepper: process.env.PASSWORD_PEPPER || "",
+};
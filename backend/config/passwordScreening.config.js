@@ -0,0 +1,27 @@
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+// Breached-password check for new passwords (PASSWORD_BREACH_CHECK):
+//   off   - disabled (default)
+//   hibp  - k-anonymity range API of Have I Been Pwned, or a compatible
+//           mirror at PASSWORD_BREACH_API_URL
+//   local - the same range lookups against a file of "SHA1:COUNT" lines
+//           (PASSWORD_BREACH_FILE), for offline development and tests. The
+//           bundled sample lists Tr0ub4dor&3, Zebra8Mango, Correct-Horse-42
+//           and Xylophone-jane-92.
+// When the API can't be reached the check is skipped rather than blocking
+// signups.
+export const passwordScreeningConfig = {
+  breachCheck: process.env.PASSWORD_BREACH_CHECK || "off",
+  breachApiUrl:
+    process.env.PASSWORD_BREACH_API_URL ||
+    "https://api.pwnedpasswords.com/range",
+  breachFile:
+    process.env.PASSWORD_BREACH_FILE ||
+    fileURLToPath(
+      new URL("../data/breached-passwords.sample.txt", import.meta.url)
+    ),
+  breachTimeout: Number(process.env.PASSWORD_BREACH_TIMEOUT_MS) || 3000,
+};
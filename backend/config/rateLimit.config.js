@@ -0,0 +1,53 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Per-route rate limit windows (requests per IP). Each entry can be overridden
+// from the environment, e.g. RATE_LIMIT_LOGIN_MAX=20 or
+// RATE_LIMIT_VERIFY_EMAIL_WINDOW_MS=600000.
+const MINUTE = 60 * 1000;
+
+const defaults = {
+  signup: { windowMs: 60 * MINUTE, max: 10 },
+  login: { windowMs: 15 * MINUTE, max: 10 },
+  passkeyLogin: { windowMs: 15 * MINUTE, max: 20 },
+  twoFactor: { windowMs: 15 * MINUTE, max: 10 },
+  verifyEmail: { windowMs: 15 * MINUTE, max: 10 },
+  resendVerification: { windowMs: 60 * MINUTE, max: 5 },
+  forgotPassword: { windowMs: 60 * MINUTE, max: 5 },
+  magicLink: { windowMs: 60 * MINUTE, max: 5 },
+  resetPassword: { windowMs: 15 * MINUTE, max: 10 },
+  refresh: { windowMs: 15 * MINUTE, max: 60 },
+  unlockAccount: { windowMs: 15 * MINUTE, max: 10 },
+  changePassword: { windowMs: 15 * MINUTE, max: 10 },
+  changeEmail: { windowMs: 60 * MINUTE, max: 5 },
+  confirmEmail: { windowMs: 15 * MINUTE, max: 10 },
+  deleteAccount: { windowMs: 15 * MINUTE, max: 5 },
+  cancelDeletion: { windowMs: 15 * MINUTE, max: 10 },
+  exportData: { windowMs: 60 * MINUTE, max: 5 },
+  reportDevice: { windowMs: 15 * MINUTE, max: 10 },
+  createOrganization: { windowMs: 60 * MINUTE, max: 10 },
+  inviteMember: { windowMs: 60 * MINUTE, max: 20 },
+  acceptInvitation: { windowMs: 15 * MINUTE, max: 10 },
+  createApiKey: { windowMs: 60 * MINUTE, max: 10 },
+  oidcAuthorize: { windowMs: 15 * MINUTE, max: 30 },
+  oidcToken: { windowMs: 15 * MINUTE, max: 300 }, // Client backends share an IP
+  oauth: { windowMs: 15 * MINUTE, max: 30 },
+};
+
+const envName = (name) => name.replace(/([A-Z])/g, "_$1").toUpperCase();
+
+const fromEnv = (name, field, fallback) => {
+  const value = Number(process.env[`RATE_LIMIT_${envName(name)}_${field}`]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+export const rateLimits = Object.fromEntries(
+  Object.entries(defaults).map(([name, { windowMs, max }]) => [
+    name,
+    {
+      windowMs: fromEnv(name, "WINDOW_MS", windowMs),
+      max: fromEnv(name, "MAX", max),
+    },
+  ])
+);
@@ -0,0 +1,26 @@
+// Role -> permission mapping. Routes check permissions (via `authorize`), never
+// role names, so new roles only need an entry here.
+export const PERMISSIONS = {
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  EMAILS_READ: "emails:read",
+  EMAILS_MANAGE: "emails:manage",
+  AUDIT_READ: "audit:read",
+};
+
+export const ROLES = {
+  user: [],
+  admin: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.EMAILS_READ,
+    PERMISSIONS.EMAILS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+  ],
+};
+
+export const DEFAULT_ROLE = "user";
+
+export const permissionsForRoles = (roles = []) => [
+  ...new Set(roles.flatMap((role) => ROLES[role] || [])),
+];
@@ -0,0 +1,39 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const SIGNING_ALGORITHMS = ["RS256", "ES256"];
+
+// Keypairs that sign session access tokens and the tokens issued to OpenID
+// Connect clients. Their public halves are served at /.well-known/jwks.json.
+// Rotate by hand with `npm run rotate-signing-key`.
+//   JWT_SIGNING_ALGORITHM   RS256 (default) or ES256. Changing it rotates to
+//                           a key of the new kind.
+//   JWT_KEY_ROTATION_DAYS   age at which the signing key is replaced
+//                           (default 90)
+//   JWT_KEY_GRACE_DAYS      how long a replaced key is still accepted and
+//                           published (default 7). Must outlast the
+//                           longest-lived token signed with it.
+//   JWT_HS256_ACCEPTED_UNTIL
+//                           date and time (ISO 8601) until which access
+//                           tokens signed with JWT_SECRET, as issued before
+//                           the switch, are still accepted. Off by default:
+//                           those tokens are then refused as invalid and the
+//                           client refreshes its session. They live 15
+//                           minutes, so deploy time + 15 minutes is enough.
+const hs256AcceptedUntil = process.env.JWT_HS256_ACCEPTED_UNTIL
+  ? new Date(process.env.JWT_HS256_ACCEPTED_UNTIL)
+  : null;
+
+if (hs256AcceptedUntil && Number.isNaN(hs256AcceptedUntil.getTime())) {
+  throw new Error(
+    `Invalid JWT_HS256_ACCEPTED_UNTIL "${process.env.JWT_HS256_ACCEPTED_UNTIL}", use an ISO 8601 date`
+  );
+}
+
+export const signingKeysConfig = {
+  algorithm: process.env.JWT_SIGNING_ALGORITHM || "RS256",
+  rotationDays: Number(process.env.JWT_KEY_ROTATION_DAYS) || 90,
+  graceDays: Number(process.env.JWT_KEY_GRACE_DAYS) || 7,
+  hs256AcceptedUntil,
+};
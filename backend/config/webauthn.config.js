@@ -0,0 +1,15 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// The relying party is the site passkeys are bound to. The RP ID must be the
+// frontend's domain (or a parent of it) and the origin its exact URL.
+const frontendUrl = new URL(
+  process.env.FRONTEND_URL || process.env.CLIENT_URL || "http://localhost:5173"
+);
+
+export const webauthnConfig = {
+  rpName: process.env.WEBAUTHN_RP_NAME || process.env.APP_NAME || "Advance MERN Auth App",
+  rpID: process.env.WEBAUTHN_RP_ID || frontendUrl.hostname,
+  origin: process.env.WEBAUTHN_ORIGIN || frontendUrl.origin,
+};
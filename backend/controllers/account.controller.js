@@ -0,0 +1,397 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { KnownDevice } from "../models/knownDevice.model.js";
+import { Membership } from "../models/membership.model.js";
+import { ApiKey } from "../models/apiKey.model.js";
+import { OAuthConsent } from "../models/oauthConsent.model.js";
+import { OAuthClient } from "../models/oauthClient.model.js";
+import { AuthEvent, AUTH_EVENTS } from "../models/authEvent.model.js";
+import {
+  sendPasswordChangedEmail,
+  sendEmailChangeEmail,
+  sendEmailChangedEmail,
+  sendAccountDeletionEmail,
+} from "../email/email.js";
+import { hashToken } from "../utils/hashToken.js";
+import { revokeSessions } from "../utils/sessions.js";
+import { revokeApiKeys } from "../utils/apiKeys.js";
+import { screenPassword } from "../utils/passwordScreening.js";
+import { hashPassword, verifyPassword } from "../utils/passwordHashing.js";
+import { clearAuthCookies } from "../utils/generateTokenAndCookies.js";
+import { accountDeletionConfig } from "../config/accountDeletion.config.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuthEvent, auditedHandler } from "../utils/authEvents.js";
+import {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const EMAIL_CHANGE_TTL = 60 * 60 * 1000; // 1 hour
+
+const invalidLinkError = () =>
+  new ValidationError("Invalid or expired link", {
+    code: ERROR_CODES.INVALID_OR_EXPIRED_LINK,
+  });
+
+const userNotFoundError = () =>
+  new NotFoundError("User not found", { code: ERROR_CODES.USER_NOT_FOUND });
+
+const userExistsError = () =>
+  new ConflictError("An account with this email already exists", {
+    code: ERROR_CODES.USER_EXISTS,
+  });
+
+const fieldError = (field, message) =>
+  new ValidationError(message, { errors: { [field]: message } });
+
+// Re-checks the password of a signed-in user before a sensitive change, so a
+// hijacked session alone is not enough
+const checkCurrentPassword = async (user, password, field) => {
+  if (!user.password) {
+    throw fieldError(
+      field,
+      'Your account has no password yet, use "Forgot password" to set one'
+    );
+  }
+  if (!password || !(await verifyPassword(password, user.password))) {
+    throw fieldError(field, "Current password is incorrect");
+  }
+};
+
+// ====================== Update Profile Controller ======================
+export const updateProfile = asyncHandler(async (req, res) => {
+  const { name, locale } = req.body;
+
+  const user = await User.findByIdAndUpdate(
+    req.userId,
+    { name, locale },
+    { new: true, runValidators: true }
+  );
+  if (!user) {
+    throw userNotFoundError();
+  }
+
+  res.status(200).json({ message: "Profile updated", user });
+});
+
+// ====================== Change Password Controller ======================
+export const changePassword = auditedHandler(
+  AUTH_EVENTS.PASSWORD_CHANGE,
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw userNotFoundError();
+    }
+
+    await checkCurrentPassword(user, currentPassword, "currentPassword");
+    if (await verifyPassword(newPassword, user.password)) {
+      throw fieldError(
+        "newPassword",
+        "New password must be different from the current one"
+      );
+    }
+    await screenPassword(newPassword, [user.email, user.name], "newPassword");
+
+    user.password = await hashPassword(newPassword);
+    // A reset link sent before the change must not be able to undo it
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpireAt = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+    await recordAuthEvent(req, { type: AUTH_EVENTS.PASSWORD_CHANGE, user });
+
+    // Whoever knew the old password may still be signed in elsewhere
+    const revokedSessions = await revokeSessions({
+      user: user._id,
+      jti: { $ne: req.sessionId },
+    });
+
+    // The password has already changed, so don't report a failure
+    await sendPasswordChangedEmail(user.email, new Date(), user.locale).catch(
+      () => {}
+    );
+
+    res.status(200).json({ message: "Password changed", revokedSessions });
+  }
+);
+
+// ====================== Request Email Change Controller ======================
+export const requestEmailChange = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw userNotFoundError();
+  }
+
+  // Social-only accounts have no password; their session is the proof
+  if (user.password) {
+    await checkCurrentPassword(user, password, "password");
+  }
+  if (email === user.email) {
+    throw fieldError("email", "This is already your email address");
+  }
+  if (await User.exists({ email })) {
+    throw userExistsError();
+  }
+
+  // The new address only replaces the current one once it is confirmed
+  const token = crypto.randomBytes(20).toString("hex");
+  user.pendingEmail = email;
+  user.emailChangeToken = hashToken(token);
+  user.emailChangeExpireAt = Date.now() + EMAIL_CHANGE_TTL;
+  await user.save();
+
+  const confirmLink = `${process.env.FRONTEND_URL}/confirm-email/${token}`;
+  await sendEmailChangeEmail(email, confirmLink, user.locale);
+
+  res.status(200).json({
+    message: `Confirmation email sent to ${email}`,
+    user,
+  });
+});
+
+// ====================== Confirm Email Change Controller ======================
+export const confirmEmailChange = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  // Clearing the token in the same query makes the link single-use
+  const user = await User.findOneAndUpdate(
+    {
+      emailChangeToken: hashToken(token),
+      emailChangeExpireAt: { $gt: Date.now() },
+    },
+    { $unset: { emailChangeToken: 1, emailChangeExpireAt: 1 } },
+    { new: true }
+  );
+  if (!user || !user.pendingEmail) {
+    throw invalidLinkError();
+  }
+  if (user.isDisabled) {
+    throw new ForbiddenError("Account is disabled", {
+      code: ERROR_CODES.ACCOUNT_DISABLED,
+    });
+  }
+
+  // Someone may have signed up with the address since the request
+  const newEmail = user.pendingEmail;
+  if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+    throw userExistsError();
+  }
+
+  const previousEmail = user.email;
+  user.email = newEmail;
+  user.pendingEmail = undefined;
+  // Opening the link proves the user owns the new address
+  user.isVerified = true;
+  await user.save();
+  await recordAuthEvent(req, { type: AUTH_EVENTS.EMAIL_CHANGE, user });
+
+  await sendEmailChangedEmail(
+    previousEmail,
+    newEmail,
+    new Date(),
+    user.locale
+  ).catch(() => {});
+
+  res.status(200).json({ message: "Email address updated", user });
+});
+
+// ====================== Delete Account Controller ======================
+// Soft delete: the account is signed out everywhere and can no longer sign in,
+// but stays restorable until the purge job removes it after the grace period.
+export const deleteAccount = auditedHandler(
+  AUTH_EVENTS.ACCOUNT_DELETION_REQUEST,
+  async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw userNotFoundError();
+    }
+
+    // Social-only accounts have no password; their session is the proof
+    if (user.password) {
+      await checkCurrentPassword(user, password, "password");
+    }
+
+    const token = crypto.randomBytes(20).toString("hex");
+    const deletionScheduledFor = new Date(
+      Date.now() + accountDeletionConfig.gracePeriod
+    );
+
+    // Queue the cancel link before anything changes: without it the user would
+    // have no way to undo the deletion
+    const cancelLink = `${process.env.FRONTEND_URL}/cancel-deletion/${token}`;
+    await sendAccountDeletionEmail(
+      user.email,
+      cancelLink,
+      deletionScheduledFor,
+      user.locale
+    );
+
+    user.deletionRequestedAt = Date.now();
+    user.deletionScheduledFor = deletionScheduledFor;
+    user.deletionCancelToken = hashToken(token);
+    await user.save();
+    await recordAuthEvent(req, {
+      type: AUTH_EVENTS.ACCOUNT_DELETION_REQUEST,
+      user,
+    });
+
+    // Sign out everywhere, this browser included
+    await revokeSessions({ user: user._id });
+    await revokeApiKeys({ user: user._id });
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      message:
+        "Your account is scheduled for deletion. Use the link we emailed you to cancel.",
+      deletionScheduledFor,
+    });
+  }
+);
+
+// ====================== Cancel Account Deletion Controller ======================
+export const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.findOneAndUpdate(
+    {
+      deletionCancelToken: hashToken(token),
+      deletionScheduledFor: { $gt: Date.now() },
+    },
+    {
+      $unset: {
+        deletionRequestedAt: 1,
+        deletionScheduledFor: 1,
+        deletionCancelToken: 1,
+      },
+    }
+  );
+  if (!user) {
+    throw invalidLinkError();
+  }
+  await recordAuthEvent(req, {
+    type: AUTH_EVENTS.ACCOUNT_DELETION_CANCEL,
+    user,
+  });
+
+  res.status(200).json({
+    message: "Account deletion cancelled, you can log in again",
+  });
+});
+
+// ====================== Export Account Data Controller ======================
+// Everything we store about the user, minus secrets (password hash, TOTP
+// secret, passkey public keys, one-time tokens), as a downloadable JSON file.
+export const exportAccountData = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw userNotFoundError();
+  }
+  const [sessions, knownDevices, events, memberships, apiKeys, consents] =
+    await Promise.all([
+      Session.find({ user: user._id }).sort({ createdAt: -1 }),
+      KnownDevice.find({ user: user._id }).sort({ lastSeenAt: -1 }),
+      AuthEvent.find({ user: user._id }).sort({ _id: -1 }),
+      Membership.find({ user: user._id })
+        .sort({ createdAt: 1 })
+        .populate("organization", "name"),
+      ApiKey.find({ user: user._id }).sort({ createdAt: -1 }),
+      OAuthConsent.find({ user: user._id }).sort({ createdAt: 1 }),
+    ]);
+  const clients = await OAuthClient.find({
+    clientId: { $in: consents.map((consent) => consent.clientId) },
+  });
+
+  const exportedAt = new Date();
+  const archive = {
+    exportedAt,
+    profile: {
+      id: user._id,
+      email: user.email,
+      pendingEmail: user.pendingEmail,
+      name: user.name,
+      locale: user.locale,
+      roles: user.roles,
+      isVerified: user.isVerified,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+      lastLogin: user.lastlogin,
+    },
+    linkedAccounts: user.identities.map((identity) => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt,
+    })),
+    security: {
+      twoFactorEnabled: user.twoFactorEnabled,
+      passkeys: user.webauthnCredentials.map((credential) => ({
+        name: credential.name,
+        deviceType: credential.deviceType,
+        backedUp: credential.backedUp,
+        createdAt: credential.createdAt,
+        lastUsedAt: credential.lastUsedAt,
+      })),
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockoutCount: user.lockoutCount,
+      lockUntil: user.lockUntil,
+    },
+    sessions: sessions.map((session) => ({
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+    })),
+    knownDevices: knownDevices.map((device) => ({
+      userAgent: device.userAgent,
+      ipPrefix: device.ipPrefix,
+      location: device.location,
+      createdAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt,
+    })),
+    organizations: memberships
+      .filter((membership) => membership.organization)
+      .map((membership) => ({
+        name: membership.organization.name,
+        role: membership.role,
+        joinedAt: membership.createdAt,
+      })),
+    apiKeys: apiKeys.map((apiKey) => ({
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      revokedAt: apiKey.revokedAt,
+    })),
+    connectedApps: consents.map((consent) => ({
+      name: clients.find((client) => client.clientId === consent.clientId)
+        ?.name,
+      scopes: consent.scopes,
+      connectedAt: consent.createdAt,
+    })),
+    securityEvents: events.map((event) => ({
+      type: event.type,
+      outcome: event.outcome,
+      reason: event.reason,
+      method: event.method,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt,
+    })),
+  };
+
+  const date = exportedAt.toISOString().slice(0, 10);
+  res.attachment(`account-export-${date}.json`);
+  res.status(200).json(archive);
+});
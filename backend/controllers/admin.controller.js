@@ -0,0 +1,117 @@
+import { User } from "../models/user.model.js";
+import { ROLES } from "../config/roles.js";
+import { revokeSessions } from "../utils/sessions.js";
+import { revokeApiKeys } from "../utils/apiKeys.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const userNotFoundError = () =>
+  new NotFoundError("User not found", { code: ERROR_CODES.USER_NOT_FOUND });
+
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ====================== List Users Controller ======================
+// GET /api/admin/users?search=&role=&status=active|disabled&page=1&limit=20
+export const listUsers = asyncHandler(async (req, res) => {
+  const { search, role, status } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit) || 20)
+  );
+
+  const filter = {};
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search)), "i");
+    filter.$or = [{ email: pattern }, { name: pattern }];
+  }
+  if (role) filter.roles = String(role);
+  if (status === "disabled") filter.isDisabled = true;
+  if (status === "active") filter.isDisabled = { $ne: true };
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    users,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// ====================== Update Roles Controller ======================
+export const updateUserRoles = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { roles } = req.body;
+
+  if (
+    !Array.isArray(roles) ||
+    roles.length === 0 ||
+    roles.some((role) => !ROLES[role])
+  ) {
+    const message = `Roles must be a non-empty list of: ${Object.keys(ROLES).join(", ")}`;
+    throw new ValidationError(message, { errors: { roles: message } });
+  }
+  // Don't let an admin lock themselves out of the admin area
+  if (id === String(req.user._id) && !roles.includes("admin")) {
+    throw new ValidationError("You cannot remove your own admin role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    id,
+    { roles: [...new Set(roles)] },
+    { new: true }
+  );
+  if (!user) {
+    throw userNotFoundError();
+  }
+
+  res.status(200).json({ message: "Roles updated", user });
+});
+
+// ====================== Disable / Enable User Controller ======================
+const setDisabled = (isDisabled) =>
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (id === String(req.user._id)) {
+      throw new ValidationError(
+        "You cannot change the status of your own account"
+      );
+    }
+
+    const user = await User.findByIdAndUpdate(
+      id,
+      isDisabled
+        ? { isDisabled: true, disabledAt: Date.now() }
+        : { isDisabled: false, $unset: { disabledAt: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      throw userNotFoundError();
+    }
+
+    // A disabled account must not keep its existing sessions or API keys
+    if (isDisabled) {
+      await revokeSessions({ user: user._id });
+      await revokeApiKeys({ user: user._id });
+    }
+
+    res.status(200).json({
+      message: isDisabled ? "User disabled" : "User enabled",
+      user,
+    });
+  });
+
+export const disableUser = setDisabled(true);
+export const enableUser = setDisabled(false);
@@ -0,0 +1,81 @@
+import { ApiKey } from "../models/apiKey.model.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import { generateApiKey, revokeApiKeys } from "../utils/apiKeys.js";
+import { recordAuthEvent } from "../utils/authEvents.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+
+const MAX_API_KEYS = 20;
+const DAY = 24 * 60 * 60 * 1000;
+
+const toApiKeySummary = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+});
+
+// ====================== List API Keys Controller ======================
+// Active keys only; expired ones stay listed until revoked so users notice
+export const listApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ user: req.userId, revokedAt: null }).sort(
+    { createdAt: -1 }
+  );
+
+  res.status(200).json({ apiKeys: apiKeys.map(toApiKeySummary) });
+});
+
+// ====================== Create API Key Controller ======================
+// The key itself is only in this response, we keep just its hash
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const count = await ApiKey.countDocuments({
+    user: req.userId,
+    revokedAt: null,
+  });
+  if (count >= MAX_API_KEYS) {
+    throw new ValidationError(
+      `You can have at most ${MAX_API_KEYS} API keys, revoke one first`
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await ApiKey.create({
+    user: req.userId,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    organization: req.organizationId,
+    expiresAt: Date.now() + expiresInDays * DAY,
+  });
+  await recordAuthEvent(req, {
+    type: AUTH_EVENTS.API_KEY_CREATE,
+    user: req.userId,
+  });
+
+  res.status(201).json({
+    message: "API key created, copy it now: it won't be shown again",
+    apiKey: toApiKeySummary(apiKey),
+    key,
+  });
+});
+
+// ====================== Revoke API Key Controller ======================
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const revoked = await revokeApiKeys({ _id: req.params.id, user: req.userId });
+  if (!revoked) {
+    throw new NotFoundError("API key not found");
+  }
+  await recordAuthEvent(req, {
+    type: AUTH_EVENTS.API_KEY_REVOKE,
+    user: req.userId,
+  });
+
+  res.status(200).json({ message: "API key revoked" });
+});
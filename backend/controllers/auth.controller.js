@@ -3,133 +3,365 @@ import {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendPasswordResetConfirmationEmail,
+  sendMagicLinkEmail,
 } from "../email/email.js";
 import { User } from "../models/user.model.js";
-import { generateTokenAndCookies } from "../utils/generateTokenAndCookies.js";
-import bcrypt from "bcryptjs";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { Session } from "../models/session.model.js";
+import {
+  generateTokenAndCookies,
+  issueRefreshToken,
+  setAuthCookies,
+  clearAuthCookies,
+} from "../utils/generateTokenAndCookies.js";
+import { hashToken } from "../utils/hashToken.js";
+import { issueCsrfToken } from "../utils/csrfTokens.js";
+import { revokeSessions, revokeUserSessions } from "../utils/sessions.js";
+import { checkLoginDevice } from "../utils/devices.js";
+import { screenPassword } from "../utils/passwordScreening.js";
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+} from "../utils/passwordHashing.js";
+import {
+  assertCanSignIn,
+  assertPasswordResetDone,
+  completeLogin,
+  createTwoFactorChallenge,
+} from "../utils/login.js";
+import {
+  issueVerificationCode,
+  isValidVerificationCode,
+  resendCooldownRemaining,
+  MAX_VERIFICATION_ATTEMPTS,
+  RESEND_COOLDOWN,
+} from "../utils/verificationCode.js";
+import {
+  lockRemainingSeconds,
+  registerFailedLogin,
+  resetFailedLogins,
+} from "../utils/accountLockout.js";
+import { resolveLocale } from "../config/locales.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import { recordAuthEvent, auditedHandler } from "../utils/authEvents.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
 import crypto from "crypto";
 // ====================== Sign Up Controller ======================
+export const signup = auditedHandler(AUTH_EVENTS.SIGNUP, async (req, res) => {
+  const { email, password, name, locale } = req.body;
 
-export const signup = async (req, res) => {
-  const { email, password, name } = req.body;
-  try {
-    // Check if all fields are provided
-    if (!email || !password || !name) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
-    // Check if user already exists
-    const userExists = await User.findOne({ email });
-    if (userExists) {
-      return res.status(400).json({ message: "User already exists" });
-    }
-    // Hash Password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Verification Token
-    const verificationToken = Math.floor(
-      100000 + Math.random() * 900000
-    ).toString();
-
-    // Create User
-    const user = new User({
-      email,
-      password: hashedPassword,
-      name,
-      verificationToken,
-      verificationTokenExpireAt: Date.now() + 3600000, // 1 hour expiry
+  // Check if user already exists
+  const userExists = await User.findOne({ email });
+  if (userExists) {
+    throw new ConflictError("User already exists", {
+      code: ERROR_CODES.USER_EXISTS,
     });
+  }
+  await screenPassword(password, [email, name]);
 
-    await user.save();
+  // Hash Password
+  const hashedPassword = await hashPassword(password);
 
-    // JWT
-    generateTokenAndCookies(res, user._id);
+  // Create User
+  const user = new User({
+    email,
+    password: hashedPassword,
+    name,
+    locale: resolveLocale(locale, req.headers["accept-language"]),
+  });
 
-    // Send Verification Email
-    await sendVerificationEmail(email, verificationToken);
+  // Verification Code (stored hashed, 1 hour expiry)
+  const verificationCode = issueVerificationCode(user);
 
-    res.status(201).json({ message: "User created successfully" });
-  } catch (error) {
-    res.status(500).json({ message: "Error creating user", error });
-  }
+  await user.save();
+  await recordAuthEvent(req, { type: AUTH_EVENTS.SIGNUP, user });
+
+  // JWT; the signup device becomes the first known device
+  const session = await generateTokenAndCookies(req, res, user._id);
+  await checkLoginDevice(req, user, session);
+
+  // Send Verification Email
+  await sendVerificationEmail(email, verificationCode, user.locale);
+
+  res.status(201).json({ message: "User created successfully", user });
+});
+
+// Verification is scoped to the signed-in account, or to the email address
+// when there is no session (e.g. the user opened the page on another device).
+const findUserToVerify = (req) => {
+  if (req.userId) return User.findById(req.userId);
+  if (req.body.email) return User.findOne({ email: req.body.email });
+  return null;
 };
 
+const invalidCodeError = () =>
+  new ValidationError("Invalid or expired code", {
+    code: ERROR_CODES.INVALID_OR_EXPIRED_CODE,
+  });
+
 // ====================== Verify Email Controller ======================
-export const verifyEmail = async (req, res) => {
-  const { code } = req.body;
-  try {
-    const user = await User.findOne({
-      verificationToken: code,
-      verificationTokenExpireAt: { $gt: Date.now() },
-    });
+export const verifyEmail = auditedHandler(
+  AUTH_EVENTS.EMAIL_VERIFY,
+  async (req, res) => {
+    const { code } = req.body;
 
-    if (!user) {
-      return res.status(400).json({ message: "Invalid or expired code" });
+    const user = await findUserToVerify(req);
+    res.locals.auditUser = user?._id;
+    if (!user || user.isVerified) {
+      throw invalidCodeError();
+    }
+
+    if (!isValidVerificationCode(user, code)) {
+      // Burn the code after too many wrong guesses
+      if (user.verificationToken) {
+        user.verificationAttempts += 1;
+        if (user.verificationAttempts >= MAX_VERIFICATION_ATTEMPTS) {
+          user.verificationToken = undefined;
+          user.verificationTokenExpireAt = undefined;
+          await user.save();
+          throw new ValidationError(
+            "Too many incorrect attempts, please request a new code",
+            { code: ERROR_CODES.TOO_MANY_ATTEMPTS }
+          );
+        }
+        await user.save();
+      }
+      throw invalidCodeError();
     }
 
     user.isVerified = true;
     user.verificationToken = undefined;
     user.verificationTokenExpireAt = undefined;
+    user.verificationAttempts = 0;
     await user.save();
+    await recordAuthEvent(req, { type: AUTH_EVENTS.EMAIL_VERIFY, user });
 
-    await sendWelcomeEmail(user.email, user.name);
+    // The account is verified at this point; a missing welcome email is not
+    // worth failing the request over
+    await sendWelcomeEmail(user.email, user.name, user.locale).catch(() => {});
 
-    res.status(200).json({ message: "Email verified successfully" });
-  } catch (error) {
-    console.error("Error verifying email:", error);
-    res.status(500).json({ message: "Error verifying email", error });
+    res.status(200).json({ message: "Email verified successfully", user });
   }
-};
+);
+
+// ====================== Resend Verification Controller ======================
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await findUserToVerify(req);
+  if (!user) {
+    throw new NotFoundError("User not found", {
+      code: ERROR_CODES.USER_NOT_FOUND,
+    });
+  }
+  if (user.isVerified) {
+    throw new ConflictError("Email is already verified", {
+      code: ERROR_CODES.EMAIL_ALREADY_VERIFIED,
+    });
+  }
+
+  const cooldown = resendCooldownRemaining(user);
+  if (cooldown) {
+    throw new RateLimitError("Please wait before requesting another code", {
+      retryAfter: Math.ceil(cooldown / 1000),
+    });
+  }
+
+  const verificationCode = issueVerificationCode(user);
+  await user.save();
+
+  await sendVerificationEmail(user.email, verificationCode, user.locale);
+
+  res.status(200).json({
+    message: "Verification code sent",
+    retryAfter: RESEND_COOLDOWN / 1000,
+  });
+});
 
 // ====================== Login Controller ======================
-export const login = async (req, res) => {
+export const login = auditedHandler(AUTH_EVENTS.LOGIN, async (req, res) => {
   const { email, password } = req.body;
-  try {
-    // Check if all fields are provided
-    if (!email || !password) {
-      return res.status(400).json({ message: "All fields are required" });
-    }
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "User not found" });
-    }
-    // Check if password is correct
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
-    // JWT
-    generateTokenAndCookies(res, user._id);
 
-    // Update last login
-    user.lastlogin = Date.now();
+  // Check if user exists
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw new NotFoundError("User not found", {
+      code: ERROR_CODES.USER_NOT_FOUND,
+    });
+  }
+  res.locals.auditUser = user._id;
+  assertCanSignIn(user);
+  // Refuse while the account is locked out
+  const lockSeconds = lockRemainingSeconds(user);
+  if (lockSeconds) {
+    throw new RateLimitError(
+      "Account temporarily locked due to too many failed login attempts",
+      { code: ERROR_CODES.ACCOUNT_LOCKED, retryAfter: lockSeconds }
+    );
+  }
+  // Accounts created through social login have no password yet
+  if (!user.password) {
+    throw new ValidationError(
+      "This account uses social login, continue with your provider",
+      { code: ERROR_CODES.AUTH_SOCIAL_ACCOUNT }
+    );
+  }
+  // Check if password is correct
+  const isMatch = await verifyPassword(password, user.password);
+  if (!isMatch) {
+    await registerFailedLogin(user);
+    throw new AuthError("Invalid credentials", {
+      code: ERROR_CODES.AUTH_INVALID_CREDENTIALS,
+    });
+  }
+  // The hash settings were raised since this password was stored: upgrade
+  // it while we have the plain password
+  if (needsRehash(user.password)) {
+    user.password = await hashPassword(password);
+  }
+  // With 2FA on, the count is reset once the second factor passes: the
+  // password alone must not wipe out failed code guesses
+  if (
+    !user.twoFactorEnabled &&
+    (user.failedLoginAttempts || user.lockoutCount)
+  ) {
+    resetFailedLogins(user);
+  }
+  if (user.isModified()) {
     await user.save();
-
-    res.status(200).json({ message: "Login successful" });
-  } catch (error) {
-    console.error("Error logging in:", error);
-    res.status(500).json({ message: "Error logging in", error });
   }
-};
+  // Checked once the password is known to be right
+  assertPasswordResetDone(user);
+  // Second factor required: hand out a challenge instead of a session
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken: await createTwoFactorChallenge(user._id),
+    });
+  }
+
+  // JWT + update last login
+  await completeLogin(req, res, user, "password");
+
+  res.status(200).json({ message: "Login successful", user });
+});
 
 // ====================== Logout Controller ======================
-export const logout = async (req, res) => {
-  res.clearCookie("token");
+export const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.cookies;
+  // Revoke the session (and its refresh token family) of this login
+  if (refreshToken) {
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (storedToken) {
+      await revokeSessions({ jti: storedToken.family });
+      await recordAuthEvent(req, {
+        type: AUTH_EVENTS.LOGOUT,
+        user: storedToken.user,
+      });
+    }
+  }
+  clearAuthCookies(res);
   res.status(200).json({ message: "Logged out successfully" });
-};
+});
+
+// ====================== Refresh Token Controller ======================
+export const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.cookies;
+  if (!refreshToken) {
+    throw new AuthError("No refresh token", {
+      code: ERROR_CODES.AUTH_REFRESH_INVALID,
+    });
+  }
+
+  const storedToken = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+
+  // A refresh token was presented and turned down: sign out and audit it
+  const rejectRefresh = async (message, code) => {
+    clearAuthCookies(res);
+    await recordAuthEvent(req, {
+      type: AUTH_EVENTS.TOKEN_REJECTED,
+      outcome: "failure",
+      user: storedToken?.user,
+      reason: code,
+    });
+    return new AuthError(message, { code });
+  };
+  const invalidRefreshToken = () =>
+    rejectRefresh("Invalid refresh token", ERROR_CODES.AUTH_REFRESH_INVALID);
+
+  if (!storedToken || storedToken.expiresAt < Date.now()) {
+    throw await invalidRefreshToken();
+  }
+
+  // A token that was already rotated or revoked is being replayed, so
+  // someone else may hold the chain: revoke the whole family.
+  if (storedToken.rotatedAt || storedToken.revokedAt) {
+    await revokeSessions({ jti: storedToken.family });
+    console.warn(
+      `Refresh token reuse detected for user ${storedToken.user}, session ${storedToken.family} revoked`
+    );
+    throw await rejectRefresh(
+      "Refresh token reuse detected",
+      ERROR_CODES.AUTH_REFRESH_REUSED
+    );
+  }
+
+  // The session may have been revoked from another device
+  const session = await Session.findOne({
+    jti: storedToken.family,
+    revokedAt: null,
+  });
+  if (!session) {
+    throw await rejectRefresh(
+      "Session has been revoked",
+      ERROR_CODES.AUTH_SESSION_REVOKED
+    );
+  }
+
+  // Rotate: mark the current token as used and issue its successor.
+  // The filter on rotatedAt makes concurrent refreshes lose the race
+  // instead of both succeeding.
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, rotatedAt: null },
+    { rotatedAt: Date.now() }
+  );
+  if (!rotated) {
+    throw await invalidRefreshToken();
+  }
+
+  const newRefreshToken = await issueRefreshToken(
+    storedToken.user,
+    storedToken.family
+  );
+  await setAuthCookies(res, storedToken.user, session.jti, newRefreshToken);
+
+  res.status(200).json({ message: "Token refreshed" });
+});
 
 // ====================== Forgot Password Controller ======================
-export const forgotPassword = async (req, res) => {
-  const { email } = req.body;
-  try {
-    // Check if email is provided
-    if (!email) {
-      return res.status(400).json({ message: "Email is required" });
-    }
+export const forgotPassword = auditedHandler(
+  AUTH_EVENTS.PASSWORD_RESET_REQUEST,
+  async (req, res) => {
+    const { email } = req.body;
+
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(400).json({ message: "User not found" });
+      throw new NotFoundError("User not found", {
+        code: ERROR_CODES.USER_NOT_FOUND,
+      });
     }
 
     // Generate Reset Token
@@ -143,62 +375,164 @@ export const forgotPassword = async (req, res) => {
 
     // Send Reset Email
     const resetLink = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-    await sendPasswordResetEmail(email, resetLink);
+    await sendPasswordResetEmail(email, resetLink, user.locale);
+    await recordAuthEvent(req, {
+      type: AUTH_EVENTS.PASSWORD_RESET_REQUEST,
+      user,
+    });
 
     res.status(200).json({ message: "Password reset email sent" });
-  } catch (error) {
-    console.error("Error in forgot password:", error);
-    res.status(500).json({ message: "Error in forgot password", error });
   }
-};
+);
 
-// ====================== Reset Password Controller ======================
-export const resetPassword = async (req, res) => {
-  try {
+// ====================== Magic Link Request Controller ======================
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // Check if user exists
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw new NotFoundError("User not found", {
+      code: ERROR_CODES.USER_NOT_FOUND,
+    });
+  }
+
+  // Generate single-use sign-in token, only its hash is stored
+  const magicToken = crypto.randomBytes(20).toString("hex");
+  user.magicLinkToken = hashToken(magicToken);
+  user.magicLinkExpireAt = Date.now() + 15 * 60 * 1000; // 15 minutes expiry
+
+  await user.save();
+
+  // Send Magic Link Email
+  const magicLink = `${process.env.FRONTEND_URL}/magic-link/${magicToken}`;
+  await sendMagicLinkEmail(email, magicLink, user.locale);
+
+  res.status(200).json({ message: "Sign-in link sent" });
+});
+
+const invalidLinkError = () =>
+  new ValidationError("Invalid or expired link", {
+    code: ERROR_CODES.INVALID_OR_EXPIRED_LINK,
+  });
+
+// ====================== Magic Link Login Controller ======================
+export const consumeMagicLink = auditedHandler(
+  AUTH_EVENTS.LOGIN,
+  async (req, res) => {
     const { token } = req.params;
-    const { password } = req.body;
 
-    // Check if all fields are provided
-    if (!password) {
-      return res.status(400).json({ message: "All fields are required" });
+    // Clearing the token in the same query makes the link single-use even
+    // when it is opened twice at once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashToken(token),
+        magicLinkExpireAt: { $gt: Date.now() },
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpireAt: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw invalidLinkError();
+    }
+    res.locals.auditUser = user._id;
+    assertCanSignIn(user);
+    assertPasswordResetDone(user);
+
+    // Opening the link proves the user owns the address
+    user.isVerified = true;
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      await user.save();
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: await createTwoFactorChallenge(user._id),
+      });
     }
 
+    // JWT + update last login
+    await completeLogin(req, res, user, "magic_link");
+
+    res.status(200).json({ message: "Login successful", user });
+  }
+);
+
+// ====================== Reset Password Controller ======================
+export const resetPassword = auditedHandler(
+  AUTH_EVENTS.PASSWORD_RESET,
+  async (req, res) => {
+    const { token } = req.params;
+    const { password } = req.body;
+
     const user = await User.findOne({
       resetPasswordToken: token,
       resetPasswordExpireAt: { $gt: Date.now() },
     });
 
     if (!user) {
-      return res.status(400).json({ message: "Invalid or expired token" });
+      throw invalidLinkError();
     }
+    await screenPassword(password, [user.email, user.name]);
 
     // Update and Hash New Password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
     user.password = hashedPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpireAt = undefined;
+    user.passwordResetRequired = false;
     await user.save();
+    await recordAuthEvent(req, { type: AUTH_EVENTS.PASSWORD_RESET, user });
 
-    await sendPasswordResetConfirmationEmail(user.email);
+    // Whoever knew the old password may still be signed in
+    await revokeUserSessions(user._id);
+
+    // One confirmation per reset token. The password has already changed,
+    // so don't report the reset as failed.
+    await sendPasswordResetConfirmationEmail(
+      user.email,
+      user.locale,
+      `password-reset-confirmation:${hashToken(token)}`
+    ).catch(() => {});
 
     res.status(200).json({ message: "Password reset successful" });
-  } catch (error) {
-    console.error("Error resetting password:", error);
-    res.status(500).json({ message: "Error resetting password", error });
   }
-};
+);
+
+// ====================== Unlock Account Controller ======================
+export const unlockAccount = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const user = await User.findOne({
+    unlockToken: hashToken(token),
+    unlockTokenExpireAt: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw invalidLinkError();
+  }
+
+  resetFailedLogins(user);
+  await user.save();
+
+  res.status(200).json({ message: "Account unlocked, you can log in again" });
+});
 
 // ====================== Check Auth Controller ======================
-export const checkAuth = async (req, res) => {
-  try {
-    const user = await User.findById(req.userId).select("-password");
-    console.log(user);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    res.status(200).json({ user });
-  } catch (error) {
-    console.error("Error checking auth:", error);
-    res.status(500).json({ message: "Error checking auth", error });
+export const checkAuth = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId).select("-password");
+  if (!user) {
+    throw new NotFoundError("User not found", {
+      code: ERROR_CODES.USER_NOT_FOUND,
+    });
   }
+  res.status(200).json({ user });
+});
+
+// ====================== CSRF Token Controller ======================
+export const getCsrfToken = (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.status(200).json({ csrfToken: issueCsrfToken(req, res) });
 };
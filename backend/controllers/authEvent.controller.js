@@ -0,0 +1,89 @@
+import { AuthEvent, AUTH_EVENTS } from "../models/authEvent.model.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ValidationError } from "../utils/errors.js";
+
+const MAX_PAGE_SIZE = 100;
+
+const parseLimit = (value, fallback) =>
+  Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(value) || fallback));
+
+// Cursor pagination: a page starts after the last event id of the previous
+// one, so events recorded in the meantime don't shift the pages. An invalid
+// cursor is reported by the error middleware (CastError).
+const findPage = async (filter, { cursor, limit }) => {
+  const query = cursor ? { ...filter, _id: { $lt: cursor } } : filter;
+  const events = await AuthEvent.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const page = events.slice(0, limit);
+  return {
+    events: page,
+    nextCursor: events.length > limit ? page[page.length - 1]._id : null,
+  };
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    const message = `${field} must be a date`;
+    throw new ValidationError(message, { errors: { [field]: message } });
+  }
+  return date;
+};
+
+// ====================== My Auth Events Controller ======================
+// GET /api/auth/me/events?cursor=&limit=10
+export const listMyAuthEvents = asyncHandler(async (req, res) => {
+  const { events, nextCursor } = await findPage(
+    { user: req.userId },
+    { cursor: req.query.cursor, limit: parseLimit(req.query.limit, 10) }
+  );
+
+  res.status(200).json({
+    events: events.map((event) => ({
+      id: event._id,
+      type: event.type,
+      outcome: event.outcome,
+      reason: event.reason,
+      method: event.method,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt,
+    })),
+    nextCursor,
+  });
+});
+
+// ====================== List Auth Events Controller ======================
+// GET /api/admin/auth-events?user=&email=&type=&outcome=success|failure
+//   &ip=&from=&to=&cursor=&limit=50
+export const listAuthEvents = asyncHandler(async (req, res) => {
+  const { user, email, type, outcome, ip, from, to } = req.query;
+
+  const filter = {};
+  if (user) filter.user = String(user);
+  if (email) filter.email = String(email);
+  if (type) {
+    if (!Object.values(AUTH_EVENTS).includes(type)) {
+      const message = `Type must be one of: ${Object.values(AUTH_EVENTS).join(", ")}`;
+      throw new ValidationError(message, { errors: { type: message } });
+    }
+    filter.type = type;
+  }
+  if (outcome) filter.outcome = String(outcome);
+  if (ip) filter.ip = String(ip);
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, "from");
+    if (to) filter.createdAt.$lte = parseDate(to, "to");
+  }
+
+  const { events, nextCursor } = await findPage(filter, {
+    cursor: req.query.cursor,
+    limit: parseLimit(req.query.limit, 50),
+  });
+  await AuthEvent.populate(events, { path: "user", select: "email name" });
+
+  res.status(200).json({ events, nextCursor });
+});
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import { KnownDevice } from "../models/knownDevice.model.js";
+import { User } from "../models/user.model.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { revokeApiKeys } from "../utils/apiKeys.js";
+import { hashToken } from "../utils/hashToken.js";
+import { deviceFingerprint } from "../utils/devices.js";
+import { recordAuthEvent } from "../utils/authEvents.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+// ====================== List Known Devices Controller ======================
+export const getKnownDevices = asyncHandler(async (req, res) => {
+  const devices = await KnownDevice.find({ user: req.userId }).sort({
+    lastSeenAt: -1,
+  });
+  const currentFingerprint = deviceFingerprint(req.get("user-agent"), req.ip);
+
+  res.status(200).json({
+    devices: devices.map((device) => ({
+      id: device._id,
+      userAgent: device.userAgent,
+      ipPrefix: device.ipPrefix,
+      location: device.location,
+      createdAt: device.createdAt,
+      lastSeenAt: device.lastSeenAt,
+      current: device.fingerprint === currentFingerprint,
+    })),
+  });
+});
+
+// ====================== Remove Known Device Controller ======================
+// The device is forgotten: the next sign-in from it triggers an alert again
+export const removeKnownDevice = asyncHandler(async (req, res) => {
+  const device = await KnownDevice.findOneAndDelete({
+    _id: req.params.id,
+    user: req.userId,
+  });
+  if (!device) {
+    throw new NotFoundError("Device not found");
+  }
+
+  res.status(200).json({ message: "Device removed" });
+});
+
+// ====================== Report Device Controller ======================
+// "This wasn't me" link of a new-device alert: signs the account out
+// everywhere, forgets the device and requires a password reset before the
+// next sign-in, whatever the method.
+export const reportDevice = asyncHandler(async (req, res) => {
+  // Deleting the device in the same query makes the link single-use
+  const device = await KnownDevice.findOneAndDelete({
+    reportToken: hashToken(req.params.token),
+    reportTokenExpireAt: { $gt: Date.now() },
+  });
+  if (!device) {
+    throw new ValidationError("Invalid or expired link", {
+      code: ERROR_CODES.INVALID_OR_EXPIRED_LINK,
+    });
+  }
+
+  // Whoever signed in may have started more sessions or created API keys
+  await revokeUserSessions(device.user);
+  await revokeApiKeys({ user: device.user });
+
+  // Whoever opened the link reads the account's mailbox, so the reset token
+  // is handed out directly instead of being sent in another email
+  const resetToken = crypto.randomBytes(20).toString("hex");
+  const user = await User.findByIdAndUpdate(device.user, {
+    passwordResetRequired: true,
+    resetPasswordToken: resetToken,
+    resetPasswordExpireAt: Date.now() + 3600000, // 1 hour expiry
+  });
+  await recordAuthEvent(req, { type: AUTH_EVENTS.DEVICE_REPORT, user });
+
+  res.status(200).json({
+    message:
+      "Your account was signed out everywhere. Choose a new password to secure it.",
+    resetToken,
+  });
+});
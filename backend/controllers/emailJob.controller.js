@@ -0,0 +1,67 @@
+import { EmailJob, EMAIL_JOB_STATUSES } from "../models/emailJob.model.js";
+import { requeueEmailJobs } from "../email/queue.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ValidationError } from "../utils/errors.js";
+
+const MAX_PAGE_SIZE = 100;
+
+// ====================== List Email Jobs Controller ======================
+// GET /api/admin/email-jobs?status=dead&template=&to=&page=1&limit=20
+export const listEmailJobs = asyncHandler(async (req, res) => {
+  const { status, template, to } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(req.query.limit) || 20)
+  );
+
+  const filter = {};
+  if (status) filter.status = String(status);
+  if (template) filter.template = String(template);
+  if (to) filter.to = String(to);
+
+  const [jobs, total, statusCounts] = await Promise.all([
+    EmailJob.find(filter)
+      .select("-data") // Template data can hold codes and links
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    EmailJob.countDocuments(filter),
+    EmailJob.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+  ]);
+
+  const counts = Object.fromEntries(
+    EMAIL_JOB_STATUSES.map((jobStatus) => [
+      jobStatus,
+      statusCounts.find((entry) => entry._id === jobStatus)?.count || 0,
+    ])
+  );
+
+  res.status(200).json({
+    jobs,
+    counts,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+});
+
+// ====================== Retry Email Job Controller ======================
+export const retryEmailJob = asyncHandler(async (req, res) => {
+  // An invalid id is reported by the error middleware (CastError)
+  const requeued = await requeueEmailJobs({ _id: req.params.id });
+  if (!requeued) {
+    throw new ValidationError("Only dead or pending jobs can be retried");
+  }
+
+  res.status(200).json({ message: "Email job requeued" });
+});
+
+// ====================== Retry Dead Email Jobs Controller ======================
+export const retryDeadEmailJobs = asyncHandler(async (req, res) => {
+  const requeued = await requeueEmailJobs({ status: "dead" });
+  res
+    .status(200)
+    .json({ message: `${requeued} email job(s) requeued`, requeued });
+});
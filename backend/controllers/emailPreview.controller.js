@@ -0,0 +1,41 @@
+import { templates, renderEmail } from "../email/templates/index.js";
+import { SUPPORTED_LOCALES } from "../config/locales.js";
+import { NotFoundError } from "../utils/errors.js";
+
+// ====================== List Email Templates Controller ======================
+export const listEmailTemplates = (req, res) => {
+  const links = Object.keys(templates).flatMap((name) =>
+    SUPPORTED_LOCALES.map(
+      (locale) =>
+        `<li>${name} (${locale}): <a href="${req.baseUrl}/${name}?locale=${locale}">html</a> · <a href="${req.baseUrl}/${name}?locale=${locale}&format=text">text</a></li>`
+    )
+  );
+  res
+    .status(200)
+    .send(`<!DOCTYPE html><h1>Email templates</h1><ul>${links.join("")}</ul>`);
+};
+
+// ====================== Preview Email Controller ======================
+// GET /api/dev/emails/:template?locale=es&format=text
+export const previewEmail = (req, res) => {
+  const { template } = req.params;
+  const { locale, format } = req.query;
+
+  if (!templates[template]) {
+    throw new NotFoundError("Template not found");
+  }
+
+  const { subject, html, text } = renderEmail(
+    template,
+    templates[template].sample,
+    locale
+  );
+
+  if (format === "text") {
+    return res
+      .status(200)
+      .type("text/plain")
+      .send(`Subject: ${subject}\n\n${text}`);
+  }
+  res.status(200).type("html").send(html);
+};
@@ -0,0 +1,262 @@
+import jwt from "jsonwebtoken";
+import { User } from "../models/user.model.js";
+import { OAuthConsent } from "../models/oauthConsent.model.js";
+import { OAuthAuthorizationCode } from "../models/oauthAuthorizationCode.model.js";
+import { oauthProviders } from "../config/oauthProviders.js";
+import {
+  randomToken,
+  resolveProvider,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile,
+} from "../utils/oauth.js";
+import { completeLogin, createTwoFactorChallenge } from "../utils/login.js";
+import { revokeUserSessions } from "../utils/sessions.js";
+import { revokeApiKeys } from "../utils/apiKeys.js";
+import { leaveOrganizations } from "../utils/accountDeletion.js";
+import { resolveLocale } from "../config/locales.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+import { recordAuthEvent } from "../utils/authEvents.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+
+const STATE_COOKIE = "oauth_state";
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// The provider redirects back cross-site, so the state cookie has to be "lax"
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/api/auth/oauth",
+};
+
+// An unverified account proves nothing about who signed it up: anyone can
+// register someone else's address. Before the address's owner takes it over
+// through a provider, drop every way in its creator may have set up, the
+// links they may have had emailed and what they did with the account.
+const dropUnprovenCredentials = async (user) => {
+  user.password = undefined;
+  user.identities = [];
+  user.webauthnCredentials = [];
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  for (const field of [
+    "pendingEmail",
+    "emailChangeToken",
+    "emailChangeExpireAt",
+    "resetPasswordToken",
+    "resetPasswordExpireAt",
+    "magicLinkToken",
+    "magicLinkExpireAt",
+    "unlockToken",
+    "unlockTokenExpireAt",
+    "deletionRequestedAt",
+    "deletionScheduledFor",
+    "deletionCancelToken",
+  ]) {
+    user[field] = undefined;
+  }
+  await revokeUserSessions(user._id);
+  await revokeApiKeys({ user: user._id });
+  await OAuthConsent.deleteMany({ user: user._id });
+  await OAuthAuthorizationCode.deleteMany({ user: user._id });
+  await leaveOrganizations(user._id);
+};
+
+const redirectUriFor = (req, providerName) => {
+  const baseUrl =
+    process.env.OAUTH_REDIRECT_BASE_URL ||
+    `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/api/auth/oauth/${providerName}/callback`;
+};
+
+// These routes are browser navigations, not API calls: once the provider is
+// known, errors go back to the login page as a short code instead of JSON.
+const redirectWithError = (res, code) =>
+  res.redirect(`${process.env.FRONTEND_URL}/login?oauthError=${code}`);
+
+// Case-insensitive email lookup so "Jane@x.com" matches "jane@x.com"
+const findUserByEmail = (email) =>
+  User.findOne({ email }).collation({ locale: "en", strength: 2 });
+
+// ====================== List Providers Controller ======================
+export const getOAuthProviders = async (req, res) => {
+  res.status(200).json({
+    providers: Object.values(oauthProviders).map(({ name, label }) => ({
+      name,
+      label,
+    })),
+  });
+};
+
+// ====================== Start OAuth Login Controller ======================
+export const startOAuth = asyncHandler(async (req, res) => {
+  const configured = oauthProviders[req.params.provider];
+  if (!configured) {
+    throw new NotFoundError("Unknown login provider");
+  }
+  try {
+    const provider = await resolveProvider(configured);
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+
+    // Remember state, nonce and the PKCE verifier in a signed, short-lived
+    // cookie bound to this browser
+    const stateToken = jwt.sign(
+      {
+        purpose: "oauth-state",
+        provider: provider.name,
+        state,
+        nonce,
+        codeVerifier,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: STATE_TTL / 1000 }
+    );
+    res.cookie(STATE_COOKIE, stateToken, {
+      ...stateCookieOptions,
+      maxAge: STATE_TTL,
+    });
+
+    res.redirect(
+      buildAuthorizationUrl(provider, {
+        redirectUri: redirectUriFor(req, provider.name),
+        state,
+        nonce,
+        codeVerifier,
+      })
+    );
+  } catch (error) {
+    console.error("Error starting OAuth login:", error);
+    redirectWithError(res, "provider_unavailable");
+  }
+});
+
+// ====================== OAuth Callback Controller ======================
+export const oauthCallback = asyncHandler(async (req, res) => {
+  const configured = oauthProviders[req.params.provider];
+  if (!configured) {
+    throw new NotFoundError("Unknown login provider");
+  }
+
+  const method = `oauth:${configured.name}`;
+  // Failed social logins are audited, then sent back to the login page
+  const loginFailed = async (errorCode, user) => {
+    await recordAuthEvent(req, {
+      type: AUTH_EVENTS.LOGIN,
+      outcome: "failure",
+      user,
+      reason: errorCode.toUpperCase(),
+      method,
+    });
+    return redirectWithError(res, errorCode);
+  };
+
+  const { code, state, error: providerError } = req.query;
+  const stateToken = req.cookies[STATE_COOKIE];
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  if (providerError) {
+    return loginFailed("access_denied");
+  }
+
+  // Validate state against the cookie set when the flow started
+  let flow;
+  try {
+    flow = jwt.verify(stateToken, process.env.JWT_SECRET);
+  } catch {
+    return loginFailed("invalid_state");
+  }
+  if (
+    flow.purpose !== "oauth-state" ||
+    flow.provider !== configured.name ||
+    !state ||
+    flow.state !== state ||
+    !code
+  ) {
+    return loginFailed("invalid_state");
+  }
+
+  try {
+    const provider = await resolveProvider(configured);
+    const tokens = await exchangeCode(provider, {
+      code,
+      redirectUri: redirectUriFor(req, provider.name),
+      codeVerifier: flow.codeVerifier,
+    });
+    const profile = await fetchProfile(provider, tokens, flow.nonce);
+
+    // 1. Known identity
+    let user = await User.findOne({
+      identities: {
+        $elemMatch: { provider: provider.name, subject: profile.subject },
+      },
+    });
+
+    if (!user) {
+      if (!profile.email) {
+        return loginFailed("email_missing");
+      }
+      const existingUser = await findUserByEmail(profile.email);
+
+      if (existingUser) {
+        // 2. Link to an existing account, but only on a verified email:
+        //    otherwise anyone could claim an account by its address.
+        if (!profile.emailVerified) {
+          return loginFailed("email_not_verified", existingUser);
+        }
+        user = existingUser;
+        if (!user.isVerified) {
+          await dropUnprovenCredentials(user);
+        }
+        user.isVerified = true;
+      } else {
+        // 3. New account
+        user = new User({
+          email: profile.email,
+          name: profile.name,
+          isVerified: profile.emailVerified,
+          locale: resolveLocale(req.headers["accept-language"]),
+        });
+      }
+
+      user.identities.push({
+        provider: provider.name,
+        subject: profile.subject,
+        email: profile.email,
+      });
+      await user.save();
+    }
+
+    if (user.isDisabled) {
+      return loginFailed("account_disabled", user);
+    }
+    if (user.deletionScheduledFor) {
+      return loginFailed("account_pending_deletion", user);
+    }
+    if (user.passwordResetRequired) {
+      return loginFailed("password_reset_required", user);
+    }
+
+    // Social login replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      const challengeToken = await createTwoFactorChallenge(user._id);
+      return res.redirect(
+        `${process.env.FRONTEND_URL}/login/2fa#challenge=${challengeToken}`
+      );
+    }
+
+    // JWT + update last login
+    await completeLogin(req, res, user, method);
+
+    // The login page sends signed-in users on, to where they were headed
+    res.redirect(`${process.env.FRONTEND_URL}/login`);
+  } catch (error) {
+    console.error("Error completing OAuth login:", error);
+    await loginFailed("login_failed");
+  }
+});
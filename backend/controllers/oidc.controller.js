@@ -0,0 +1,255 @@
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { OAuthAuthorizationCode } from "../models/oauthAuthorizationCode.model.js";
+import { OAuthConsent } from "../models/oauthConsent.model.js";
+import { oidcConfig } from "../config/oidc.config.js";
+import { SIGNING_ALGORITHMS } from "../config/signingKeys.config.js";
+import {
+  authenticateClient,
+  parseAuthorizationRequest,
+  authorizationParams,
+  clientRedirectUrl,
+  userClaims,
+} from "../utils/oidcProvider.js";
+import { randomToken, pkceChallenge } from "../utils/oauth.js";
+import {
+  getJwks,
+  signWithCurrentKey,
+  verifyWithPublishedKeys,
+} from "../utils/signingKeys.js";
+import { hashToken } from "../utils/hashToken.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { OAuthError } from "../utils/errors.js";
+
+const { issuer } = oidcConfig;
+const userinfoEndpoint = `${issuer}/api/oidc/userinfo`;
+
+// Accounts that may no longer sign in to other apps either
+const canSignIn = (user) =>
+  user && !user.isDisabled && !user.deletionScheduledFor;
+
+// ====================== Discovery Controller ======================
+export const getDiscoveryDocument = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    issuer,
+    authorization_endpoint: `${issuer}/api/oidc/authorize`,
+    token_endpoint: `${issuer}/api/oidc/token`,
+    userinfo_endpoint: userinfoEndpoint,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    scopes_supported: oidcConfig.scopes,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: SIGNING_ALGORITHMS,
+    token_endpoint_auth_methods_supported: [
+      "client_secret_basic",
+      "client_secret_post",
+      "none",
+    ],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: [
+      "sub",
+      "name",
+      "locale",
+      "updated_at",
+      "email",
+      "email_verified",
+      "auth_time",
+      "nonce",
+    ],
+    authorization_response_iss_parameter_supported: true,
+  });
+});
+
+// ====================== JWKS Controller ======================
+export const getJwksDocument = asyncHandler(async (req, res) => {
+  res.status(200).json(await getJwks());
+});
+
+// ====================== Authorize Controller ======================
+// Browser navigation from a client app. The user signs in and consents in
+// the React app, where their session cookie is available.
+export const authorize = asyncHandler(async (req, res) => {
+  const request = await parseAuthorizationRequest(req.query);
+  if (request.error) {
+    const [error, description] = request.error;
+    return res.redirect(
+      clientRedirectUrl(request, { error, error_description: description })
+    );
+  }
+
+  res.redirect(
+    `${process.env.FRONTEND_URL}/oauth/consent?${authorizationParams(request)}`
+  );
+});
+
+// ====================== Authorization Request Controller ======================
+// What the consent screen shows. `consentGiven` means the user already
+// approved these scopes and the screen can approve straight away.
+export const getAuthorizationRequest = asyncHandler(async (req, res) => {
+  const request = await parseAuthorizationRequest(req.query);
+  if (request.error) {
+    throw new OAuthError(...request.error);
+  }
+
+  const consent = await OAuthConsent.findOne({
+    user: req.userId,
+    clientId: request.client.clientId,
+  });
+
+  res.status(200).json({
+    client: { name: request.client.name },
+    scopes: request.scopes,
+    consentGiven: request.scopes.every((scope) =>
+      consent?.scopes.includes(scope)
+    ),
+  });
+});
+
+// ====================== Authorization Decision Controller ======================
+// Approves or denies the request and returns where to send the browser: the
+// client's redirect URI with a code, or with an error.
+export const decideAuthorization = asyncHandler(async (req, res) => {
+  const request = await parseAuthorizationRequest(req.body ?? {});
+  if (request.error) {
+    const [error, description] = request.error;
+    return res.status(200).json({
+      redirectUrl: clientRedirectUrl(request, {
+        error,
+        error_description: description,
+      }),
+    });
+  }
+  if (req.body.approve !== true) {
+    return res.status(200).json({
+      redirectUrl: clientRedirectUrl(request, {
+        error: "access_denied",
+        error_description: "The user denied the request",
+      }),
+    });
+  }
+
+  const clientId = request.client.clientId;
+  await OAuthConsent.updateOne(
+    { user: req.userId, clientId },
+    { $addToSet: { scopes: { $each: request.scopes } } },
+    { upsert: true }
+  );
+
+  const session = await Session.findOne({ jti: req.sessionId });
+  const code = randomToken();
+  await OAuthAuthorizationCode.create({
+    codeHash: hashToken(code),
+    clientId,
+    user: req.userId,
+    redirectUri: request.redirectUri,
+    scopes: request.scopes,
+    nonce: request.nonce,
+    codeChallenge: request.codeChallenge,
+    authTime: session?.createdAt,
+    expiresAt: Date.now() + oidcConfig.codeTtl * 1000,
+  });
+
+  res.status(200).json({ redirectUrl: clientRedirectUrl(request, { code }) });
+});
+
+// ====================== Token Controller ======================
+// Authorization code grant with PKCE. Codes are single-use: the lookup
+// deletes them.
+export const issueTokens = asyncHandler(async (req, res) => {
+  res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+
+  const client = await authenticateClient(req);
+  const { grant_type, code, redirect_uri, code_verifier } = req.body ?? {};
+  if (grant_type !== "authorization_code") {
+    throw new OAuthError(
+      "unsupported_grant_type",
+      "Only the authorization_code grant is supported"
+    );
+  }
+
+  const grant = await OAuthAuthorizationCode.findOneAndDelete({
+    codeHash: hashToken(String(code ?? "")),
+    clientId: client.clientId,
+  });
+  if (
+    !grant ||
+    grant.expiresAt <= Date.now() ||
+    grant.redirectUri !== redirect_uri
+  ) {
+    throw new OAuthError("invalid_grant", "Invalid or expired code");
+  }
+  if (
+    typeof code_verifier !== "string" ||
+    pkceChallenge(code_verifier) !== grant.codeChallenge
+  ) {
+    throw new OAuthError("invalid_grant", "PKCE verification failed");
+  }
+
+  const user = await User.findById(grant.user);
+  if (!canSignIn(user)) {
+    throw new OAuthError("invalid_grant", "The account can no longer sign in");
+  }
+
+  const scope = grant.scopes.join(" ");
+  const accessToken = await signWithCurrentKey(
+    { scope, client_id: client.clientId },
+    {
+      subject: user._id.toString(),
+      issuer,
+      audience: userinfoEndpoint,
+      expiresIn: oidcConfig.tokenTtl,
+      header: { typ: "at+jwt" },
+    }
+  );
+  const idToken = await signWithCurrentKey(
+    {
+      ...userClaims(user, grant.scopes),
+      nonce: grant.nonce,
+      auth_time: grant.authTime && Math.floor(grant.authTime.getTime() / 1000),
+    },
+    {
+      issuer,
+      audience: client.clientId,
+      expiresIn: oidcConfig.tokenTtl,
+    }
+  );
+
+  res.status(200).json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: oidcConfig.tokenTtl,
+    id_token: idToken,
+    scope,
+  });
+});
+
+// ====================== Userinfo Controller ======================
+// Takes the access token from the token endpoint as a Bearer token
+export const getUserinfo = asyncHandler(async (req, res) => {
+  const [scheme, token] = (req.get("authorization") ?? "").split(" ");
+
+  let claims;
+  try {
+    if (scheme.toLowerCase() !== "bearer" || !token) throw new Error();
+    claims = await verifyWithPublishedKeys(token, {
+      issuer,
+      audience: userinfoEndpoint,
+    });
+  } catch {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    throw new OAuthError("invalid_token", "Invalid or expired access token", {
+      status: 401,
+    });
+  }
+
+  const user = await User.findById(claims.sub);
+  if (!canSignIn(user)) {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    throw new OAuthError("invalid_token", "The account can no longer sign in", {
+      status: 401,
+    });
+  }
+
+  res.status(200).json(userClaims(user, claims.scope.split(" ")));
+});
@@ -0,0 +1,358 @@
+import crypto from "crypto";
+import { Organization } from "../models/organization.model.js";
+import { Membership } from "../models/membership.model.js";
+import { Invitation } from "../models/invitation.model.js";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { sendOrganizationInviteEmail } from "../email/email.js";
+import { ORG_PERMISSIONS } from "../config/organizationRoles.js";
+import { hashToken } from "../utils/hashToken.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const organizationNotFoundError = () =>
+  new NotFoundError("Organization not found");
+
+const invalidInvitationError = () =>
+  new ValidationError("Invalid or expired invitation", {
+    code: ERROR_CODES.INVALID_OR_EXPIRED_LINK,
+  });
+
+const toOrganizationSummary = (organization, role) => ({
+  id: organization._id,
+  name: organization.name,
+  role,
+});
+
+const setActiveOrganization = (req, organizationId) =>
+  Session.updateOne(
+    { jti: req.sessionId },
+    { activeOrganization: organizationId }
+  );
+
+// Only owners may hand out, change or take away the owner role
+const assertCanManageRole = (req, ...roles) => {
+  if (
+    roles.includes("owner") &&
+    !req.orgPermissions.includes(ORG_PERMISSIONS.OWNERS_MANAGE)
+  ) {
+    throw new ForbiddenError("Only owners can manage owners");
+  }
+};
+
+// An organization must always keep an owner
+const assertNotLastOwner = async (membership) => {
+  if (membership.role !== "owner") return;
+  const owners = await Membership.countDocuments({
+    organization: membership.organization,
+    role: "owner",
+  });
+  if (owners <= 1) {
+    throw new ValidationError(
+      "An organization needs at least one owner, make someone else owner first"
+    );
+  }
+};
+
+// ====================== List Organizations Controller ======================
+export const listOrganizations = asyncHandler(async (req, res) => {
+  const memberships = await Membership.find({ user: req.userId })
+    .sort({ createdAt: 1 })
+    .populate("organization");
+
+  res.status(200).json({
+    organizations: memberships
+      .filter((membership) => membership.organization)
+      .map((membership) =>
+        toOrganizationSummary(membership.organization, membership.role)
+      ),
+    activeOrganizationId: req.organizationId ?? null,
+  });
+});
+
+// ====================== Create Organization Controller ======================
+// The creator becomes its owner and switches to it
+export const createOrganization = asyncHandler(async (req, res) => {
+  const organization = await Organization.create({
+    name: req.body.name,
+    createdBy: req.userId,
+  });
+  await Membership.create({
+    organization: organization._id,
+    user: req.userId,
+    role: "owner",
+  });
+  await setActiveOrganization(req, organization._id);
+
+  res.status(201).json({
+    message: "Organization created",
+    organization: toOrganizationSummary(organization, "owner"),
+  });
+});
+
+// ====================== Switch Organization Controller ======================
+export const switchOrganization = asyncHandler(async (req, res) => {
+  const { organizationId } = req.body;
+
+  const membership = await Membership.findOne({
+    organization: organizationId,
+    user: req.userId,
+  }).populate("organization");
+  if (!membership?.organization) {
+    throw organizationNotFoundError();
+  }
+  await setActiveOrganization(req, organizationId);
+
+  res.status(200).json({
+    message: "Organization switched",
+    organization: toOrganizationSummary(
+      membership.organization,
+      membership.role
+    ),
+  });
+});
+
+// ====================== Current Organization Controller ======================
+// Members for everyone; pending invitations for those who can invite
+export const getCurrentOrganization = asyncHandler(async (req, res) => {
+  const canInvite = req.orgPermissions.includes(ORG_PERMISSIONS.MEMBERS_INVITE);
+
+  const [members, invitations] = await Promise.all([
+    Membership.find({ organization: req.organization._id })
+      .sort({ createdAt: 1 })
+      .populate("user", "name email"),
+    canInvite
+      ? Invitation.find({
+          organization: req.organization._id,
+          expiresAt: { $gt: Date.now() },
+        })
+          .sort({ createdAt: -1 })
+          .populate("invitedBy", "name")
+      : [],
+  ]);
+
+  res.status(200).json({
+    organization: toOrganizationSummary(req.organization, req.membership.role),
+    permissions: req.orgPermissions,
+    members: members
+      .filter((member) => member.user)
+      .map((member) => ({
+        id: member._id,
+        userId: member.user._id,
+        name: member.user.name,
+        email: member.user.email,
+        role: member.role,
+        joinedAt: member.createdAt,
+      })),
+    invitations: invitations.map((invitation) => ({
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy?.name,
+      expiresAt: invitation.expiresAt,
+    })),
+  });
+});
+
+// ====================== Update Organization Controller ======================
+export const updateOrganization = asyncHandler(async (req, res) => {
+  req.organization.name = req.body.name;
+  await req.organization.save();
+
+  res.status(200).json({
+    message: "Organization updated",
+    organization: toOrganizationSummary(req.organization, req.membership.role),
+  });
+});
+
+// ====================== Invite Member Controller ======================
+// Inviting an address again replaces its pending invitation with a fresh
+// token and expiry
+export const inviteMember = asyncHandler(async (req, res) => {
+  const { email, role = "member" } = req.body;
+  assertCanManageRole(req, role);
+
+  const invitee = await User.findOne({ email });
+  if (
+    invitee &&
+    (await Membership.exists({
+      organization: req.organization._id,
+      user: invitee._id,
+    }))
+  ) {
+    throw new ConflictError("This user is already a member");
+  }
+
+  const token = crypto.randomBytes(20).toString("hex");
+  const expiresAt = new Date(Date.now() + INVITATION_TTL);
+  const invitation = await Invitation.findOneAndUpdate(
+    { organization: req.organization._id, email: email.toLowerCase() },
+    {
+      role,
+      invitedBy: req.userId,
+      token: hashToken(token),
+      expiresAt,
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const inviter = await User.findById(req.userId).select("name locale");
+  await sendOrganizationInviteEmail(
+    email,
+    {
+      organizationName: req.organization.name,
+      inviterName: inviter?.name,
+      role,
+      inviteLink: `${process.env.FRONTEND_URL}/invitations/${token}`,
+      expiresAt,
+    },
+    invitee?.locale ?? inviter?.locale
+  );
+
+  res.status(201).json({
+    message: "Invitation sent",
+    invitation: {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: inviter?.name,
+      expiresAt: invitation.expiresAt,
+    },
+  });
+});
+
+// ====================== Revoke Invitation Controller ======================
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOneAndDelete({
+    _id: req.params.id,
+    organization: req.organization._id,
+  });
+  if (!invitation) {
+    throw new NotFoundError("Invitation not found");
+  }
+
+  res.status(200).json({ message: "Invitation revoked" });
+});
+
+// ====================== Update Member Role Controller ======================
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  const membership = await Membership.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+  });
+  if (!membership) {
+    throw new NotFoundError("Member not found");
+  }
+  assertCanManageRole(req, membership.role, role);
+  if (role !== "owner") {
+    await assertNotLastOwner(membership);
+  }
+
+  membership.role = role;
+  await membership.save();
+
+  res.status(200).json({ message: "Role updated", role });
+});
+
+// ====================== Remove Member Controller ======================
+// Anyone may leave; removing someone else needs the members permission
+export const removeMember = asyncHandler(async (req, res) => {
+  const membership = await Membership.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+  });
+  if (!membership) {
+    throw new NotFoundError("Member not found");
+  }
+
+  const isSelf = String(membership.user) === req.userId;
+  if (!isSelf) {
+    if (!req.orgPermissions.includes(ORG_PERMISSIONS.MEMBERS_MANAGE)) {
+      throw new ForbiddenError();
+    }
+    assertCanManageRole(req, membership.role);
+  }
+  await assertNotLastOwner(membership);
+
+  await membership.deleteOne();
+  // Sessions working in the organization lose access right away
+  await Session.updateMany(
+    { user: membership.user, activeOrganization: req.organization._id },
+    { $unset: { activeOrganization: 1 } }
+  );
+
+  res.status(200).json({ message: isSelf ? "You left" : "Member removed" });
+});
+
+// ====================== Get Invitation Controller ======================
+// Lets the invite page show what is being accepted before signing in
+export const getInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOne({
+    token: hashToken(req.params.token),
+    expiresAt: { $gt: Date.now() },
+  }).populate([
+    { path: "organization", select: "name" },
+    { path: "invitedBy", select: "name" },
+  ]);
+  if (!invitation?.organization) {
+    throw invalidInvitationError();
+  }
+
+  res.status(200).json({
+    invitation: {
+      organizationName: invitation.organization.name,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy?.name,
+      expiresAt: invitation.expiresAt,
+    },
+  });
+});
+
+// ====================== Accept Invitation Controller ======================
+// The signed-in account must own the invited address. Accepting switches the
+// session to the organization.
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOne({
+    token: hashToken(req.params.token),
+    expiresAt: { $gt: Date.now() },
+  }).populate("organization");
+  if (!invitation?.organization) {
+    throw invalidInvitationError();
+  }
+
+  const user = await User.findById(req.userId);
+  if (user?.email.toLowerCase() !== invitation.email) {
+    throw new ForbiddenError(
+      "This invitation was sent to another email address",
+      { code: ERROR_CODES.INVITATION_EMAIL_MISMATCH }
+    );
+  }
+
+  // Already a member (e.g. accepted twice): keep the current role
+  const membership = await Membership.findOneAndUpdate(
+    { organization: invitation.organization._id, user: user._id },
+    { $setOnInsert: { role: invitation.role } },
+    { upsert: true, new: true }
+  );
+  await invitation.deleteOne();
+  await setActiveOrganization(req, invitation.organization._id);
+
+  res.status(200).json({
+    message: `You joined ${invitation.organization.name}`,
+    organization: toOrganizationSummary(
+      invitation.organization,
+      membership.role
+    ),
+  });
+});
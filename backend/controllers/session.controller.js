@@ -0,0 +1,54 @@
+import { Session } from "../models/session.model.js";
+import { revokeSessions } from "../utils/sessions.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ValidationError, NotFoundError } from "../utils/errors.js";
+
+// ====================== List Sessions Controller ======================
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.userId,
+    revokedAt: null,
+  }).sort({ lastSeenAt: -1 });
+
+  res.status(200).json({
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session.jti === req.sessionId,
+    })),
+  });
+});
+
+// ====================== Revoke Session Controller ======================
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await Session.findOne({
+    _id: id,
+    user: req.userId,
+    revokedAt: null,
+  });
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+  if (session.jti === req.sessionId) {
+    throw new ValidationError("Use logout to end the current session");
+  }
+
+  await revokeSessions({ _id: session._id });
+
+  res.status(200).json({ message: "Session revoked" });
+});
+
+// ====================== Revoke Other Sessions Controller ======================
+export const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const count = await revokeSessions({
+    user: req.userId,
+    jti: { $ne: req.sessionId },
+  });
+
+  res.status(200).json({ message: `${count} other session(s) revoked` });
+});
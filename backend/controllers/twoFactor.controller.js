@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { User } from "../models/user.model.js";
+import { hashToken } from "../utils/hashToken.js";
+import { verifyPassword } from "../utils/passwordHashing.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+import {
+  assertCanSignIn,
+  assertPasswordResetDone,
+  completeLogin,
+  claimTwoFactorAttempt,
+  consumeTwoFactorChallenge,
+} from "../utils/login.js";
+import {
+  lockRemainingSeconds,
+  registerFailedLogin,
+  resetFailedLogins,
+} from "../utils/accountLockout.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuthEvent, auditedHandler } from "../utils/authEvents.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import {
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const ISSUER = process.env.APP_NAME || "Advance MERN Auth App";
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are typed by hand, so compare them case- and dash-insensitively
+const normalizeRecoveryCode = (code) =>
+  code.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const userNotFoundError = () =>
+  new NotFoundError("User not found", { code: ERROR_CODES.USER_NOT_FOUND });
+
+const invalidCodeError = (message = "Invalid code") =>
+  new ValidationError(message, { code: ERROR_CODES.AUTH_INVALID_CODE });
+
+// ====================== Setup 2FA Controller ======================
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw userNotFoundError();
+  }
+  if (user.twoFactorEnabled) {
+    throw new ConflictError("Two-factor authentication is already enabled");
+  }
+
+  // Keep the secret pending until the user proves their app can use it
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = buildOtpauthUri(secret, user.email, ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  res.status(200).json({ secret, otpauthUrl, qrCode });
+});
+
+// ====================== Confirm 2FA Controller ======================
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.userId).select(
+    "+twoFactorPendingSecret"
+  );
+  if (!user) {
+    throw userNotFoundError();
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw new ValidationError("Start 2FA setup first");
+  }
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    throw invalidCodeError();
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = recoveryCodes.map((recoveryCode) =>
+    hashToken(normalizeRecoveryCode(recoveryCode))
+  );
+  await user.save();
+  await recordAuthEvent(req, { type: AUTH_EVENTS.TWO_FACTOR_ENABLE, user });
+
+  // Recovery codes are only ever shown this once
+  res.status(200).json({
+    message: "Two-factor authentication enabled",
+    recoveryCodes,
+  });
+});
+
+// ====================== Disable 2FA Controller ======================
+export const disableTwoFactor = auditedHandler(
+  AUTH_EVENTS.TWO_FACTOR_DISABLE,
+  async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw userNotFoundError();
+    }
+
+    // Re-check the password so a hijacked session cannot drop 2FA
+    if (!(await verifyPassword(password, user.password))) {
+      throw new AuthError("Invalid credentials", {
+        code: ERROR_CODES.AUTH_INVALID_CREDENTIALS,
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save();
+    await recordAuthEvent(req, { type: AUTH_EVENTS.TWO_FACTOR_DISABLE, user });
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  }
+);
+
+// ====================== Verify 2FA Login Controller ======================
+export const verifyTwoFactor = auditedHandler(
+  AUTH_EVENTS.LOGIN,
+  async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = await claimTwoFactorAttempt(challengeToken);
+    if (!userId) {
+      throw new AuthError("Login expired, please sign in again", {
+        code: ERROR_CODES.AUTH_CHALLENGE_EXPIRED,
+      });
+    }
+    res.locals.auditUser = userId;
+
+    const user = await User.findById(userId).select(
+      "+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes"
+    );
+    if (!user || !user.twoFactorEnabled) {
+      throw invalidCodeError();
+    }
+    assertCanSignIn(user);
+    // The challenge may predate a "this wasn't me" report
+    assertPasswordResetDone(user);
+    // Wrong codes count toward the same lockout as wrong passwords, so
+    // guesses spread over many IPs and challenges still run out
+    const lockSeconds = lockRemainingSeconds(user);
+    if (lockSeconds) {
+      throw new RateLimitError(
+        "Account temporarily locked due to too many failed login attempts",
+        { code: ERROR_CODES.ACCOUNT_LOCKED, retryAfter: lockSeconds }
+      );
+    }
+
+    if (recoveryCode) {
+      // Each recovery code works exactly once
+      const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+      if (!user.twoFactorRecoveryCodes.includes(hash)) {
+        await registerFailedLogin(user);
+        throw invalidCodeError("Invalid recovery code");
+      }
+      user.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes.filter(
+        (storedHash) => storedHash !== hash
+      );
+    } else {
+      // Refuse a code from a time step that was already used (replay)
+      const step = verifyTotp(user.twoFactorSecret, code);
+      if (step === null || step <= (user.twoFactorLastUsedStep ?? -1)) {
+        await registerFailedLogin(user);
+        throw invalidCodeError();
+      }
+      user.twoFactorLastUsedStep = step;
+    }
+    resetFailedLogins(user);
+    await consumeTwoFactorChallenge(challengeToken);
+
+    // JWT + update last login
+    await completeLogin(
+      req,
+      res,
+      user,
+      recoveryCode ? "recovery_code" : "totp"
+    );
+
+    res.status(200).json({ message: "Login successful", user });
+  }
+);
@@ -0,0 +1,297 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from "@simplewebauthn/server";
+import { User } from "../models/user.model.js";
+import { webauthnConfig } from "../config/webauthn.config.js";
+import {
+  assertCanSignIn,
+  assertPasswordResetDone,
+  completeLogin,
+} from "../utils/login.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { recordAuthEvent, auditedHandler } from "../utils/authEvents.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import { ValidationError, AuthError, NotFoundError } from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const { rpName, rpID, origin } = webauthnConfig;
+
+const CHALLENGE_COOKIE = "webauthn_challenge";
+const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const challengeCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+  path: "/api/auth/webauthn",
+};
+
+// ====================== Challenge Cookie ======================
+// The challenge of the ceremony in progress is kept in a signed cookie, bound
+// to the ceremony type (and user, for registration).
+const storeChallenge = (res, purpose, challenge, userId) => {
+  const token = jwt.sign(
+    { purpose, challenge, userId },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL / 1000 }
+  );
+  res.cookie(CHALLENGE_COOKIE, token, {
+    ...challengeCookieOptions,
+    maxAge: CHALLENGE_TTL,
+  });
+};
+
+// Returns the pending challenge (single use: the cookie is cleared) or null
+const takeChallenge = (req, res, purpose, userId) => {
+  const token = req.cookies[CHALLENGE_COOKIE];
+  res.clearCookie(CHALLENGE_COOKIE, challengeCookieOptions);
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) return null;
+    if (userId && decoded.userId !== String(userId)) return null;
+    return decoded.challenge;
+  } catch {
+    return null;
+  }
+};
+
+const userNotFoundError = () =>
+  new NotFoundError("User not found", { code: ERROR_CODES.USER_NOT_FOUND });
+
+const passkeyFailedError = (message) =>
+  new AuthError(message, { code: ERROR_CODES.AUTH_PASSKEY_FAILED });
+
+const toCredentialSummary = (credential) => ({
+  id: credential._id,
+  name: credential.name,
+  deviceType: credential.deviceType,
+  backedUp: credential.backedUp,
+  createdAt: credential.createdAt,
+  lastUsedAt: credential.lastUsedAt,
+});
+
+// ====================== Registration Options Controller ======================
+export const registrationOptions = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw userNotFoundError();
+  }
+
+  // Stable, random user handle: never expose the database id to authenticators
+  if (!user.webauthnUserId) {
+    user.webauthnUserId = crypto.randomBytes(32).toString("base64url");
+    await user.save();
+  }
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userID: Buffer.from(user.webauthnUserId, "base64url"),
+    userName: user.email,
+    userDisplayName: user.name,
+    attestationType: "none",
+    // Don't register the same authenticator twice
+    excludeCredentials: user.webauthnCredentials.map((credential) => ({
+      id: credential.credentialId,
+      transports: credential.transports,
+    })),
+    authenticatorSelection: {
+      residentKey: "required", // Discoverable, so login needs no email
+      userVerification: "preferred",
+    },
+  });
+
+  storeChallenge(res, "registration", options.challenge, String(user._id));
+  res.status(200).json(options);
+});
+
+// ====================== Registration Verify Controller ======================
+export const verifyRegistration = asyncHandler(async (req, res) => {
+  const { response, name } = req.body;
+
+  const expectedChallenge = takeChallenge(req, res, "registration", req.userId);
+  if (!expectedChallenge) {
+    throw new ValidationError(
+      "Passkey registration expired, please try again",
+      { code: ERROR_CODES.AUTH_CHALLENGE_EXPIRED }
+    );
+  }
+
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw userNotFoundError();
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+    });
+  } catch (error) {
+    console.warn("Passkey registration rejected:", error.message);
+  }
+  if (!verification?.verified) {
+    throw new ValidationError("Passkey registration failed", {
+      code: ERROR_CODES.AUTH_PASSKEY_FAILED,
+    });
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } =
+    verification.registrationInfo;
+
+  user.webauthnCredentials.push({
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports,
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: name || "Passkey",
+  });
+  await user.save();
+
+  const saved = user.webauthnCredentials[user.webauthnCredentials.length - 1];
+  await recordAuthEvent(req, { type: AUTH_EVENTS.PASSKEY_ADD, user });
+  res.status(201).json({
+    message: "Passkey registered",
+    credential: toCredentialSummary(saved),
+  });
+});
+
+// ====================== Authentication Options Controller ======================
+export const authenticationOptions = asyncHandler(async (req, res) => {
+  // No allowCredentials: the browser offers any discoverable passkey for
+  // this site, so the user doesn't have to type an email first
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: "required",
+  });
+
+  storeChallenge(res, "authentication", options.challenge);
+  res.status(200).json(options);
+});
+
+// ====================== Authentication Verify Controller ======================
+export const verifyAuthentication = auditedHandler(
+  AUTH_EVENTS.LOGIN,
+  async (req, res) => {
+    const { response } = req.body;
+
+    const expectedChallenge = takeChallenge(req, res, "authentication");
+    if (!expectedChallenge) {
+      throw new AuthError("Passkey sign-in expired, please try again", {
+        code: ERROR_CODES.AUTH_CHALLENGE_EXPIRED,
+      });
+    }
+
+    const user = await User.findOne({
+      "webauthnCredentials.credentialId": response.id,
+    });
+    if (!user) {
+      throw passkeyFailedError("Passkey not recognized");
+    }
+    res.locals.auditUser = user._id;
+    assertCanSignIn(user);
+    assertPasswordResetDone(user);
+    const credential = user.webauthnCredentials.find(
+      (entry) => entry.credentialId === response.id
+    );
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: credential.credentialId,
+          publicKey: new Uint8Array(credential.publicKey),
+          counter: credential.counter,
+          transports: credential.transports,
+        },
+        requireUserVerification: true,
+      });
+    } catch (error) {
+      console.warn("Passkey sign-in rejected:", error.message);
+    }
+    if (!verification?.verified) {
+      throw passkeyFailedError("Passkey sign-in failed");
+    }
+
+    // A counter that doesn't move forward means the authenticator may have
+    // been cloned. Authenticators that don't count always report 0.
+    const { newCounter } = verification.authenticationInfo;
+    if (
+      (newCounter > 0 || credential.counter > 0) &&
+      newCounter <= credential.counter
+    ) {
+      console.warn(
+        `Passkey sign count regression for user ${user._id}, credential ${credential._id}`
+      );
+      throw passkeyFailedError("Passkey sign-in failed");
+    }
+
+    credential.counter = newCounter;
+    credential.lastUsedAt = Date.now();
+
+    // A user-verified passkey already combines possession and a PIN or
+    // biometric, so it does not go through the TOTP step.
+    await completeLogin(req, res, user, "passkey");
+
+    res.status(200).json({ message: "Login successful", user });
+  }
+);
+
+// ====================== List Passkeys Controller ======================
+export const getCredentials = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw userNotFoundError();
+  }
+  res.status(200).json({
+    credentials: user.webauthnCredentials.map(toCredentialSummary),
+  });
+});
+
+// ====================== Rename Passkey Controller ======================
+export const renameCredential = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  const user = await User.findById(req.userId);
+  const credential = user?.webauthnCredentials.id(req.params.id);
+  if (!credential) {
+    throw new NotFoundError("Passkey not found");
+  }
+
+  credential.name = name;
+  await user.save();
+
+  res.status(200).json({
+    message: "Passkey renamed",
+    credential: toCredentialSummary(credential),
+  });
+});
+
+// ====================== Delete Passkey Controller ======================
+export const deleteCredential = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.userId);
+  const credential = user?.webauthnCredentials.id(req.params.id);
+  if (!credential) {
+    throw new NotFoundError("Passkey not found");
+  }
+
+  credential.deleteOne();
+  await user.save();
+  await recordAuthEvent(req, { type: AUTH_EVENTS.PASSKEY_REMOVE, user });
+
+  res.status(200).json({ message: "Passkey deleted" });
+});
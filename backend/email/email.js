@@ -1,71 +1,168 @@
-import { client, sender } from "./sendEmail.config.js";
-
-// =========================== Send Verification Email ===========================
-export const sendVerificationEmail = async (email, verificationToken) => {
-  const text = `Your verification code is ${verificationToken}`;
-
-  const recipients = [{ email }];
+import { enqueueEmail } from "./queue.js";
 
+// =========================== Queue Email ===========================
+// Emails are queued and sent by the email worker, so callers only wait for
+// the job to be stored. Pass `idempotencyKey` for an email that must go out
+// at most once (e.g. per token); other calls always queue a new email.
+const sendEmail = async ({
+  email,
+  template,
+  data,
+  locale,
+  label,
+  idempotencyKey,
+}) => {
   try {
-    const response = await client.send({
-      from: sender,
-      to: recipients,
-      subject: "Verify your email",
-      text,
+    const { job, duplicate } = await enqueueEmail({
+      template,
+      to: email,
+      data,
+      locale,
+      idempotencyKey,
     });
-    console.log("Verification email sent", response);
+    console.log(
+      duplicate
+        ? `${label} email already queued, skipped`
+        : `${label} email queued`,
+      job._id
+    );
+    return { job, duplicate };
   } catch (error) {
-    console.error("Error sending verification email:", error);
+    console.error(`Error queueing ${label.toLowerCase()} email:`, error);
+    throw error;
   }
 };
 
+// =========================== Send Verification Email ===========================
+export const sendVerificationEmail = (email, verificationToken, locale) =>
+  sendEmail({
+    email,
+    template: "verification",
+    data: { code: verificationToken },
+    locale,
+    label: "Verification",
+  });
+
 // ========================== Send Welcome Email ===========================
-export const sendWelcomeEmail = async (email, name) => {
-  const text = `Welcome to our platform, ${name}! We're glad to have you on board.`;
-  const recipients = [{ email }];
-  try {
-    const response = await client.send({
-      from: sender,
-      to: recipients,
-      subject: "Welcome to Our Platform",
-      text,
-    });
-    console.log("Welcome email sent", response);
-  } catch (error) {
-    console.error("Error sending welcome email:", error);
-  }
-};
+export const sendWelcomeEmail = (email, name, locale) =>
+  sendEmail({
+    email,
+    template: "welcome",
+    data: { name, dashboardLink: `${process.env.FRONTEND_URL}/` },
+    locale,
+    label: "Welcome",
+  });
 
 // ========================== Send Password Reset Email ===========================
-export const sendPasswordResetEmail = async (email, resetLink) => {
-  const text = `You requested a password reset. Use the following link to reset your password: ${resetLink}. If you did not request this, please ignore this email.`;
-  const recipients = [{ email }];
-  try {
-    const response = await client.send({
-      from: sender,
-      to: recipients,
-      subject: "Password Reset Request",
-      text,
-    });
-    console.log("Password reset email sent", response);
-  } catch (error) {
-    console.error("Error sending password reset email:", error);
-  }
-};
+export const sendPasswordResetEmail = (email, resetLink, locale) =>
+  sendEmail({
+    email,
+    template: "passwordReset",
+    data: { resetLink },
+    locale,
+    label: "Password reset",
+  });
 
 // ========================== Send Password Reset Confirmation Email ===========================
-export const sendPasswordResetConfirmationEmail = async (email) => {
-  const text = `Your password has been successfully reset. If you did not perform this action, please contact our support team immediately.`;
-  const recipients = [{ email }];
-  try {
-    const response = await client.send({
-      from: sender,
-      to: recipients,
-      subject: "Password Reset Confirmation",
-      text,
-    });
-    console.log("Password reset confirmation email sent", response);
-  } catch (error) {
-    console.error("Error sending password reset confirmation email:", error);
-  }
-};
+export const sendPasswordResetConfirmationEmail = (
+  email,
+  locale,
+  idempotencyKey
+) =>
+  sendEmail({
+    email,
+    template: "passwordResetConfirmation",
+    data: {},
+    locale,
+    label: "Password reset confirmation",
+    idempotencyKey,
+  });
+
+// ========================== Send Password Changed Email ===========================
+export const sendPasswordChangedEmail = (email, changedAt, locale) =>
+  sendEmail({
+    email,
+    template: "passwordChanged",
+    data: { changedAt },
+    locale,
+    label: "Password changed",
+  });
+
+// ========================== Send Email Change Email ===========================
+// Goes to the new address, which must be confirmed before it is used
+export const sendEmailChangeEmail = (newEmail, confirmLink, locale) =>
+  sendEmail({
+    email: newEmail,
+    template: "emailChange",
+    data: { newEmail, confirmLink },
+    locale,
+    label: "Email change",
+  });
+
+// ========================== Send Email Changed Email ===========================
+// Tells the previous address that it no longer belongs to the account
+export const sendEmailChangedEmail = (email, newEmail, changedAt, locale) =>
+  sendEmail({
+    email,
+    template: "emailChanged",
+    data: { newEmail, changedAt },
+    locale,
+    label: "Email changed",
+  });
+
+// ========================== Send Account Locked Email ===========================
+export const sendAccountLockedEmail = (email, unlockLink, lockUntil, locale) =>
+  sendEmail({
+    email,
+    template: "accountLocked",
+    data: { unlockLink, lockUntil },
+    locale,
+    label: "Account locked",
+  });
+
+// ========================== Send Account Deletion Email ===========================
+export const sendAccountDeletionEmail = (
+  email,
+  cancelLink,
+  deletionDate,
+  locale
+) =>
+  sendEmail({
+    email,
+    template: "accountDeletion",
+    data: { cancelLink, deletionDate },
+    locale,
+    label: "Account deletion",
+  });
+
+// ========================== Send New Device Email ===========================
+// `details` holds signedInAt, device, location, ip and reportLink
+export const sendNewDeviceEmail = (email, details, locale) =>
+  sendEmail({
+    email,
+    template: "newDevice",
+    data: details,
+    locale,
+    label: "New device",
+  });
+
+// ========================== Send Organization Invite Email ===========================
+// `invite` holds organizationName, inviterName, role, inviteLink and expiresAt
+export const sendOrganizationInviteEmail = (email, invite, locale) =>
+  sendEmail({
+    email,
+    template: "organizationInvite",
+    data: invite,
+    locale,
+    label: "Organization invite",
+  });
+
+// ========================== Send Magic Link Email ===========================
+export const sendMagicLinkEmail = (email, magicLink, locale) =>
+  sendEmail({
+    email,
+    template: "magicLink",
+    data: { magicLink },
+    locale,
+    label: "Magic link",
+  });
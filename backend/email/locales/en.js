@@ -0,0 +1,99 @@
+export default {
+  layout: {
+    appName: "Advance MERN Auth App",
+    footer: "You received this email because of activity on your account.",
+    linkFallback: "If the button doesn't work, copy and paste this link into your browser:",
+  },
+  verification: {
+    subject: "Verify your email",
+    heading: "Verify your email",
+    intro: "Use the code below to verify your email address.",
+    expiry: "The code expires in 1 hour.",
+    ignore: "If you didn't create an account, you can ignore this email.",
+  },
+  welcome: {
+    subject: "Welcome to Our Platform",
+    heading: "Welcome, {{name}}!",
+    intro: "Your email is verified. We're glad to have you on board.",
+    action: "Go to your dashboard",
+  },
+  passwordReset: {
+    subject: "Password Reset Request",
+    heading: "Reset your password",
+    intro: "You requested a password reset. Use the button below to choose a new password.",
+    action: "Reset password",
+    expiry: "The link expires in 1 hour.",
+    ignore: "If you did not request this, please ignore this email.",
+  },
+  passwordResetConfirmation: {
+    subject: "Password Reset Confirmation",
+    heading: "Your password was reset",
+    intro: "Your password has been successfully reset.",
+    warning: "If you did not perform this action, please contact our support team immediately.",
+  },
+  accountLocked: {
+    subject: "Your account has been locked",
+    heading: "Your account has been locked",
+    intro: "Your account has been temporarily locked after too many failed login attempts. It will unlock automatically at {{lockUntil}}.",
+    action: "Unlock my account",
+    warning: "If it wasn't you, we recommend resetting your password.",
+  },
+  passwordChanged: {
+    subject: "Your password was changed",
+    heading: "Your password was changed",
+    intro: "The password for your account was changed on {{changedAt}}. Your other devices have been signed out.",
+    warning: "If you did not perform this action, reset your password right away and contact our support team.",
+  },
+  emailChange: {
+    subject: "Confirm your new email address",
+    heading: "Confirm your new email",
+    intro: "Use the button below to make {{newEmail}} the email address of your account.",
+    action: "Confirm email",
+    expiry: "The link expires in 1 hour.",
+    ignore: "If you did not request this, please ignore this email.",
+  },
+  emailChanged: {
+    subject: "Your email address was changed",
+    heading: "Your email address was changed",
+    intro: "The email address of your account was changed to {{newEmail}} on {{changedAt}}. This address will no longer receive emails about your account.",
+    warning: "If you did not perform this action, please contact our support team immediately.",
+  },
+  accountDeletion: {
+    subject: "Your account is scheduled for deletion",
+    heading: "Your account will be deleted",
+    intro: "We received a request to delete your account. You have been signed out everywhere, and your account and its data will be permanently deleted on {{deletionDate}}.",
+    action: "Keep my account",
+    warning: "If you did not request this, use the button above to cancel the deletion and reset your password.",
+  },
+  newDevice: {
+    subject: "New sign-in to your account",
+    heading: "New sign-in from an unrecognized device",
+    intro: "Your account was just signed in to from a device we have not seen before.",
+    details: "When: {{signedInAt}} · Device: {{device}} · Location: {{location}} ({{ip}})",
+    unknownLocation: "Unknown location",
+    ignore: "If this was you, you can ignore this email.",
+    action: "This wasn't me",
+    warning: "The button signs that device out and asks you to choose a new password. It expires in 7 days.",
+  },
+  organizationInvite: {
+    subject: "You're invited to join an organization",
+    heading: "Join {{organizationName}}",
+    intro: "{{inviterName}} invited you to join {{organizationName}} as {{role}}. Sign in or create an account with this email address to accept.",
+    roles: {
+      owner: "an owner",
+      admin: "an admin",
+      member: "a member",
+    },
+    action: "Accept invitation",
+    expiry: "The invitation expires on {{expiresAt}}.",
+    ignore: "If you were not expecting this invitation, you can ignore this email.",
+  },
+  magicLink: {
+    subject: "Your sign-in link",
+    heading: "Sign in",
+    intro: "Use the button below to sign in.",
+    action: "Sign in",
+    expiry: "The link expires in 15 minutes and can only be used once.",
+    ignore: "If you did not request this, please ignore this email.",
+  },
+};
@@ -0,0 +1,99 @@
+export default {
+  layout: {
+    appName: "Advance MERN Auth App",
+    footer: "Recibes este correo por actividad en tu cuenta.",
+    linkFallback: "Si el botón no funciona, copia y pega este enlace en tu navegador:",
+  },
+  verification: {
+    subject: "Verifica tu correo electrónico",
+    heading: "Verifica tu correo electrónico",
+    intro: "Usa el siguiente código para verificar tu dirección de correo.",
+    expiry: "El código caduca en 1 hora.",
+    ignore: "Si no creaste una cuenta, puedes ignorar este correo.",
+  },
+  welcome: {
+    subject: "Bienvenido a nuestra plataforma",
+    heading: "¡Bienvenido, {{name}}!",
+    intro: "Tu correo está verificado. Nos alegra tenerte con nosotros.",
+    action: "Ir a tu panel",
+  },
+  passwordReset: {
+    subject: "Solicitud de restablecimiento de contraseña",
+    heading: "Restablece tu contraseña",
+    intro: "Solicitaste restablecer tu contraseña. Usa el botón para elegir una nueva.",
+    action: "Restablecer contraseña",
+    expiry: "El enlace caduca en 1 hora.",
+    ignore: "Si no lo solicitaste, ignora este correo.",
+  },
+  passwordResetConfirmation: {
+    subject: "Contraseña restablecida",
+    heading: "Tu contraseña fue restablecida",
+    intro: "Tu contraseña se ha restablecido correctamente.",
+    warning: "Si no realizaste esta acción, contacta a nuestro equipo de soporte de inmediato.",
+  },
+  accountLocked: {
+    subject: "Tu cuenta ha sido bloqueada",
+    heading: "Tu cuenta ha sido bloqueada",
+    intro: "Tu cuenta se bloqueó temporalmente tras demasiados intentos fallidos de inicio de sesión. Se desbloqueará automáticamente el {{lockUntil}}.",
+    action: "Desbloquear mi cuenta",
+    warning: "Si no fuiste tú, te recomendamos restablecer tu contraseña.",
+  },
+  passwordChanged: {
+    subject: "Tu contraseña fue cambiada",
+    heading: "Tu contraseña fue cambiada",
+    intro: "La contraseña de tu cuenta se cambió el {{changedAt}}. Se cerró la sesión en tus otros dispositivos.",
+    warning: "Si no realizaste esta acción, restablece tu contraseña de inmediato y contacta a nuestro equipo de soporte.",
+  },
+  emailChange: {
+    subject: "Confirma tu nuevo correo electrónico",
+    heading: "Confirma tu nuevo correo",
+    intro: "Usa el botón para que {{newEmail}} sea el correo electrónico de tu cuenta.",
+    action: "Confirmar correo",
+    expiry: "El enlace caduca en 1 hora.",
+    ignore: "Si no lo solicitaste, ignora este correo.",
+  },
+  emailChanged: {
+    subject: "Tu correo electrónico fue cambiado",
+    heading: "Tu correo electrónico fue cambiado",
+    intro: "El correo electrónico de tu cuenta se cambió a {{newEmail}} el {{changedAt}}. Esta dirección ya no recibirá correos sobre tu cuenta.",
+    warning: "Si no realizaste esta acción, contacta a nuestro equipo de soporte de inmediato.",
+  },
+  accountDeletion: {
+    subject: "Tu cuenta será eliminada",
+    heading: "Tu cuenta será eliminada",
+    intro: "Recibimos una solicitud para eliminar tu cuenta. Se cerró tu sesión en todos los dispositivos, y tu cuenta y sus datos se eliminarán de forma permanente el {{deletionDate}}.",
+    action: "Conservar mi cuenta",
+    warning: "Si no lo solicitaste, usa el botón de arriba para cancelar la eliminación y restablece tu contraseña.",
+  },
+  newDevice: {
+    subject: "Nuevo inicio de sesión en tu cuenta",
+    heading: "Inicio de sesión desde un dispositivo desconocido",
+    intro: "Se acaba de iniciar sesión en tu cuenta desde un dispositivo que no habíamos visto antes.",
+    details: "Cuándo: {{signedInAt}} · Dispositivo: {{device}} · Ubicación: {{location}} ({{ip}})",
+    unknownLocation: "Ubicación desconocida",
+    ignore: "Si fuiste tú, puedes ignorar este correo.",
+    action: "No fui yo",
+    warning: "El botón cierra la sesión en ese dispositivo y te pide elegir una nueva contraseña. Caduca en 7 días.",
+  },
+  organizationInvite: {
+    subject: "Te invitaron a unirte a una organización",
+    heading: "Únete a {{organizationName}}",
+    intro: "{{inviterName}} te invitó a unirte a {{organizationName}} como {{role}}. Inicia sesión o crea una cuenta con esta dirección de correo para aceptar.",
+    roles: {
+      owner: "propietario",
+      admin: "administrador",
+      member: "miembro",
+    },
+    action: "Aceptar invitación",
+    expiry: "La invitación caduca el {{expiresAt}}.",
+    ignore: "Si no esperabas esta invitación, puedes ignorar este correo.",
+  },
+  magicLink: {
+    subject: "Tu enlace de inicio de sesión",
+    heading: "Iniciar sesión",
+    intro: "Usa el botón para iniciar sesión.",
+    action: "Iniciar sesión",
+    expiry: "El enlace caduca en 15 minutos y solo puede usarse una vez.",
+    ignore: "Si no lo solicitaste, ignora este correo.",
+  },
+};
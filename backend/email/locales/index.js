@@ -0,0 +1,18 @@
+import { DEFAULT_LOCALE } from "../../config/locales.js";
+import en from "./en.js";
+import es from "./es.js";
+
+const strings = { en, es };
+
+const lookup = (table, key) =>
+  key.split(".").reduce((value, part) => value?.[part], table);
+
+// Returns t(key, vars) for a locale. Missing strings fall back to the default
+// locale, then to the key itself so a gap is visible rather than blank.
+export const getTranslator = (locale) => (key, vars = {}) => {
+  const template =
+    lookup(strings[locale], key) ?? lookup(strings[DEFAULT_LOCALE], key) ?? key;
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    name in vars ? String(vars[name]) : match
+  );
+};
@@ -0,0 +1,171 @@
+import crypto from "crypto";
+import { EmailJob } from "../models/emailJob.model.js";
+import { transport, sender } from "./sendEmail.config.js";
+import { renderEmail } from "./templates/index.js";
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = Number(process.env.EMAIL_RETRY_BASE_MS) || 30 * 1000; // 30 seconds
+const RETRY_MAX_MS = 60 * 60 * 1000; // 1 hour
+const POLL_INTERVAL_MS = Number(process.env.EMAIL_POLL_INTERVAL_MS) || 5000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // Reclaim jobs of a worker that died mid-send
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Dead jobs keep their data (links, codes) for retries, but no longer than
+// the longest-lived link an email carries (invitations, 7 days)
+const DEAD_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let wakeWorker = null;
+
+// 30s, 1m, 2m, 4m... capped at an hour, with some jitter so failed jobs
+// don't all retry at the same moment
+export const retryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// ====================== Enqueue Email ======================
+// Stores the email for the worker and returns right away, so requests never
+// wait on the provider. Without an `idempotencyKey` every call is a new email;
+// with one, a job already stored under that key (whatever its status) is
+// returned instead and `duplicate` is true.
+export const enqueueEmail = async ({
+  template,
+  to,
+  data = {},
+  locale,
+  idempotencyKey = crypto.randomUUID(),
+}) => {
+  const { value: job, lastErrorObject } = await EmailJob.findOneAndUpdate(
+    { idempotencyKey },
+    {
+      $setOnInsert: {
+        template,
+        to,
+        data,
+        locale,
+        idempotencyKey,
+        maxAttempts: MAX_ATTEMPTS,
+      },
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+  const duplicate = Boolean(lastErrorObject?.updatedExisting);
+
+  if (!duplicate) wakeWorker?.();
+  return { job, duplicate };
+};
+
+// ====================== Deliver Email ======================
+const deliverEmail = async (job) => {
+  const { subject, html, text } = renderEmail(job.template, job.data, job.locale);
+  return transport.send({
+    from: sender,
+    to: [{ email: job.to }],
+    subject,
+    html,
+    text,
+  });
+};
+
+// ====================== Process Next Job ======================
+// Claims and sends one due job. Returns false when there was nothing to do.
+export const processNextEmailJob = async () => {
+  const now = Date.now();
+  const job = await EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "processing", lockedAt: { $lt: now - LOCK_TIMEOUT_MS } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+  if (!job) return false;
+
+  try {
+    const response = await deliverEmail(job);
+    await EmailJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "sent",
+          sentAt: Date.now(),
+          expireAt: Date.now() + SENT_RETENTION_MS,
+        },
+        $unset: { data: 1, lockedAt: 1, lastError: 1 },
+      }
+    );
+    console.log(
+      `Email job ${job._id} (${job.template}) sent via ${transport.name}`,
+      response
+    );
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    await EmailJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: dead ? "dead" : "pending",
+          nextAttemptAt: dead
+            ? job.nextAttemptAt
+            : now + retryDelay(job.attempts),
+          lastError: error.message,
+          ...(dead && { expireAt: now + DEAD_RETENTION_MS }),
+        },
+        $unset: { lockedAt: 1 },
+      }
+    );
+    console.error(
+      `Email job ${job._id} (${job.template}) failed, attempt ${job.attempts}/${job.maxAttempts}${dead ? ", moved to dead letter" : ""}:`,
+      error
+    );
+  }
+  return true;
+};
+
+// ====================== Email Worker ======================
+// Drains due jobs, then polls. Enqueueing wakes the worker so emails go out
+// right away when the provider is healthy. Returns a function that stops it.
+export const startEmailWorker = ({ pollInterval = POLL_INTERVAL_MS } = {}) => {
+  let timer = null;
+  let running = false;
+  let stopped = false;
+
+  const tick = async () => {
+    if (running || stopped) return;
+    running = true;
+    clearTimeout(timer);
+    try {
+      while (!stopped && (await processNextEmailJob()));
+    } catch (error) {
+      console.error("Email worker error:", error);
+    } finally {
+      running = false;
+      if (!stopped) timer = setTimeout(tick, pollInterval);
+    }
+  };
+
+  wakeWorker = () => setImmediate(tick);
+  tick();
+
+  return () => {
+    stopped = true;
+    wakeWorker = null;
+    clearTimeout(timer);
+  };
+};
+
+// ====================== Re-drive Jobs ======================
+// Puts dead (or still pending) jobs back in line with a fresh attempt budget.
+// Returns how many jobs were requeued.
+export const requeueEmailJobs = async (filter) => {
+  const { modifiedCount } = await EmailJob.updateMany(
+    { ...filter, status: { $in: ["dead", "pending"] } },
+    {
+      $set: { status: "pending", attempts: 0, nextAttemptAt: Date.now() },
+      $unset: { expireAt: 1 },
+    }
+  );
+  if (modifiedCount) wakeWorker?.();
+  return modifiedCount;
+};
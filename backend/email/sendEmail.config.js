@@ -1,14 +1,42 @@
-import { MailtrapClient } from "mailtrap";
 import dotenv from "dotenv";
+import { createMailtrapTransport } from "./transports/mailtrap.transport.js";
+import { createSmtpTransport } from "./transports/smtp.transport.js";
+import { createConsoleTransport } from "./transports/console.transport.js";
+import { createFileTransport } from "./transports/file.transport.js";
 
 dotenv.config();
-const TOKEN = process.env.MAILTRAP_TOKEN;
 
-export const client = new MailtrapClient({
-  token: TOKEN,
-});
+// EMAIL_TRANSPORT picks the driver: mailtrap | smtp | console | file.
+// Without it, Mailtrap is used when MAILTRAP_TOKEN is set. Otherwise emails
+// are printed to the console in development, and production refuses to start
+// rather than leave links and codes in the logs undelivered.
+const transports = {
+  mailtrap: createMailtrapTransport,
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+const transportName =
+  process.env.EMAIL_TRANSPORT ||
+  (process.env.MAILTRAP_TOKEN ? "mailtrap" : null) ||
+  (process.env.NODE_ENV === "production" ? null : "console");
+
+if (!transportName) {
+  throw new Error(
+    "No email transport configured, set EMAIL_TRANSPORT (or MAILTRAP_TOKEN)"
+  );
+}
+
+if (!transports[transportName]) {
+  throw new Error(
+    `Unknown EMAIL_TRANSPORT "${transportName}", expected one of: ${Object.keys(transports).join(", ")}`
+  );
+}
+
+export const transport = transports[transportName]();
 
 export const sender = {
-  email: "hello@demomailtrap.com",
-  name: "Advance MERN Auth App",
+  email: process.env.EMAIL_FROM || "hello@demomailtrap.com",
+  name: process.env.EMAIL_FROM_NAME || "Advance MERN Auth App",
 };
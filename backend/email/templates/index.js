@@ -0,0 +1,210 @@
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../../config/locales.js";
+import { getTranslator } from "../locales/index.js";
+import { renderLayout } from "./layout.js";
+import { heading, paragraph, muted, code, button } from "./partials.js";
+
+const formatDateTime = (value, locale) =>
+  new Date(value).toLocaleString(locale, {
+    dateStyle: "medium",
+    timeStyle: "long",
+    timeZone: "UTC",
+  });
+
+// ====================== Templates ======================
+// Each template turns its data into a list of blocks; `sample` is the data
+// used by the dev preview route.
+export const templates = {
+  verification: {
+    sample: { code: "123456" },
+    blocks: ({ code: verificationCode }, t) => [
+      heading(t("verification.heading")),
+      paragraph(t("verification.intro")),
+      code(verificationCode),
+      paragraph(t("verification.expiry")),
+      muted(t("verification.ignore")),
+    ],
+  },
+  welcome: {
+    sample: { name: "Jane Doe", dashboardLink: "http://localhost:5173/" },
+    blocks: ({ name, dashboardLink }, t) => [
+      heading(t("welcome.heading", { name })),
+      paragraph(t("welcome.intro")),
+      button(dashboardLink, t("welcome.action"), t),
+    ],
+  },
+  passwordReset: {
+    sample: { resetLink: "http://localhost:5173/reset-password/sample-token" },
+    blocks: ({ resetLink }, t) => [
+      heading(t("passwordReset.heading")),
+      paragraph(t("passwordReset.intro")),
+      button(resetLink, t("passwordReset.action"), t),
+      paragraph(t("passwordReset.expiry")),
+      muted(t("passwordReset.ignore")),
+    ],
+  },
+  passwordResetConfirmation: {
+    sample: {},
+    blocks: (data, t) => [
+      heading(t("passwordResetConfirmation.heading")),
+      paragraph(t("passwordResetConfirmation.intro")),
+      muted(t("passwordResetConfirmation.warning")),
+    ],
+  },
+  accountLocked: {
+    sample: {
+      unlockLink: "http://localhost:5173/unlock-account/sample-token",
+      lockUntil: new Date(Date.now() + 15 * 60 * 1000),
+    },
+    blocks: ({ unlockLink, lockUntil }, t, locale) => [
+      heading(t("accountLocked.heading")),
+      paragraph(
+        t("accountLocked.intro", {
+          lockUntil: formatDateTime(lockUntil, locale),
+        })
+      ),
+      button(unlockLink, t("accountLocked.action"), t),
+      muted(t("accountLocked.warning")),
+    ],
+  },
+  passwordChanged: {
+    sample: { changedAt: new Date() },
+    blocks: ({ changedAt }, t, locale) => [
+      heading(t("passwordChanged.heading")),
+      paragraph(
+        t("passwordChanged.intro", {
+          changedAt: formatDateTime(changedAt, locale),
+        })
+      ),
+      muted(t("passwordChanged.warning")),
+    ],
+  },
+  emailChange: {
+    sample: {
+      newEmail: "jane@example.com",
+      confirmLink: "http://localhost:5173/confirm-email/sample-token",
+    },
+    blocks: ({ newEmail, confirmLink }, t) => [
+      heading(t("emailChange.heading")),
+      paragraph(t("emailChange.intro", { newEmail })),
+      button(confirmLink, t("emailChange.action"), t),
+      paragraph(t("emailChange.expiry")),
+      muted(t("emailChange.ignore")),
+    ],
+  },
+  emailChanged: {
+    sample: { newEmail: "jane@example.com", changedAt: new Date() },
+    blocks: ({ newEmail, changedAt }, t, locale) => [
+      heading(t("emailChanged.heading")),
+      paragraph(
+        t("emailChanged.intro", {
+          newEmail,
+          changedAt: formatDateTime(changedAt, locale),
+        })
+      ),
+      muted(t("emailChanged.warning")),
+    ],
+  },
+  accountDeletion: {
+    sample: {
+      cancelLink: "http://localhost:5173/cancel-deletion/sample-token",
+      deletionDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    },
+    blocks: ({ cancelLink, deletionDate }, t, locale) => [
+      heading(t("accountDeletion.heading")),
+      paragraph(
+        t("accountDeletion.intro", {
+          deletionDate: formatDateTime(deletionDate, locale),
+        })
+      ),
+      button(cancelLink, t("accountDeletion.action"), t),
+      muted(t("accountDeletion.warning")),
+    ],
+  },
+  newDevice: {
+    sample: {
+      signedInAt: new Date(),
+      device: "Firefox on Windows",
+      location: "Madrid, Spain",
+      ip: "203.0.113.7",
+      reportLink: "http://localhost:5173/report-device/sample-token",
+    },
+    blocks: ({ signedInAt, device, location, ip, reportLink }, t, locale) => [
+      heading(t("newDevice.heading")),
+      paragraph(t("newDevice.intro")),
+      paragraph(
+        t("newDevice.details", {
+          signedInAt: formatDateTime(signedInAt, locale),
+          device,
+          location: location || t("newDevice.unknownLocation"),
+          ip,
+        })
+      ),
+      paragraph(t("newDevice.ignore")),
+      button(reportLink, t("newDevice.action"), t),
+      muted(t("newDevice.warning")),
+    ],
+  },
+  organizationInvite: {
+    sample: {
+      organizationName: "Acme Inc.",
+      inviterName: "Jane Doe",
+      role: "member",
+      inviteLink: "http://localhost:5173/invitations/sample-token",
+      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    },
+    blocks: (
+      { organizationName, inviterName, role, inviteLink, expiresAt },
+      t,
+      locale
+    ) => [
+      heading(t("organizationInvite.heading", { organizationName })),
+      paragraph(
+        t("organizationInvite.intro", {
+          inviterName,
+          organizationName,
+          role: t(`organizationInvite.roles.${role}`),
+        })
+      ),
+      button(inviteLink, t("organizationInvite.action"), t),
+      paragraph(
+        t("organizationInvite.expiry", {
+          expiresAt: formatDateTime(expiresAt, locale),
+        })
+      ),
+      muted(t("organizationInvite.ignore")),
+    ],
+  },
+  magicLink: {
+    sample: { magicLink: "http://localhost:5173/magic-link/sample-token" },
+    blocks: ({ magicLink }, t) => [
+      heading(t("magicLink.heading")),
+      paragraph(t("magicLink.intro")),
+      button(magicLink, t("magicLink.action"), t),
+      paragraph(t("magicLink.expiry")),
+      muted(t("magicLink.ignore")),
+    ],
+  },
+};
+
+// ====================== Render Email ======================
+// Returns { subject, html, text } for a template in the given locale.
+export const renderEmail = (name, data, locale = DEFAULT_LOCALE) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+
+  const resolvedLocale = SUPPORTED_LOCALES.includes(locale)
+    ? locale
+    : DEFAULT_LOCALE;
+  const t = getTranslator(resolvedLocale);
+  const subject = t(`${name}.subject`);
+
+  return {
+    subject,
+    ...renderLayout({
+      locale: resolvedLocale,
+      subject,
+      blocks: template.blocks(data, t, resolvedLocale),
+      t,
+    }),
+  };
+};
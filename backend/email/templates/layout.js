@@ -0,0 +1,39 @@
+import { escapeHtml } from "./partials.js";
+
+// ====================== Layout ======================
+// Wraps rendered blocks in the shared header and footer.
+export const renderLayout = ({ locale, subject, blocks, t }) => {
+  const appName = t("layout.appName");
+  const footer = t("layout.footer");
+
+  const html = `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border-radius:12px;overflow:hidden;">
+<tr><td style="padding:20px 32px;background:linear-gradient(90deg,#10b981,#059669);color:#ffffff;font-size:18px;font-weight:bold;">${escapeHtml(appName)}</td></tr>
+<tr><td style="padding:32px;">
+${blocks.map((block) => block.html).join("\n")}
+</td></tr>
+<tr><td style="padding:16px 32px;background:#f9fafb;font-size:12px;color:#9ca3af;">${escapeHtml(footer)}</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+  const text = [
+    ...blocks.map((block) => block.text),
+    "--",
+    appName,
+    footer,
+  ].join("\n\n");
+
+  return { html, text };
+};
@@ -0,0 +1,40 @@
+// Building blocks for email bodies. Each returns both renderings of the same
+// content so the HTML and plain-text variants never drift apart.
+
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+export const heading = (text) => ({
+  html: `<h1 style="margin:0 0 16px;font-size:22px;color:#111827;">${escapeHtml(text)}</h1>`,
+  text: `${text}\n${"=".repeat(text.length)}`,
+});
+
+export const paragraph = (text) => ({
+  html: `<p style="margin:0 0 16px;font-size:15px;line-height:1.6;color:#374151;">${escapeHtml(text)}</p>`,
+  text,
+});
+
+export const muted = (text) => ({
+  html: `<p style="margin:0 0 16px;font-size:13px;line-height:1.6;color:#6b7280;">${escapeHtml(text)}</p>`,
+  text,
+});
+
+export const code = (value) => ({
+  html: `<p style="margin:0 0 16px;font-size:32px;font-weight:bold;letter-spacing:8px;color:#059669;text-align:center;">${escapeHtml(value)}</p>`,
+  text: `    ${value}`,
+});
+
+// Call to action; the raw link is repeated under the button for mail clients
+// that strip styles or block links
+export const button = (url, label, t) => ({
+  html: [
+    `<p style="margin:24px 0;text-align:center;"><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 24px;border-radius:8px;background:#10b981;color:#ffffff;font-weight:bold;text-decoration:none;">${escapeHtml(label)}</a></p>`,
+    `<p style="margin:0 0 16px;font-size:12px;color:#6b7280;">${escapeHtml(t("layout.linkFallback"))}<br /><a href="${escapeHtml(url)}" style="color:#059669;word-break:break-all;">${escapeHtml(url)}</a></p>`,
+  ].join("\n"),
+  text: `${label}: ${url}`,
+});
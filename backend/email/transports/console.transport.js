@@ -0,0 +1,18 @@
+// ====================== Console Transport ======================
+// Prints emails instead of sending them; the default in development.
+export const createConsoleTransport = () => ({
+  name: "console",
+  send: async ({ to, subject, text }) => {
+    console.log(
+      [
+        "---------------- Email ----------------",
+        `To: ${to.map((recipient) => recipient.email).join(", ")}`,
+        `Subject: ${subject}`,
+        "",
+        text,
+        "---------------------------------------",
+      ].join("\n")
+    );
+    return { success: true };
+  },
+});
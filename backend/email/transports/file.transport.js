@@ -0,0 +1,27 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// ====================== File Outbox Transport ======================
+// Writes every email as a JSON file to EMAIL_OUTBOX_DIR (default
+// `.outbox/` in the working directory), so integration tests can read the
+// verification code or reset link a request just sent.
+export const createFileTransport = () => {
+  const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || ".outbox");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      // Timestamp first so the newest email sorts last
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const file = path.join(outboxDir, `${id}.json`);
+      await fs.writeFile(
+        file,
+        JSON.stringify({ id, sentAt: new Date(), ...message }, null, 2)
+      );
+      return { success: true, id, file };
+    },
+  };
+};
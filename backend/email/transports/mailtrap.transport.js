@@ -0,0 +1,11 @@
+import { MailtrapClient } from "mailtrap";
+
+// ====================== Mailtrap Transport ======================
+export const createMailtrapTransport = () => {
+  const client = new MailtrapClient({ token: process.env.MAILTRAP_TOKEN });
+
+  return {
+    name: "mailtrap",
+    send: (message) => client.send(message),
+  };
+};
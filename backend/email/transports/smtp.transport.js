@@ -0,0 +1,30 @@
+import nodemailer from "nodemailer";
+
+const formatAddress = ({ email, name }) =>
+  name ? { name, address: email } : email;
+
+// ====================== SMTP Transport ======================
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE ("true" for implicit TLS, usually port
+// 465), SMTP_USER, SMTP_PASS
+export const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: ({ from, to, subject, text, html }) =>
+      transporter.sendMail({
+        from: formatAddress(from),
+        to: to.map(formatAddress),
+        subject,
+        text,
+        html,
+      }),
+  };
+};
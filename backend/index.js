@@ -1,6 +1,15 @@
 import express from "express";
 import connectDB from "./db/connectDB.js";
 import authRoutes from "./routes/auth.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import organizationRoutes from "./routes/organization.route.js";
+import oidcRoutes from "./routes/oidc.route.js";
+import wellKnownRoutes from "./routes/wellKnown.route.js";
+import emailPreviewRoutes from "./routes/emailPreview.route.js";
+import { startEmailWorker } from "./email/queue.js";
+import { startAccountPurge } from "./utils/accountDeletion.js";
+import { notFound, errorHandler } from "./middleware/errorHandler.js";
+import { csrfProtection } from "./middleware/csrfProtection.js";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import cors from "cors";
@@ -10,10 +19,19 @@ const app = express();
 
 dotenv.config();
 
+// Behind a reverse proxy, trust X-Forwarded-For so sessions record the real client IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(
   cors({
     origin: process.env.CLIENT_URL || "http://localhost:5173",
     credentials: true,
+    // Retry-After for rate-limit countdowns, Content-Disposition for the
+    // file name of data exports
+    exposedHeaders: ["Retry-After", "Content-Disposition"],
   })
 );
 
@@ -23,8 +41,20 @@ app.get("/", (req, res) => {
 
 app.use(express.json()); // Middleware to parse JSON requests
 app.use(cookieParser()); // Middleware to parse cookies
+app.use("/api", csrfProtection); // See config/csrf.config.js for exemptions
 
 app.use("/api/auth", authRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/orgs", organizationRoutes);
+app.use("/api/oidc", oidcRoutes);
+app.use("/.well-known", wellKnownRoutes);
+
+// Render email templates with sample data while working on them
+if (process.env.NODE_ENV !== "production") {
+  app.use("/api/dev/emails", emailPreviewRoutes);
+}
+
+app.use("/api", notFound);
 
 const PORT = process.env.PORT || 5000;
 
@@ -39,8 +69,19 @@ if (process.env.NODE_ENV === "production") {
   });
 }
 
+// Must be registered after every route
+app.use(errorHandler);
+
 app.listen(PORT, () => {
   connectDB();
+  // Run the email worker in-process unless it is deployed separately
+  if (process.env.EMAIL_WORKER !== "false") {
+    startEmailWorker();
+  }
+  // Same for the purge of deleted accounts (npm run purge-accounts from cron)
+  if (process.env.ACCOUNT_PURGE !== "false") {
+    startAccountPurge();
+  }
   console.log(`Server is running on port ${PORT}`);
 });
 
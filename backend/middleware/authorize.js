@@ -0,0 +1,36 @@
+import { User } from "../models/user.model.js";
+import { permissionsForRoles } from "../config/roles.js";
+import { AuthError, ForbiddenError } from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+// Chain after verifyToken: router.get("/x", verifyToken, authorize("users:read"), ...)
+// Requires every listed permission and attaches the loaded user as req.user.
+export const authorize = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const user = await User.findById(req.userId);
+      if (!user) {
+        throw new AuthError("User not found");
+      }
+      if (user.isDisabled) {
+        throw new ForbiddenError("Account is disabled", {
+          code: ERROR_CODES.ACCOUNT_DISABLED,
+        });
+      }
+
+      const granted = permissionsForRoles(user.roles);
+      const missing = permissions.filter(
+        (permission) => !granted.includes(permission)
+      );
+      if (missing.length) {
+        throw new ForbiddenError();
+      }
+
+      req.user = user;
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
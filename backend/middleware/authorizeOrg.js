@@ -0,0 +1,42 @@
+import { Membership } from "../models/membership.model.js";
+import { permissionsForOrgRole } from "../config/organizationRoles.js";
+import { ForbiddenError } from "../utils/errors.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+// Chain after verifyToken: router.get("/x", verifyToken, authorizeOrg("org:read"), ...)
+// Scopes the request to the session's active organization. Requires a
+// membership granting every listed permission and attaches req.organization,
+// req.membership and req.orgPermissions.
+export const authorizeOrg = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const membership = req.organizationId
+        ? await Membership.findOne({
+            organization: req.organizationId,
+            user: req.userId,
+          }).populate("organization")
+        : null;
+      // Never joined one, or removed from it since it was selected
+      if (!membership?.organization) {
+        throw new ForbiddenError("Select an organization first", {
+          code: ERROR_CODES.ORGANIZATION_REQUIRED,
+        });
+      }
+
+      const granted = permissionsForOrgRole(membership.role);
+      const missing = permissions.filter(
+        (permission) => !granted.includes(permission)
+      );
+      if (missing.length) {
+        throw new ForbiddenError();
+      }
+
+      req.organization = membership.organization;
+      req.membership = membership;
+      req.orgPermissions = granted;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -0,0 +1,51 @@
+import crypto from "crypto";
+import { ForbiddenError } from "../utils/errors.js";
+import { isValidCsrfToken } from "../utils/csrfTokens.js";
+import { readBearerToken } from "../utils/bearerToken.js";
+import { csrfConfig } from "../config/csrf.config.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const tokensMatch = (a, b) => {
+  const [bufferA, bufferB] = [Buffer.from(a), Buffer.from(b)];
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+const isExempt = (req) => {
+  // Only when the bearer token is what authenticates: without one,
+  // verifyToken falls back to the cookie
+  if (csrfConfig.exemptBearer && readBearerToken(req)) return true;
+  const path = `${req.baseUrl}${req.path}`;
+  return csrfConfig.exemptPaths.some(
+    (exempt) => path === exempt || path.startsWith(`${exempt}/`)
+  );
+};
+
+// Double-submit check: another site can make the browser send our cookie,
+// but can't read it to set the matching header.
+export const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || isExempt(req)) return next();
+
+  const header = req.get(csrfConfig.headerName);
+  const cookie = req.cookies[csrfConfig.cookieName];
+  if (!header) {
+    return next(
+      new ForbiddenError(
+        `Missing CSRF token, get one from GET /api/auth/csrf-token and send it in the ${csrfConfig.headerName} header`,
+        { code: ERROR_CODES.CSRF_TOKEN_MISSING }
+      )
+    );
+  }
+  if (!isValidCsrfToken(cookie) || !tokensMatch(header, cookie)) {
+    return next(
+      new ForbiddenError("CSRF token is invalid or expired", {
+        code: ERROR_CODES.CSRF_TOKEN_INVALID,
+      })
+    );
+  }
+  next();
+};
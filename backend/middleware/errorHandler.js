@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+import {
+  AppError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+} from "../utils/errors.js";
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Known library errors that are the client's fault, as AppErrors
+const normalizeError = (error) => {
+  if (error instanceof AppError) return error;
+
+  // express.json() with a malformed body
+  if (error.type === "entity.parse.failed") {
+    return new ValidationError("Malformed JSON body", {
+      code: ERROR_CODES.INVALID_JSON,
+    });
+  }
+  if (error instanceof jwt.TokenExpiredError) {
+    return new AuthError("Token has expired", {
+      code: ERROR_CODES.AUTH_TOKEN_EXPIRED,
+    });
+  }
+  if (error instanceof jwt.JsonWebTokenError) {
+    return new AuthError("Token is not valid", {
+      code: ERROR_CODES.AUTH_TOKEN_INVALID,
+    });
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError(`Invalid ${error.path}`, {
+      errors: { [error.path]: `Invalid ${error.path}` },
+    });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.fromEntries(
+      Object.entries(error.errors).map(([field, fieldError]) => [
+        field,
+        fieldError.message,
+      ])
+    );
+    return new ValidationError(Object.values(errors)[0], { errors });
+  }
+  // Unique index violation
+  if (error.code === 11000) {
+    return new ConflictError("Resource already exists");
+  }
+  return null;
+};
+
+// ====================== Not Found Handler ======================
+// Unknown API routes get a JSON 404 rather than Express's HTML page
+export const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+// ====================== Error Handler ======================
+// The single place errors are turned into responses:
+//   { message, code, ...details }
+// Unexpected errors are logged and reported as a generic 500; their message
+// and stack are only included outside production. Express recognizes error
+// middleware by its four parameters, so `next` stays even when unused.
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const appError = normalizeError(error);
+  if (appError) {
+    if (appError.retryAfter) {
+      res.set("Retry-After", String(appError.retryAfter));
+    }
+    return res.status(appError.status).json({
+      message: appError.message,
+      code: appError.code,
+      ...appError.toJSON(),
+    });
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+  res.status(500).json({
+    message: isProduction() ? "Something went wrong" : error.message,
+    code: ERROR_CODES.INTERNAL_ERROR,
+    ...(isProduction() ? {} : { stack: error.stack }),
+  });
+};
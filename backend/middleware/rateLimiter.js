@@ -0,0 +1,45 @@
+import { getDefaultStore } from "../utils/rateLimitStores.js";
+import { rateLimits } from "../config/rateLimit.config.js";
+import { RateLimitError } from "../utils/errors.js";
+
+// Rejects a client with 429 + Retry-After once it exceeds `max` requests per
+// `windowMs`. Counters are kept per limiter `name` and client IP unless a
+// custom `keyGenerator` is given.
+export const rateLimiter = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  store,
+}) => {
+  return async (req, res, next) => {
+    const limiterStore = store || getDefaultStore();
+    const key = `${name}:${keyGenerator(req)}`;
+
+    let hits;
+    try {
+      hits = await limiterStore.increment(key, windowMs);
+    } catch (error) {
+      // Fail open: a broken store must not take the auth routes down
+      console.error("Rate limit store error:", error);
+      return next();
+    }
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((hits.resetAt - Date.now()) / 1000)
+    );
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - hits.count)));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (hits.count > max) {
+      return next(new RateLimitError(undefined, { retryAfter }));
+    }
+
+    next();
+  };
+};
+
+// Rate limiter for a named route from config/rateLimit.config.js
+export const limitRoute = (name) => rateLimiter({ name, ...rateLimits[name] });
@@ -1,19 +1,130 @@
-import jwt from "jsonwebtoken";
+import { Session } from "../models/session.model.js";
+import { ApiKey } from "../models/apiKey.model.js";
+import { AuthError, ForbiddenError } from "../utils/errors.js";
+import { isApiKey, findApiKey } from "../utils/apiKeys.js";
+import { readBearerToken } from "../utils/bearerToken.js";
+import { verifyAccessToken } from "../utils/generateTokenAndCookies.js";
+import { recordAuthEvent } from "../utils/authEvents.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
 
-export const verifyToken = (req, res, next) => {
-  const token = req.cookies.token;
+// Only touch lastSeenAt once a minute to avoid a write on every request
+const LAST_SEEN_RESOLUTION = 60 * 1000;
+
+// Rejections worth an audit log entry. Missing and expired tokens are not:
+// they are part of normal use.
+const AUDITED_REJECTIONS = [
+  ERROR_CODES.AUTH_TOKEN_INVALID,
+  ERROR_CODES.AUTH_SESSION_REVOKED,
+];
+
+// Browsers send the access token cookie. Other clients send either the same
+// JWT or an API key as "Authorization: Bearer <token>".
+const readToken = (req) => readBearerToken(req) ?? req.cookies.token;
+
+const verifySessionToken = async (req, res, token) => {
+  const decoded = await verifyAccessToken(token);
+  if (!decoded || !decoded.jti) {
+    throw new AuthError("Token is not valid", {
+      code: ERROR_CODES.AUTH_TOKEN_INVALID,
+    });
+  }
+  res.locals.auditUser = decoded.id;
+
+  // Reject tokens whose session was revoked (logout, "log out everywhere")
+  const session = await Session.findOne({
+    jti: decoded.jti,
+    revokedAt: null,
+  });
+  if (!session) {
+    throw new AuthError("Session has been revoked", {
+      code: ERROR_CODES.AUTH_SESSION_REVOKED,
+    });
+  }
+  if (Date.now() - session.lastSeenAt > LAST_SEEN_RESOLUTION) {
+    session.lastSeenAt = Date.now();
+    await session.save();
+  }
+
+  req.userId = decoded.id;
+  req.sessionId = decoded.jti;
+  req.organizationId = session.activeOrganization?.toString();
+};
+
+// API keys have no session: only routes that accept `scope` let them in
+const verifyApiKey = async (req, res, key, scope) => {
+  const apiKey = await findApiKey(key);
+  res.locals.auditUser = apiKey?.user;
+  if (!apiKey || apiKey.revokedAt) {
+    throw new AuthError("API key is not valid", {
+      code: ERROR_CODES.AUTH_TOKEN_INVALID,
+    });
+  }
+  if (apiKey.expiresAt <= Date.now()) {
+    throw new AuthError("API key has expired", {
+      code: ERROR_CODES.AUTH_TOKEN_EXPIRED,
+    });
+  }
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    throw new ForbiddenError("This API key can't be used for this request", {
+      code: ERROR_CODES.INSUFFICIENT_SCOPE,
+    });
+  }
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt > LAST_SEEN_RESOLUTION
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: Date.now(), lastUsedIp: req.ip }
+    );
+  }
+
+  req.userId = apiKey.user.toString();
+  req.apiKeyId = apiKey._id.toString();
+  req.organizationId = apiKey.organization?.toString();
+};
+
+// Sets req.userId, plus req.sessionId for sessions or req.apiKeyId for API
+// keys. Expired or tampered tokens are reported as 401 with
+// AUTH_TOKEN_EXPIRED / AUTH_TOKEN_INVALID by the error middleware, so the
+// client knows to try the refresh route.
+const authenticate = (scope) => async (req, res, next) => {
+  const token = readToken(req);
   if (!token) {
-    return res.status(401).json({ message: "No token, authorization denied" });
+    return next(new AuthError("No token, authorization denied"));
   }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (!decoded) {
-      return res.status(401).json({ message: "Token is not valid" });
+    if (isApiKey(token)) {
+      await verifyApiKey(req, res, token, scope);
+    } else {
+      await verifySessionToken(req, res, token);
     }
-    req.userId = decoded.id;
     next();
   } catch (error) {
-    console.error("Error verifying token:", error);
-    res.status(500).json({ message: "Error verifying token", error });
+    const reason =
+      error.name === "JsonWebTokenError"
+        ? ERROR_CODES.AUTH_TOKEN_INVALID
+        : error.code;
+    if (AUDITED_REJECTIONS.includes(reason)) {
+      await recordAuthEvent(req, {
+        type: AUTH_EVENTS.TOKEN_REJECTED,
+        outcome: "failure",
+        user: res.locals.auditUser,
+        reason,
+      });
+    }
+    next(error);
   }
 };
+
+// Sessions only: API keys are refused
+export const verifyToken = authenticate(null);
+
+// Sessions, or API keys granted `scope`
+export const verifyTokenOrApiKey = (scope) => authenticate(scope);
+
+// For routes that work with or without a session: authenticates when a token
+// is present and otherwise just continues without req.userId.
+export const optionalVerifyToken = (req, res, next) =>
+  readToken(req) ? verifyToken(req, res, next) : next();
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import { API_KEY_SCOPES } from "../../shared/apiKeyScopes.js";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Start of the key ("pak_1a2b3c4d"), so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String, // SHA-256 of the key, which is only shown once
+      required: true,
+      unique: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: Object.values(API_KEY_SCOPES) }],
+      required: true,
+    },
+    // Organization routes act on the organization that was active when the
+    // key was created
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export const ApiKey = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+export const AUTH_EVENTS = {
+  SIGNUP: "signup",
+  LOGIN: "login",
+  LOGOUT: "logout",
+  EMAIL_VERIFY: "email_verify",
+  PASSWORD_RESET_REQUEST: "password_reset_request",
+  PASSWORD_RESET: "password_reset",
+  PASSWORD_CHANGE: "password_change",
+  EMAIL_CHANGE: "email_change",
+  TOKEN_REJECTED: "token_rejected",
+  TWO_FACTOR_ENABLE: "two_factor_enable",
+  TWO_FACTOR_DISABLE: "two_factor_disable",
+  PASSKEY_ADD: "passkey_add",
+  PASSKEY_REMOVE: "passkey_remove",
+  ACCOUNT_DELETION_REQUEST: "account_deletion_request",
+  ACCOUNT_DELETION_CANCEL: "account_deletion_cancel",
+  DEVICE_REPORT: "device_report",
+  API_KEY_CREATE: "api_key_create",
+  API_KEY_REVOKE: "api_key_revoke",
+};
+
+const RETENTION_SECONDS = 365 * 24 * 60 * 60; // 1 year
+
+const authEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(AUTH_EVENTS),
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: ["success", "failure"],
+      required: true,
+    },
+    // Failed attempts may not match an account; `email` keeps what was tried
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: String,
+    reason: String, // Error code of a failure
+    method: String, // How the user signed in: password, passkey, oauth:google...
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Newest first, per user and overall (the _id doubles as the page cursor)
+authEventSchema.index({ user: 1, _id: -1 });
+authEventSchema.index({ type: 1, _id: -1 });
+authEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_SECONDS }
+);
+
+// Append-only: an event is never edited. Events only go away through the
+// retention TTL or when the account they belong to is purged.
+const refuseChange = async () => {
+  throw new Error("Auth events are append-only");
+};
+
+authEventSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+  ],
+  refuseChange
+);
+authEventSchema.pre("save", async function () {
+  if (!this.isNew) await refuseChange();
+});
+
+export const AuthEvent = mongoose.model("AuthEvent", authEventSchema);
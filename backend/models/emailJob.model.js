@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+export const EMAIL_JOB_STATUSES = ["pending", "processing", "sent", "dead"];
+
+const emailJobSchema = new mongoose.Schema(
+  {
+    template: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    locale: String,
+    // Template data; removed once sent because it can hold codes and links,
+    // dead jobs are removed whole
+    data: mongoose.Schema.Types.Mixed,
+    // Enqueueing the same key twice sends a single email. Random unless the
+    // caller passes one.
+    idempotencyKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: EMAIL_JOB_STATUSES,
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date, // When a worker claimed the job
+    lastError: String,
+    sentAt: Date,
+    expireAt: Date, // Sent and dead jobs are cleaned up after a retention period
+  },
+  { timestamps: true }
+);
+
+// Worker polling: the next due job
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export const EmailJob = mongoose.model("EmailJob", emailJobSchema);
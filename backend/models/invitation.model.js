@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import { ORG_ROLES, DEFAULT_ORG_ROLE } from "../config/organizationRoles.js";
+
+// Pending invitation to join an organization. Inviting the same address again
+// replaces the token; accepted invitations are deleted and expired ones are
+// removed by the TTL index.
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ORG_ROLES),
+      default: DEFAULT_ORG_ROLE,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    token: {
+      type: String, // SHA-256 of the emailed token
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Invitation = mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const knownDeviceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the version-less user agent and the IP prefix, so browser
+    // updates and a new address from the same network still match
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    userAgent: String,
+    ipPrefix: String,
+    location: String, // Approximate, from the GeoIP database
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // "This wasn't me" link of the new-device alert, bound to the session
+    // that was started from the device
+    reportToken: String, // SHA-256 of the emailed token
+    reportTokenExpireAt: Date,
+    reportSession: String, // Session jti
+  },
+  { timestamps: true }
+);
+
+knownDeviceSchema.index({ user: 1, fingerprint: 1 }, { unique: true });
+knownDeviceSchema.index({ reportToken: 1 }, { sparse: true });
+
+export const KnownDevice = mongoose.model("KnownDevice", knownDeviceSchema);
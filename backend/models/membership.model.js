@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { ORG_ROLES, DEFAULT_ORG_ROLE } from "../config/organizationRoles.js";
+
+// A user's place in an organization. Users can belong to several.
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    role: {
+      type: String,
+      enum: Object.keys(ORG_ROLES),
+      default: DEFAULT_ORG_ROLE,
+    },
+  },
+  { timestamps: true }
+);
+
+membershipSchema.index({ organization: 1, user: 1 }, { unique: true });
+
+export const Membership = mongoose.model("Membership", membershipSchema);
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Issued when the user approves a client; exchanged once at the token
+// endpoint
+const oauthAuthorizationCodeSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String, // SHA-256 of the code
+      required: true,
+      unique: true,
+    },
+    clientId: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+    scopes: [String],
+    nonce: String,
+    codeChallenge: {
+      type: String, // S256 PKCE challenge
+      required: true,
+    },
+    authTime: Date, // When the user signed in, for the auth_time claim
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+oauthAuthorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthAuthorizationCode = mongoose.model(
+  "OAuthAuthorizationCode",
+  oauthAuthorizationCodeSchema
+);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// An app that signs its users in through us (see `npm run oauth-client`)
+const oauthClientSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SHA-256 of the secret. Public clients (mobile, CLI) have none and rely
+    // on PKCE alone.
+    clientSecretHash: String,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Exact-match list, no wildcards
+    redirectUris: {
+      type: [String],
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      default: ["openid", "profile", "email"],
+    },
+  },
+  { timestamps: true }
+);
+
+export const OAuthClient = mongoose.model("OAuthClient", oauthClientSchema);
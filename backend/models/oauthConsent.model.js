@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Scopes a user already approved for a client, so the consent screen is only
+// shown again when a client asks for more
+const oauthConsentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    clientId: {
+      type: String,
+      required: true,
+    },
+    scopes: [String],
+  },
+  { timestamps: true }
+);
+
+oauthConsentSchema.index({ user: 1, clientId: 1 }, { unique: true });
+
+export const OAuthConsent = mongoose.model("OAuthConsent", oauthConsentSchema);
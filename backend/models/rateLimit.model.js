@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Expired windows are removed by MongoDB
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Every token issued from the same login shares a family id, so a reused
+    // token can take down the whole chain it belongs to.
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    rotatedAt: Date,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
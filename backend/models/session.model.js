@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Carried in the access token's `jti` claim and used as the refresh
+    // token family, so revoking a session also kills its refresh chain.
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Organization the user is working in; org-scoped routes act on it
+    activeOrganization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+export const Session = mongoose.model("Session", sessionSchema);
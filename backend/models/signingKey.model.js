@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { SIGNING_ALGORITHMS } from "../config/signingKeys.config.js";
+
+// Keypairs for the tokens this service signs: session access tokens and
+// tokens for other apps. The newest unretired key signs; retired keys stay
+// published until `expiresAt` so tokens they signed can still be verified.
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    algorithm: {
+      type: String,
+      enum: SIGNING_ALGORITHMS,
+      required: true,
+    },
+    publicJwk: {
+      type: Object,
+      required: true,
+    },
+    // PKCS#8 PEM. Anyone with database access can sign tokens, so restrict
+    // it like the JWT secret.
+    privateKey: {
+      type: String,
+      required: true,
+    },
+    retiredAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+signingKeySchema.index({ retiredAt: 1, createdAt: -1 });
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SigningKey = mongoose.model("SigningKey", signingKeySchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// Server-side half of a "2FA pending" challenge token, so each challenge
+// allows a few code attempts and a single successful login.
+const twoFactorChallengeSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const TwoFactorChallenge = mongoose.model(
+  "TwoFactorChallenge",
+  twoFactorChallengeSchema
+);
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { ROLES, DEFAULT_ROLE } from "../config/roles.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../config/locales.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -7,14 +9,23 @@ const userSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Accounts created through social login have no password
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.identities?.length;
+      },
     },
     name: {
       type: String,
       required: true,
     },
+    // Language for emails
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES,
+      default: DEFAULT_LOCALE,
+    },
     lastlogin: {
       type: Date,
       default: Date.now,
@@ -23,14 +34,129 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    roles: {
+      type: [{ type: String, enum: Object.keys(ROLES) }],
+      default: [DEFAULT_ROLE],
+    },
+    isDisabled: {
+      type: Boolean,
+      default: false,
+    },
+    disabledAt: Date,
+    // Self-service deletion: the account is purged once the grace period is
+    // over unless the user cancels through the emailed link
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
+    deletionCancelToken: String, // SHA-256 of the emailed token
+    // Email change waiting for the new address to be confirmed
+    pendingEmail: String,
+    emailChangeToken: String, // SHA-256 of the emailed token
+    emailChangeExpireAt: Date,
     resetPasswordToken: String,
     resetPasswordExpireAt: Date,
-    verificationToken: String,
+    // Set when a sign-in is reported as not the user's; password logins are
+    // refused until the password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    magicLinkToken: String, // SHA-256 of the emailed token
+    magicLinkExpireAt: Date,
+    verificationToken: String, // HMAC of the emailed code
     verificationTokenExpireAt: Date,
+    verificationTokenSentAt: Date,
+    verificationAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // External identities (social login) linked to this account
+    identities: [
+      {
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: String,
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // WebAuthn / passkey credentials
+    webauthnUserId: String, // Random user handle given to authenticators
+    webauthnCredentials: [
+      {
+        credentialId: { type: String, required: true }, // base64url
+        publicKey: { type: Buffer, required: true },
+        counter: { type: Number, default: 0 },
+        transports: [String],
+        deviceType: String,
+        backedUp: Boolean,
+        name: { type: String, default: "Passkey" },
+        lastUsedAt: Date,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
+    unlockToken: String,
+    unlockTokenExpireAt: Date,
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // SHA-256 hashes, removed once used
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ "identities.provider": 1, "identities.subject": 1 });
+userSchema.index({ "webauthnCredentials.credentialId": 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// Never leak credentials or one-time tokens when a user is sent to the client
+const SENSITIVE_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "emailChangeToken",
+  "deletionCancelToken",
+  "magicLinkToken",
+  "verificationToken",
+  "unlockToken",
+  "twoFactorSecret",
+  "twoFactorPendingSecret",
+  "twoFactorLastUsedStep",
+  "twoFactorRecoveryCodes",
+  "webauthnCredentials",
+];
+
+userSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    SENSITIVE_FIELDS.forEach((field) => delete ret[field]);
+    return ret;
+  },
+});
+
 export const User = mongoose.model("User", userSchema);
 
 
@@ -0,0 +1,58 @@
+import express from "express";
+import {
+  listUsers,
+  updateUserRoles,
+  disableUser,
+  enableUser,
+} from "../controllers/admin.controller.js";
+import {
+  listEmailJobs,
+  retryEmailJob,
+  retryDeadEmailJobs,
+} from "../controllers/emailJob.controller.js";
+import { listAuthEvents } from "../controllers/authEvent.controller.js";
+import { verifyTokenOrApiKey } from "../middleware/verifyToken.js";
+import { authorize } from "../middleware/authorize.js";
+import { PERMISSIONS } from "../config/roles.js";
+import { API_KEY_SCOPES } from "../../shared/apiKeyScopes.js";
+
+const router = express.Router();
+
+// Every admin route needs a session, or an API key with the admin scope.
+// Either way the account's roles decide what it may do.
+router.use(verifyTokenOrApiKey(API_KEY_SCOPES.ADMIN));
+
+router.get("/users", authorize(PERMISSIONS.USERS_READ), listUsers);
+router.patch(
+  "/users/:id/roles",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  updateUserRoles
+);
+router.post(
+  "/users/:id/disable",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  disableUser
+);
+router.post(
+  "/users/:id/enable",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  enableUser
+);
+
+// Outbound email queue
+router.get("/email-jobs", authorize(PERMISSIONS.EMAILS_READ), listEmailJobs);
+router.post(
+  "/email-jobs/retry-dead",
+  authorize(PERMISSIONS.EMAILS_MANAGE),
+  retryDeadEmailJobs
+);
+router.post(
+  "/email-jobs/:id/retry",
+  authorize(PERMISSIONS.EMAILS_MANAGE),
+  retryEmailJob
+);
+
+// Security audit log
+router.get("/auth-events", authorize(PERMISSIONS.AUDIT_READ), listAuthEvents);
+
+export default router;
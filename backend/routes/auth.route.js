@@ -7,17 +7,306 @@ import {
   forgotPassword,
   resetPassword,
   checkAuth,
+  getCsrfToken,
+  refresh,
+  unlockAccount,
+  resendVerification,
+  requestMagicLink,
+  consumeMagicLink,
 } from "../controllers/auth.controller.js";
-import { verifyToken } from "../middleware/verifyToken.js";
+import {
+  updateProfile,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  deleteAccount,
+  cancelAccountDeletion,
+  exportAccountData,
+} from "../controllers/account.controller.js";
+import { listMyAuthEvents } from "../controllers/authEvent.controller.js";
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "../controllers/session.controller.js";
+import {
+  getKnownDevices,
+  removeKnownDevice,
+  reportDevice,
+} from "../controllers/device.controller.js";
+import {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
+import {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactor,
+} from "../controllers/twoFactor.controller.js";
+import {
+  getOAuthProviders,
+  startOAuth,
+  oauthCallback,
+} from "../controllers/oauth.controller.js";
+import {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  getCredentials,
+  renameCredential,
+  deleteCredential,
+} from "../controllers/webauthn.controller.js";
+import {
+  verifyToken,
+  verifyTokenOrApiKey,
+  optionalVerifyToken,
+} from "../middleware/verifyToken.js";
+import { limitRoute } from "../middleware/rateLimiter.js";
+import { validate } from "../middleware/validate.js";
+import {
+  signupSchema,
+  loginSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  emailOnlySchema,
+  resetPasswordSchema,
+  tokenSchema,
+  idSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
+  verifyTwoFactorSchema,
+  confirmTwoFactorSchema,
+  disableTwoFactorSchema,
+  oauthStartSchema,
+  oauthCallbackSchema,
+  verifyRegistrationSchema,
+  verifyAuthenticationSchema,
+  renamePasskeySchema,
+} from "../schemas/auth.schema.js";
+import { API_KEY_SCOPES } from "../../shared/apiKeyScopes.js";
 
 const router = express.Router();
 
-router.post("/signup", signup);
-router.post("/login", login);
+router.post("/signup", limitRoute("signup"), validate(signupSchema), signup);
+router.post("/login", limitRoute("login"), validate(loginSchema), login);
 router.post("/logout", logout);
-router.post("/verify-email", verifyEmail);
-router.post("/forgot-password", forgotPassword);
-router.post("/reset-password/:token", resetPassword);
-router.get("/check-auth", verifyToken, checkAuth);
+router.post("/refresh", limitRoute("refresh"), refresh);
+router.post(
+  "/verify-email",
+  limitRoute("verifyEmail"),
+  validate(verifyEmailSchema),
+  optionalVerifyToken,
+  verifyEmail
+);
+router.post(
+  "/resend-verification",
+  limitRoute("resendVerification"),
+  validate(resendVerificationSchema),
+  optionalVerifyToken,
+  resendVerification
+);
+router.post(
+  "/forgot-password",
+  limitRoute("forgotPassword"),
+  validate(emailOnlySchema),
+  forgotPassword
+);
+router.post(
+  "/reset-password/:token",
+  limitRoute("resetPassword"),
+  validate(resetPasswordSchema),
+  resetPassword
+);
+router.post(
+  "/unlock-account/:token",
+  limitRoute("unlockAccount"),
+  validate(tokenSchema),
+  unlockAccount
+);
+router.post(
+  "/magic-link",
+  limitRoute("magicLink"),
+  validate(emailOnlySchema),
+  requestMagicLink
+);
+router.post(
+  "/magic-link/:token",
+  limitRoute("login"),
+  validate(tokenSchema),
+  consumeMagicLink
+);
+router.get("/csrf-token", getCsrfToken);
+router.get(
+  "/check-auth",
+  verifyTokenOrApiKey(API_KEY_SCOPES.PROFILE_READ),
+  checkAuth
+);
+
+// Profile
+router.patch(
+  "/me",
+  verifyTokenOrApiKey(API_KEY_SCOPES.PROFILE_WRITE),
+  validate(updateProfileSchema),
+  updateProfile
+);
+router.post(
+  "/me/password",
+  limitRoute("changePassword"),
+  verifyToken,
+  validate(changePasswordSchema),
+  changePassword
+);
+router.post(
+  "/me/email",
+  limitRoute("changeEmail"),
+  verifyToken,
+  validate(changeEmailSchema),
+  requestEmailChange
+);
+// No session needed: the link may be opened on another device
+router.post(
+  "/confirm-email/:token",
+  limitRoute("confirmEmail"),
+  validate(tokenSchema),
+  confirmEmailChange
+);
+router.get(
+  "/me/events",
+  verifyTokenOrApiKey(API_KEY_SCOPES.PROFILE_READ),
+  listMyAuthEvents
+);
+router.get(
+  "/me/export",
+  limitRoute("exportData"),
+  verifyToken,
+  exportAccountData
+);
+router.delete(
+  "/me",
+  limitRoute("deleteAccount"),
+  verifyToken,
+  validate(deleteAccountSchema),
+  deleteAccount
+);
+// Opened from the email while signed out
+router.post(
+  "/cancel-deletion/:token",
+  limitRoute("cancelDeletion"),
+  validate(tokenSchema),
+  cancelAccountDeletion
+);
+
+// Sessions / devices
+router.get(
+  "/sessions",
+  verifyTokenOrApiKey(API_KEY_SCOPES.SESSIONS_READ),
+  getSessions
+);
+router.delete("/sessions", verifyToken, revokeOtherSessions);
+router.delete("/sessions/:id", verifyToken, validate(idSchema), revokeSession);
+router.get(
+  "/devices",
+  verifyTokenOrApiKey(API_KEY_SCOPES.SESSIONS_READ),
+  getKnownDevices
+);
+router.delete(
+  "/devices/:id",
+  verifyToken,
+  validate(idSchema),
+  removeKnownDevice
+);
+// "This wasn't me" link of the new-device alert
+router.post(
+  "/report-device/:token",
+  limitRoute("reportDevice"),
+  validate(tokenSchema),
+  reportDevice
+);
+
+// API keys (managed from a browser session only)
+router.get("/api-keys", verifyToken, listApiKeys);
+router.post(
+  "/api-keys",
+  limitRoute("createApiKey"),
+  verifyToken,
+  validate(createApiKeySchema),
+  createApiKey
+);
+router.delete("/api-keys/:id", verifyToken, validate(idSchema), revokeApiKey);
+
+// Two-factor authentication
+router.post(
+  "/2fa/verify",
+  limitRoute("twoFactor"),
+  validate(verifyTwoFactorSchema),
+  verifyTwoFactor
+);
+router.post("/2fa/setup", verifyToken, setupTwoFactor);
+router.post(
+  "/2fa/confirm",
+  verifyToken,
+  validate(confirmTwoFactorSchema),
+  confirmTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  verifyToken,
+  validate(disableTwoFactorSchema),
+  disableTwoFactor
+);
+
+// Social login (OAuth 2.0 / OpenID Connect)
+router.get("/oauth/providers", getOAuthProviders);
+router.get(
+  "/oauth/:provider",
+  limitRoute("oauth"),
+  validate(oauthStartSchema),
+  startOAuth
+);
+router.get(
+  "/oauth/:provider/callback",
+  limitRoute("oauth"),
+  validate(oauthCallbackSchema),
+  oauthCallback
+);
+
+// Passkeys (WebAuthn)
+router.post("/webauthn/register/options", verifyToken, registrationOptions);
+router.post(
+  "/webauthn/register/verify",
+  verifyToken,
+  validate(verifyRegistrationSchema),
+  verifyRegistration
+);
+router.post(
+  "/webauthn/login/options",
+  limitRoute("passkeyLogin"),
+  authenticationOptions
+);
+router.post(
+  "/webauthn/login/verify",
+  limitRoute("passkeyLogin"),
+  validate(verifyAuthenticationSchema),
+  verifyAuthentication
+);
+router.get("/webauthn/credentials", verifyToken, getCredentials);
+router.patch(
+  "/webauthn/credentials/:id",
+  verifyToken,
+  validate(renamePasskeySchema),
+  renameCredential
+);
+router.delete(
+  "/webauthn/credentials/:id",
+  verifyToken,
+  validate(idSchema),
+  deleteCredential
+);
 
 export default router;
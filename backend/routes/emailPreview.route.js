@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  listEmailTemplates,
+  previewEmail,
+} from "../controllers/emailPreview.controller.js";
+
+// Development only: mounted by index.js outside production
+const router = express.Router();
+
+router.get("/", listEmailTemplates);
+router.get("/:template", previewEmail);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  authorize,
+  getAuthorizationRequest,
+  decideAuthorization,
+  issueTokens,
+  getUserinfo,
+} from "../controllers/oidc.controller.js";
+import { verifyToken } from "../middleware/verifyToken.js";
+import { limitRoute } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+// Called by client apps (browser redirects and server-to-server)
+router.get("/authorize", authorize);
+router.post(
+  "/token",
+  limitRoute("oidcToken"),
+  express.urlencoded({ extended: false }), // Token requests are form posts
+  issueTokens
+);
+router.get("/userinfo", getUserinfo);
+router.post("/userinfo", getUserinfo);
+
+// Called by our consent screen
+router.get("/authorize/request", verifyToken, getAuthorizationRequest);
+router.post(
+  "/authorize/decision",
+  limitRoute("oidcAuthorize"),
+  verifyToken,
+  decideAuthorization
+);
+
+export default router;
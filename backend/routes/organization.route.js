@@ -0,0 +1,110 @@
+import express from "express";
+import {
+  listOrganizations,
+  createOrganization,
+  switchOrganization,
+  getCurrentOrganization,
+  updateOrganization,
+  inviteMember,
+  revokeInvitation,
+  updateMemberRole,
+  removeMember,
+  getInvitation,
+  acceptInvitation,
+} from "../controllers/organization.controller.js";
+import { verifyToken, verifyTokenOrApiKey } from "../middleware/verifyToken.js";
+import { authorizeOrg } from "../middleware/authorizeOrg.js";
+import { limitRoute } from "../middleware/rateLimiter.js";
+import { validate } from "../middleware/validate.js";
+import { tokenParams, idParams } from "../schemas/auth.schema.js";
+import {
+  organizationSchema,
+  switchOrganizationSchema,
+  inviteMemberSchema,
+  updateMemberSchema,
+} from "../schemas/organization.schema.js";
+import { ORG_PERMISSIONS } from "../config/organizationRoles.js";
+import { API_KEY_SCOPES } from "../../shared/apiKeyScopes.js";
+
+const router = express.Router();
+
+// Invitations are opened from an email, possibly before signing in
+router.get(
+  "/invitations/:token",
+  validate({ params: tokenParams }),
+  getInvitation
+);
+router.post(
+  "/invitations/:token/accept",
+  limitRoute("acceptInvitation"),
+  verifyToken,
+  validate({ params: tokenParams }),
+  acceptInvitation
+);
+
+// Everything else needs a session. API keys work in the organization that
+// was active when they were created, and can't create or switch.
+const readScope = verifyTokenOrApiKey(API_KEY_SCOPES.ORGS_READ);
+const writeScope = verifyTokenOrApiKey(API_KEY_SCOPES.ORGS_WRITE);
+
+router.get("/", readScope, listOrganizations);
+router.post(
+  "/",
+  limitRoute("createOrganization"),
+  verifyToken,
+  validate(organizationSchema),
+  createOrganization
+);
+router.post(
+  "/active",
+  verifyToken,
+  validate(switchOrganizationSchema),
+  switchOrganization
+);
+
+// The active organization
+router.get(
+  "/current",
+  readScope,
+  authorizeOrg(ORG_PERMISSIONS.READ),
+  getCurrentOrganization
+);
+router.patch(
+  "/current",
+  writeScope,
+  authorizeOrg(ORG_PERMISSIONS.UPDATE),
+  validate(organizationSchema),
+  updateOrganization
+);
+router.post(
+  "/current/invitations",
+  limitRoute("inviteMember"),
+  writeScope,
+  authorizeOrg(ORG_PERMISSIONS.MEMBERS_INVITE),
+  validate(inviteMemberSchema),
+  inviteMember
+);
+router.delete(
+  "/current/invitations/:id",
+  writeScope,
+  authorizeOrg(ORG_PERMISSIONS.MEMBERS_INVITE),
+  validate({ params: idParams }),
+  revokeInvitation
+);
+router.patch(
+  "/current/members/:id",
+  writeScope,
+  authorizeOrg(ORG_PERMISSIONS.MEMBERS_MANAGE),
+  validate(updateMemberSchema),
+  updateMemberRole
+);
+// Members may remove themselves, the controller checks the rest
+router.delete(
+  "/current/members/:id",
+  writeScope,
+  authorizeOrg(ORG_PERMISSIONS.READ),
+  validate({ params: idParams }),
+  removeMember
+);
+
+export default router;
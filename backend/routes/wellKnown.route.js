@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  getDiscoveryDocument,
+  getJwksDocument,
+} from "../controllers/oidc.controller.js";
+
+const router = express.Router();
+
+router.get("/openid-configuration", getDiscoveryDocument);
+// Verification keys for every token we sign, sessions included
+router.get("/jwks.json", getJwksDocument);
+
+export default router;
@@ -0,0 +1,216 @@
+import { z } from "zod";
+import {
+  PASSWORD_MAX_BYTES,
+  validatePassword,
+} from "../../shared/passwordPolicy.js";
+import { SUPPORTED_LOCALES } from "../config/locales.js";
+import { API_KEY_SCOPES } from "../../shared/apiKeyScopes.js";
+
+// ====================== Fields ======================
+// Exported ones are reused by the other schema modules
+export const email = z
+  .string({ error: "Email is required" })
+  .trim()
+  .min(1, "Email is required")
+  .pipe(z.email("Enter a valid email address"));
+
+// Login only checks presence: existing passwords predate the policy
+const currentPassword = z
+  .string({ error: "Password is required" })
+  .min(1, "Password is required");
+
+// New passwords must satisfy the shared policy. A character can't be less
+// than a byte, so longer strings stop here before the policy runs.
+const newPassword = z
+  .string({ error: "Password is required" })
+  .max(PASSWORD_MAX_BYTES, {
+    error: `Password must be at most ${PASSWORD_MAX_BYTES} bytes`,
+    abort: true,
+  })
+  .superRefine((password, ctx) => {
+    const [message] = validatePassword(password);
+    if (message) ctx.addIssue({ code: "custom", message });
+  });
+
+const name = z
+  .string({ error: "Name is required" })
+  .trim()
+  .min(1, "Name is required")
+  .max(50, "Name must be at most 50 characters");
+
+const verificationCode = z
+  .string({ error: "Code is required" })
+  .trim()
+  .regex(/^\d{6}$/, "Enter the 6-digit code");
+
+// Emailed tokens (reset, unlock, magic link) are 40 hex characters
+const emailedToken = z
+  .string()
+  .regex(/^[a-f0-9]{40}$/, "Invalid or expired link");
+
+export const objectId = z.string().regex(/^[a-f0-9]{24}$/, "Invalid id");
+
+export const tokenParams = z.object({ token: emailedToken });
+export const idParams = z.object({ id: objectId });
+
+// ====================== Account ======================
+export const signupSchema = {
+  body: z.object({
+    email,
+    password: newPassword,
+    name,
+    locale: z.enum(SUPPORTED_LOCALES).optional(),
+  }),
+};
+
+export const loginSchema = {
+  body: z.object({ email, password: currentPassword }),
+};
+
+// Email is only needed when verifying without a session
+export const verifyEmailSchema = {
+  body: z.object({ code: verificationCode, email: email.optional() }),
+};
+
+export const resendVerificationSchema = {
+  body: z.object({ email: email.optional() }),
+};
+
+export const emailOnlySchema = {
+  body: z.object({ email }),
+};
+
+export const resetPasswordSchema = {
+  params: tokenParams,
+  body: z.object({ password: newPassword }),
+};
+
+export const tokenSchema = {
+  params: tokenParams,
+};
+
+export const idSchema = {
+  params: idParams,
+};
+
+// ====================== Profile ======================
+export const updateProfileSchema = {
+  body: z
+    .object({
+      name: name.optional(),
+      locale: z.enum(SUPPORTED_LOCALES).optional(),
+    })
+    .refine((body) => body.name !== undefined || body.locale !== undefined, {
+      message: "Nothing to update",
+      path: ["name"],
+    }),
+};
+
+export const changePasswordSchema = {
+  body: z.object({ currentPassword, newPassword }),
+};
+
+// Accounts without a password (social login) send no password
+export const changeEmailSchema = {
+  body: z.object({ email, password: currentPassword.optional() }),
+};
+
+export const deleteAccountSchema = {
+  body: z.object({ password: currentPassword.optional() }),
+};
+
+// ====================== API Keys ======================
+export const createApiKeySchema = {
+  body: z.object({
+    name: z
+      .string({ error: "Name is required" })
+      .trim()
+      .min(1, "Name is required")
+      .max(50, "Name must be at most 50 characters"),
+    scopes: z
+      .array(z.enum(Object.values(API_KEY_SCOPES), { error: "Unknown scope" }))
+      .min(1, "Choose at least one scope"),
+    expiresInDays: z
+      .number({ error: "Choose an expiry" })
+      .int("Choose an expiry")
+      .min(1, "Keys must expire within 1 to 365 days")
+      .max(365, "Keys must expire within 1 to 365 days")
+      .default(90),
+  }),
+};
+
+// ====================== Two-Factor ======================
+export const verifyTwoFactorSchema = {
+  body: z
+    .object({
+      challengeToken: z
+        .string({ error: "Login expired, please sign in again" })
+        .min(1, "Login expired, please sign in again"),
+      code: verificationCode.optional(),
+      recoveryCode: z
+        .string()
+        .trim()
+        .max(32, "Invalid recovery code")
+        .optional(),
+    })
+    .refine((body) => body.code || body.recoveryCode, {
+      message: "Enter a code or a recovery code",
+      path: ["code"],
+    }),
+};
+
+export const confirmTwoFactorSchema = {
+  body: z.object({ code: verificationCode }),
+};
+
+export const disableTwoFactorSchema = {
+  body: z.object({ password: currentPassword }),
+};
+
+// ====================== Social Login ======================
+const providerParams = z.object({
+  provider: z.string().regex(/^[a-z0-9_-]{1,32}$/, "Unknown provider"),
+});
+
+export const oauthStartSchema = {
+  params: providerParams,
+};
+
+// Providers report failures through `error`; the controller redirects them
+export const oauthCallbackSchema = {
+  params: providerParams,
+  query: z.object({
+    code: z.string().optional(),
+    state: z.string().optional(),
+    error: z.string().optional(),
+  }),
+};
+
+// ====================== Passkeys ======================
+const passkeyName = z
+  .string()
+  .trim()
+  .min(1, "Name is required")
+  .max(50, "Name must be at most 50 characters");
+
+// The WebAuthn response itself is checked by @simplewebauthn/server
+const webauthnResponse = z.looseObject({
+  id: z.string({ error: "Passkey response is required" }).min(1),
+  response: z.looseObject({}),
+});
+
+export const verifyRegistrationSchema = {
+  body: z.object({
+    response: webauthnResponse,
+    name: passkeyName.optional(),
+  }),
+};
+
+export const verifyAuthenticationSchema = {
+  body: z.object({ response: webauthnResponse }),
+};
+
+export const renamePasskeySchema = {
+  params: idParams,
+  body: z.object({ name: passkeyName }),
+};
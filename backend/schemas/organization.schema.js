@@ -0,0 +1,35 @@
+import { z } from "zod";
+import { email, objectId, idParams } from "./auth.schema.js";
+import { ORG_ROLES } from "../config/organizationRoles.js";
+
+// ====================== Fields ======================
+const organizationName = z
+  .string({ error: "Name is required" })
+  .trim()
+  .min(1, "Name is required")
+  .max(80, "Name must be at most 80 characters");
+
+const role = z.enum(Object.keys(ORG_ROLES), {
+  error: `Role must be one of: ${Object.keys(ORG_ROLES).join(", ")}`,
+});
+
+// ====================== Organizations ======================
+export const organizationSchema = {
+  body: z.object({ name: organizationName }),
+};
+
+export const switchOrganizationSchema = {
+  body: z.object({
+    organizationId: objectId,
+  }),
+};
+
+// ====================== Members ======================
+export const inviteMemberSchema = {
+  body: z.object({ email, role: role.optional() }),
+};
+
+export const updateMemberSchema = {
+  params: idParams,
+  body: z.object({ role }),
+};
@@ -0,0 +1,20 @@
+// Usage: npm run email-worker
+// Runs the email queue worker on its own. Start the API with
+// EMAIL_WORKER=false when the worker is deployed this way.
+import mongoose from "mongoose";
+import connectDB from "../db/connectDB.js";
+import { startEmailWorker } from "../email/queue.js";
+
+await connectDB();
+
+const stopWorker = startEmailWorker();
+console.log("Email worker started");
+
+const shutdown = async () => {
+  stopWorker();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
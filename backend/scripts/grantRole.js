@@ -0,0 +1,32 @@
+// Usage: npm run grant-role -- <email> <role>
+// Bootstraps the first admin (or any role) without going through the API.
+import mongoose from "mongoose";
+import connectDB from "../db/connectDB.js";
+import { User } from "../models/user.model.js";
+import { ROLES } from "../config/roles.js";
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES[role]) {
+  console.error(
+    `Usage: npm run grant-role -- <email> <${Object.keys(ROLES).join("|")}>`
+  );
+  process.exit(1);
+}
+
+await connectDB();
+
+const user = await User.findOneAndUpdate(
+  { email },
+  { $addToSet: { roles: role } },
+  { new: true }
+);
+
+if (!user) {
+  console.error(`No user with email ${email}`);
+  process.exitCode = 1;
+} else {
+  console.log(`${email} now has roles: ${user.roles.join(", ")}`);
+}
+
+await mongoose.disconnect();
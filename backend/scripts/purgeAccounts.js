@@ -0,0 +1,13 @@
+// Usage: npm run purge-accounts
+// Deletes the accounts whose deletion grace period is over, then exits. Meant
+// for cron; start the API with ACCOUNT_PURGE=false when it is scheduled this way.
+import mongoose from "mongoose";
+import connectDB from "../db/connectDB.js";
+import { purgeDeletedAccounts } from "../utils/accountDeletion.js";
+
+await connectDB();
+
+const purged = await purgeDeletedAccounts();
+console.log(`Purged ${purged} deleted account(s)`);
+
+await mongoose.disconnect();
@@ -0,0 +1,44 @@
+// Usage: npm run oauth-client -- "<name>" <redirect-uri>[,<redirect-uri>...] [--public]
+// Registers an app that signs its users in through us. Prints the client id
+// and, unless --public, the client secret, which is not stored and can't be
+// shown again.
+import mongoose from "mongoose";
+import connectDB from "../db/connectDB.js";
+import { OAuthClient } from "../models/oauthClient.model.js";
+import { generateClientCredentials } from "../utils/oidcProvider.js";
+import { hashToken } from "../utils/hashToken.js";
+import { oidcConfig } from "../config/oidc.config.js";
+
+const args = process.argv.slice(2);
+const isPublic = args.includes("--public");
+const [name, redirectUriList] = args.filter((arg) => arg !== "--public");
+
+const redirectUris = (redirectUriList ?? "").split(",").filter(Boolean);
+const invalidUri = redirectUris.find((uri) => !URL.canParse(uri));
+
+if (!name || redirectUris.length === 0 || invalidUri) {
+  if (invalidUri) console.error(`Not a valid URL: ${invalidUri}`);
+  console.error(
+    'Usage: npm run oauth-client -- "<name>" <redirect-uri>[,<redirect-uri>...] [--public]'
+  );
+  process.exit(1);
+}
+
+await connectDB();
+
+const { clientId, clientSecret } = generateClientCredentials();
+await OAuthClient.create({
+  clientId,
+  clientSecretHash: isPublic ? undefined : hashToken(clientSecret),
+  name,
+  redirectUris,
+});
+
+console.log(`Registered ${name}`);
+console.log(`  issuer:        ${oidcConfig.issuer}`);
+console.log(`  client_id:     ${clientId}`);
+if (!isPublic) {
+  console.log(`  client_secret: ${clientSecret}`);
+}
+
+await mongoose.disconnect();
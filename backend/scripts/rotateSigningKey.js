@@ -0,0 +1,22 @@
+// Usage: npm run rotate-signing-key [-- --revoke]
+// Replaces the JWT signing key (and creates the first one). Running instances
+// switch to it within a minute. The replaced key keeps verifying tokens for
+// JWT_KEY_GRACE_DAYS; --revoke drops it at once, for a leaked key.
+import mongoose from "mongoose";
+import connectDB from "../db/connectDB.js";
+import { rotateSigningKey, getJwks } from "../utils/signingKeys.js";
+
+const revoke = process.argv.includes("--revoke");
+
+await connectDB();
+
+const key = await rotateSigningKey({ revoke });
+console.log(`Signing with ${key.kid} (${key.algorithm})`);
+
+const { keys } = await getJwks();
+console.log("Published keys:");
+for (const { kid, alg } of keys) {
+  console.log(`  ${kid} (${alg})`);
+}
+
+await mongoose.disconnect();
@@ -0,0 +1,97 @@
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { KnownDevice } from "../models/knownDevice.model.js";
+import { ApiKey } from "../models/apiKey.model.js";
+import { OAuthConsent } from "../models/oauthConsent.model.js";
+import { OAuthAuthorizationCode } from "../models/oauthAuthorizationCode.model.js";
+import { EmailJob } from "../models/emailJob.model.js";
+import { AuthEvent } from "../models/authEvent.model.js";
+import { Organization } from "../models/organization.model.js";
+import { Membership } from "../models/membership.model.js";
+import { Invitation } from "../models/invitation.model.js";
+import { accountDeletionConfig } from "../config/accountDeletion.config.js";
+
+// ====================== Leave Organizations ======================
+// Removes the user's memberships. Organizations left without members are
+// deleted; those left without an owner hand it to their longest-standing
+// member.
+export const leaveOrganizations = async (userId) => {
+  const memberships = await Membership.find({ user: userId });
+  await Membership.deleteMany({ user: userId });
+
+  for (const { organization, role } of memberships) {
+    const next = await Membership.findOne({ organization }).sort({
+      createdAt: 1,
+    });
+    if (!next) {
+      await Promise.all([
+        Organization.deleteOne({ _id: organization }),
+        Invitation.deleteMany({ organization }),
+      ]);
+    } else if (
+      role === "owner" &&
+      !(await Membership.exists({ organization, role: "owner" }))
+    ) {
+      await Membership.updateOne({ _id: next._id }, { role: "owner" });
+    }
+  }
+};
+
+// ====================== Purge Deleted Accounts ======================
+// Removes accounts whose grace period is over, together with everything
+// stored about them. Returns how many accounts were removed.
+export const purgeDeletedAccounts = async (now = new Date()) => {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } }).select(
+    "email pendingEmail"
+  );
+
+  let purged = 0;
+  for (const user of users) {
+    // Matching on the schedule again lets a cancellation that just happened win
+    const { deletedCount } = await User.deleteOne({
+      _id: user._id,
+      deletionScheduledFor: { $lte: now },
+    });
+    if (!deletedCount) continue;
+
+    await Promise.all([
+      Session.deleteMany({ user: user._id }),
+      RefreshToken.deleteMany({ user: user._id }),
+      KnownDevice.deleteMany({ user: user._id }),
+      ApiKey.deleteMany({ user: user._id }),
+      OAuthConsent.deleteMany({ user: user._id }),
+      OAuthAuthorizationCode.deleteMany({ user: user._id }),
+      AuthEvent.deleteMany({ user: user._id }),
+      leaveOrganizations(user._id),
+      Invitation.deleteMany({
+        email: { $in: [user.email, user.pendingEmail].filter(Boolean) },
+      }),
+      EmailJob.deleteMany({
+        to: { $in: [user.email, user.pendingEmail].filter(Boolean) },
+      }),
+    ]);
+    purged += 1;
+  }
+  return purged;
+};
+
+// ====================== Purge Schedule ======================
+// Runs the purge now and then every `interval`. Returns a function that
+// stops it.
+export const startAccountPurge = ({
+  interval = accountDeletionConfig.purgeInterval,
+} = {}) => {
+  const run = async () => {
+    try {
+      const purged = await purgeDeletedAccounts();
+      if (purged) console.log(`Purged ${purged} deleted account(s)`);
+    } catch (error) {
+      console.error("Account purge error:", error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, interval);
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { hashToken } from "./hashToken.js";
+import { sendAccountLockedEmail } from "../email/email.js";
+
+const MAX_FAILED_LOGINS = Number(process.env.MAX_FAILED_LOGINS) || 5;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Seconds until the account unlocks, or 0 when it is not locked
+export const lockRemainingSeconds = (user) =>
+  user.lockUntil && user.lockUntil > Date.now()
+    ? Math.ceil((user.lockUntil - Date.now()) / 1000)
+    : 0;
+
+// ====================== Register Failed Login ======================
+// Counts a wrong password. Every MAX_FAILED_LOGINS failures lock the account,
+// and each consecutive lockout doubles the lock duration.
+export const registerFailedLogin = async (user) => {
+  user.failedLoginAttempts += 1;
+
+  if (user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    const lockMs = Math.min(BASE_LOCK_MS * 2 ** user.lockoutCount, MAX_LOCK_MS);
+    const unlockToken = crypto.randomBytes(20).toString("hex");
+
+    user.lockUntil = Date.now() + lockMs;
+    user.lockoutCount += 1;
+    user.failedLoginAttempts = 0;
+    user.unlockToken = hashToken(unlockToken);
+    user.unlockTokenExpireAt = user.lockUntil;
+    await user.save();
+
+    const unlockLink = `${process.env.FRONTEND_URL}/unlock-account/${unlockToken}`;
+    // The lock applies whether or not the email goes out
+    await sendAccountLockedEmail(
+      user.email,
+      unlockLink,
+      user.lockUntil,
+      user.locale
+    ).catch(() => {});
+    return;
+  }
+
+  await user.save();
+};
+
+// ====================== Reset Failed Logins ======================
+// Called on successful login or unlock; the caller saves the user.
+export const resetFailedLogins = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockoutCount = 0;
+  user.lockUntil = undefined;
+  user.unlockToken = undefined;
+  user.unlockTokenExpireAt = undefined;
+};
@@ -0,0 +1,34 @@
+import crypto from "crypto";
+import { ApiKey } from "../models/apiKey.model.js";
+import { hashToken } from "./hashToken.js";
+
+// Recognizable in config files and secret scanners, and tells verifyToken a
+// bearer credential is an API key rather than a JWT
+const API_KEY_PREFIX = "pak_";
+const DISPLAYED_LENGTH = API_KEY_PREFIX.length + 8;
+
+// ====================== Generate API Key ======================
+// Returns the key to hand to the user once, and what gets stored
+export const generateApiKey = () => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return {
+    key,
+    prefix: key.slice(0, DISPLAYED_LENGTH),
+    keyHash: hashToken(key),
+  };
+};
+
+export const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+// Finds the stored key, revoked and expired ones included
+export const findApiKey = (key) => ApiKey.findOne({ keyHash: hashToken(key) });
+
+// ====================== Revoke API Keys ======================
+// Revokes every active key matching `filter`. Returns how many were revoked.
+export const revokeApiKeys = async (filter) => {
+  const { modifiedCount } = await ApiKey.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+  return modifiedCount;
+};
@@ -0,0 +1,4 @@
+// Wraps an async route handler so a thrown error or rejected promise reaches
+// the error middleware instead of becoming an unhandled rejection.
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
@@ -0,0 +1,46 @@
+import { AuthEvent } from "../models/authEvent.model.js";
+import { asyncHandler } from "./asyncHandler.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+// ====================== Record Auth Event ======================
+// Appends an entry to the security audit log. `user` may be a document or an
+// id. Never throws: a failed write is logged but must not fail the request.
+export const recordAuthEvent = async (
+  req,
+  { type, outcome = "success", user, email, reason, method }
+) => {
+  try {
+    await AuthEvent.create({
+      type,
+      outcome,
+      user: user?._id ?? user,
+      email: email ?? user?.email,
+      reason,
+      method,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+  } catch (error) {
+    console.error(`Error recording ${type} event:`, error);
+  }
+};
+
+// ====================== Audited Handler ======================
+// asyncHandler that also records a failed `type` event when the handler
+// throws. Handlers set res.locals.auditUser once they know which account the
+// attempt was for.
+export const auditedHandler = (type, handler) =>
+  asyncHandler(async (req, res, next) => {
+    try {
+      return await handler(req, res, next);
+    } catch (error) {
+      await recordAuthEvent(req, {
+        type,
+        outcome: "failure",
+        user: res.locals.auditUser ?? req.userId,
+        email: req.body?.email,
+        reason: error.code || ERROR_CODES.INTERNAL_ERROR,
+      });
+      throw error;
+    }
+  });
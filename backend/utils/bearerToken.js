@@ -0,0 +1,6 @@
+// The credentials of an "Authorization: Bearer <token>" header, or null. An
+// empty one counts as none, so callers fall back to cookies the same way.
+export const readBearerToken = (req) => {
+  const [scheme, credentials] = (req.get("authorization") ?? "").split(" ");
+  return scheme.toLowerCase() === "bearer" && credentials ? credentials : null;
+};
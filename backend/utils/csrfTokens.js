@@ -0,0 +1,40 @@
+import crypto from "crypto";
+import { csrfConfig } from "../config/csrf.config.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+};
+
+// Tokens are "<random>.<signature>", so a cookie planted by a sibling
+// subdomain is refused unless we issued it
+const sign = (value) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`csrf:${value}`)
+    .digest("base64url");
+
+export const isValidCsrfToken = (token) => {
+  const [value, signature] = (token ?? "").split(".");
+  if (!value || !signature) return false;
+  const expected = Buffer.from(sign(value));
+  const actual = Buffer.from(signature);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+// ====================== Issue CSRF Token ======================
+// Keeps the browser's current token when it has a valid one, so tabs that
+// fetched it earlier keep working
+export const issueCsrfToken = (req, res) => {
+  let token = req.cookies[csrfConfig.cookieName];
+  if (!isValidCsrfToken(token)) {
+    const value = crypto.randomBytes(32).toString("base64url");
+    token = `${value}.${sign(value)}`;
+  }
+  res.cookie(csrfConfig.cookieName, token, cookieOptions);
+  return token;
+};
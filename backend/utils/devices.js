@@ -0,0 +1,90 @@
+import crypto from "crypto";
+import net from "net";
+import { KnownDevice } from "../models/knownDevice.model.js";
+import { sendNewDeviceEmail } from "../email/email.js";
+import { hashToken } from "./hashToken.js";
+import { lookupLocation } from "./geoip.js";
+import { describeUserAgent } from "../../shared/describeUserAgent.js";
+
+const REPORT_LINK_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Expands "::" so an IPv6 address can be split into its 8 groups
+const expandIPv6 = (address) => {
+  const [head, tail = ""] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(missing).fill("0"), ...tailGroups];
+};
+
+// ====================== IP Prefix ======================
+// The network an address belongs to: /24 for IPv4, /48 for IPv6. Addresses
+// handed out by the same ISP router or office network share a prefix.
+export const ipPrefix = (ip) => {
+  const address = ip?.replace(/^::ffff:/, "");
+  if (net.isIPv4(address)) {
+    return `${address.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+  if (net.isIPv6(address)) {
+    return `${expandIPv6(address).slice(0, 3).join(":")}::/48`;
+  }
+  return "unknown";
+};
+
+// ====================== Device Fingerprint ======================
+// Version numbers are dropped from the user agent so a browser update does
+// not turn a known device into a new one.
+export const deviceFingerprint = (userAgent, ip) =>
+  hashToken(`${(userAgent || "").replace(/[\d._]+/g, "")}|${ipPrefix(ip)}`);
+
+// ====================== Check Login Device ======================
+// Compares a sign-in with the user's known devices. An unrecognized device is
+// remembered and, unless it is the first device of the account, the user gets
+// an alert with a "this wasn't me" link bound to `session`. Never throws: a
+// failed check must not fail the login.
+export const checkLoginDevice = async (req, user, session) => {
+  try {
+    const userAgent = req.get("user-agent");
+    const fingerprint = deviceFingerprint(userAgent, req.ip);
+
+    const knownDevice = await KnownDevice.findOneAndUpdate(
+      { user: user._id, fingerprint },
+      { lastSeenAt: Date.now() }
+    );
+    if (knownDevice) return;
+
+    const isFirstDevice = !(await KnownDevice.exists({ user: user._id }));
+    const location = await lookupLocation(req.ip, user.locale);
+    const reportToken = crypto.randomBytes(20).toString("hex");
+
+    await KnownDevice.create({
+      user: user._id,
+      fingerprint,
+      userAgent,
+      ipPrefix: ipPrefix(req.ip),
+      location,
+      ...(!isFirstDevice && {
+        reportToken: hashToken(reportToken),
+        reportTokenExpireAt: Date.now() + REPORT_LINK_TTL,
+        reportSession: session.jti,
+      }),
+    });
+    if (isFirstDevice) return;
+
+    await sendNewDeviceEmail(
+      user.email,
+      {
+        signedInAt: new Date(),
+        device: describeUserAgent(userAgent),
+        location,
+        ip: req.ip,
+        reportLink: `${process.env.FRONTEND_URL}/report-device/${reportToken}`,
+      },
+      user.locale
+    );
+  } catch (error) {
+    // Duplicate key: a parallel login from the same device got there first
+    if (error.code === 11000) return;
+    console.error("Error checking login device:", error);
+  }
+};
@@ -0,0 +1,96 @@
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+// ====================== App Errors ======================
+// Throw these from controllers and middleware; the error middleware turns
+// them into `{ message, code }` responses with the right status. Messages of
+// AppErrors are shown to users, so keep internals out of them.
+export class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = ERROR_CODES.INTERNAL_ERROR } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+
+  // Extra fields merged into the response body
+  toJSON() {
+    return {};
+  }
+}
+
+// 400: the request itself is wrong. `errors` maps field names to messages.
+export class ValidationError extends AppError {
+  constructor(
+    message = "Invalid request",
+    { code = ERROR_CODES.VALIDATION_FAILED, errors } = {}
+  ) {
+    super(message, { status: 400, code });
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return this.errors ? { errors: this.errors } : {};
+  }
+}
+
+// 401: missing, expired or wrong credentials
+export class AuthError extends AppError {
+  constructor(
+    message = "Authentication required",
+    { code = ERROR_CODES.AUTH_REQUIRED } = {}
+  ) {
+    super(message, { status: 401, code });
+  }
+}
+
+// 403: authenticated, but not allowed
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", { code = ERROR_CODES.FORBIDDEN } = {}) {
+    super(message, { status: 403, code });
+  }
+}
+
+// 404
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = ERROR_CODES.NOT_FOUND } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+// 409: the request clashes with existing state
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = ERROR_CODES.CONFLICT } = {}) {
+    super(message, { status: 409, code });
+  }
+}
+
+// 429: sent with a Retry-After header
+export class RateLimitError extends AppError {
+  constructor(
+    message = "Too many requests, please try again later",
+    { code = ERROR_CODES.RATE_LIMITED, retryAfter } = {}
+  ) {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter; // Seconds
+  }
+
+  toJSON() {
+    return this.retryAfter ? { retryAfter: this.retryAfter } : {};
+  }
+}
+
+// OAuth 2.0 / OIDC protocol errors (RFC 6749 section 5.2). The body also
+// carries the spec's `error` and `error_description` for client libraries.
+export class OAuthError extends AppError {
+  constructor(error, description, { status = 400 } = {}) {
+    super(description, { status, code: ERROR_CODES.OAUTH_REQUEST_INVALID });
+    this.error = error;
+  }
+
+  toJSON() {
+    return { error: this.error, error_description: this.message };
+  }
+}
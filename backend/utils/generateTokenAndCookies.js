@@ -1,18 +1,88 @@
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { hashToken } from "./hashToken.js";
+import { createSession } from "./sessions.js";
+import { signWithCurrentKey, verifyWithPublishedKeys } from "./signingKeys.js";
+import { signingKeysConfig } from "../config/signingKeys.config.js";
 
-export const generateTokenAndCookies = (res, userId) => {
-  // Generate JWT
-  const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Keeps tokens issued to other apps, signed with the same keys, from
+// passing as access tokens
+const ACCESS_TOKEN_AUDIENCE = "session";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "strict",
+};
+
+// The refresh cookie is only needed by the auth routes (refresh / logout)
+const refreshCookieOptions = { ...cookieOptions, path: "/api/auth" };
+
+// ====================== Issue Refresh Token ======================
+export const issueRefreshToken = async (userId, family) => {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL,
   });
 
-  // Set Cookies
-  res.cookie("token", token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "strict",
-    maxAge: 3600000, // 1 hour
+  return refreshToken;
+};
+
+// ====================== Set Auth Cookies ======================
+export const setAuthCookies = async (res, userId, sessionId, refreshToken) => {
+  // Generate short-lived access JWT bound to the server-side session
+  const token = await signWithCurrentKey(
+    { id: userId.toString() },
+    {
+      expiresIn: ACCESS_TOKEN_TTL / 1000,
+      jwtid: sessionId,
+      audience: ACCESS_TOKEN_AUDIENCE,
+    }
+  );
+
+  res.cookie("token", token, { ...cookieOptions, maxAge: ACCESS_TOKEN_TTL });
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL,
   });
 
   return token;
 };
+
+// ====================== Verify Access Token ======================
+// Returns the token's claims or throws jsonwebtoken's errors. Tokens from
+// before the switch to published keys carry no kid and are checked against
+// JWT_SECRET until JWT_HS256_ACCEPTED_UNTIL.
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const { hs256AcceptedUntil } = signingKeysConfig;
+  if (!decoded?.header.kid && hs256AcceptedUntil > Date.now()) {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+  }
+  return verifyWithPublishedKeys(token, { audience: ACCESS_TOKEN_AUDIENCE });
+};
+
+// ====================== Clear Auth Cookies ======================
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions);
+  res.clearCookie("refreshToken", refreshCookieOptions);
+};
+
+// ====================== Generate Token And Cookies ======================
+// Registers a new session for a fresh login and returns it; the session id
+// doubles as the refresh token family.
+export const generateTokenAndCookies = async (req, res, userId) => {
+  const session = await createSession(req, userId);
+  const refreshToken = await issueRefreshToken(userId, session.jti);
+  await setAuthCookies(res, userId, session.jti, refreshToken);
+  return session;
+};
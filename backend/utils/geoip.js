@@ -0,0 +1,31 @@
+import maxmind from "maxmind";
+
+let readerPromise;
+
+// The database is opened on first use; a missing or broken file is reported
+// once and the lookups return null from then on.
+const getReader = () => {
+  const databasePath = process.env.GEOIP_DATABASE_PATH;
+  if (!databasePath) return null;
+
+  readerPromise ??= maxmind.open(databasePath).catch((error) => {
+    console.error("Error opening GeoIP database:", error);
+    return null;
+  });
+  return readerPromise;
+};
+
+// ====================== Lookup Location ======================
+// Approximate "City, Country" of an IP address from an offline MaxMind
+// GeoLite2/GeoIP2 City database (GEOIP_DATABASE_PATH). Returns null when no
+// database is configured or the address is unknown (e.g. private ranges).
+export const lookupLocation = async (ip, locale = "en") => {
+  const reader = await getReader();
+  const address = ip?.replace(/^::ffff:/, "");
+  if (!reader || !address || !maxmind.validate(address)) return null;
+
+  const result = reader.get(address);
+  const name = (place) => place?.names?.[locale] ?? place?.names?.en;
+  const parts = [name(result?.city), name(result?.country)].filter(Boolean);
+  return parts.length ? parts.join(", ") : null;
+};
@@ -0,0 +1,6 @@
+import crypto from "crypto";
+
+// Tokens that are emailed or stored in cookies are only ever persisted as a
+// SHA-256 digest, so a database leak does not hand out live credentials.
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
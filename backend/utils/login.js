@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { TwoFactorChallenge } from "../models/twoFactorChallenge.model.js";
+import { generateTokenAndCookies } from "./generateTokenAndCookies.js";
+import { ForbiddenError } from "./errors.js";
+import { recordAuthEvent } from "./authEvents.js";
+import { checkLoginDevice } from "./devices.js";
+import { AUTH_EVENTS } from "../models/authEvent.model.js";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
+
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const TWO_FACTOR_PURPOSE = "2fa-pending";
+
+// ====================== Sign-In Eligibility ======================
+// Disabled accounts and accounts waiting to be deleted cannot sign in, however
+// they authenticate.
+export const assertCanSignIn = (user) => {
+  if (user.isDisabled) {
+    throw new ForbiddenError("Account is disabled", {
+      code: ERROR_CODES.ACCOUNT_DISABLED,
+    });
+  }
+  if (user.deletionScheduledFor) {
+    throw new ForbiddenError("Account is scheduled for deletion", {
+      code: ERROR_CODES.ACCOUNT_PENDING_DELETION,
+    });
+  }
+};
+
+// The account was reported as compromised ("this wasn't me"): whoever got in
+// may have added a passkey or linked a provider, so no way of signing in works
+// until the password is reset.
+export const assertPasswordResetDone = (user) => {
+  if (user.passwordResetRequired) {
+    throw new ForbiddenError("You need to reset your password", {
+      code: ERROR_CODES.PASSWORD_RESET_REQUIRED,
+    });
+  }
+};
+
+// ====================== Complete Login ======================
+// Last step of every successful sign-in: start a session, record the login and
+// alert the user when it comes from an unrecognized device. `method` says how
+// the user proved who they are (password, passkey...).
+export const completeLogin = async (req, res, user, method) => {
+  const session = await generateTokenAndCookies(req, res, user._id);
+
+  user.lastlogin = Date.now();
+  await user.save();
+  await recordAuthEvent(req, { type: AUTH_EVENTS.LOGIN, user, method });
+  await checkLoginDevice(req, user, session);
+};
+
+// ====================== Two-Factor Challenge ======================
+// Short-lived proof that the first factor (password) succeeded. It carries no
+// session and is only accepted by the 2FA verify route. Its record caps the
+// code attempts made with it, parallel ones included.
+export const createTwoFactorChallenge = async (userId) => {
+  const jti = crypto.randomUUID();
+  await TwoFactorChallenge.create({
+    jti,
+    user: userId,
+    expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL,
+  });
+  return jwt.sign(
+    { id: userId, purpose: TWO_FACTOR_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL / 1000, jwtid: jti }
+  );
+};
+
+// Uses up one attempt of a valid challenge and returns its user id, or null
+// once the challenge is invalid, expired or out of attempts
+export const claimTwoFactorAttempt = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  if (decoded.purpose !== TWO_FACTOR_PURPOSE || !decoded.jti) return null;
+
+  const challenge = await TwoFactorChallenge.findOneAndUpdate(
+    {
+      jti: decoded.jti,
+      attempts: { $lt: MAX_CHALLENGE_ATTEMPTS },
+      expiresAt: { $gt: Date.now() },
+    },
+    { $inc: { attempts: 1 } }
+  );
+  return challenge ? challenge.user.toString() : null;
+};
+
+// After a successful second factor: the challenge can't log in again
+export const consumeTwoFactorChallenge = async (challengeToken) => {
+  const { jti } = jwt.decode(challengeToken) ?? {};
+  await TwoFactorChallenge.deleteOne({ jti });
+};
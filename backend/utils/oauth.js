@@ -0,0 +1,176 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const DISCOVERY_TTL = 60 * 60 * 1000; // 1 hour
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// ====================== PKCE / State ======================
+export const randomToken = () => base64url(crypto.randomBytes(32));
+
+export const pkceChallenge = (verifier) =>
+  base64url(crypto.createHash("sha256").update(verifier).digest());
+
+// ====================== Discovery ======================
+// Fills in endpoints of OIDC providers from their discovery document; values
+// configured explicitly always win.
+export const resolveProvider = async (provider) => {
+  if (provider.type !== "oidc") return provider;
+
+  const cached = discoveryCache.get(provider.name);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_TTL) {
+    return cached.provider;
+  }
+
+  const response = await fetch(
+    `${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`
+  );
+  if (!response.ok) {
+    throw new Error(`OIDC discovery failed for ${provider.name}`);
+  }
+  const discovery = await response.json();
+
+  const resolved = {
+    ...provider,
+    issuer: discovery.issuer || provider.issuer,
+    authorizationUrl:
+      provider.authorizationUrl || discovery.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovery.userinfo_endpoint,
+    jwksUrl: provider.jwksUrl || discovery.jwks_uri,
+  };
+  discoveryCache.set(provider.name, { provider: resolved, fetchedAt: Date.now() });
+  return resolved;
+};
+
+// ====================== Authorization URL ======================
+export const buildAuthorizationUrl = (
+  provider,
+  { redirectUri, state, nonce, codeVerifier }
+) => {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    code_challenge: pkceChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  if (provider.type === "oidc") params.set("nonce", nonce);
+
+  return `${provider.authorizationUrl}?${params}`;
+};
+
+// ====================== Token Exchange ======================
+export const exchangeCode = async (
+  provider,
+  { code, redirectUri, codeVerifier }
+) => {
+  const response = await fetch(provider.tokenUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || "",
+      code_verifier: codeVerifier,
+    }),
+  });
+  const tokens = await response.json();
+  if (!response.ok || tokens.error || !tokens.access_token) {
+    throw new Error(
+      `Token exchange failed for ${provider.name}: ${tokens.error || response.status}`
+    );
+  }
+  return tokens;
+};
+
+// ====================== ID Token Validation ======================
+const getSigningKey = async (provider, kid) => {
+  const cached = jwksCache.get(provider.jwksUrl);
+  let keys = cached?.keys;
+
+  // Refetch when the key is unknown: the provider may have rotated
+  if (!keys || !keys.some((key) => key.kid === kid)) {
+    const response = await fetch(provider.jwksUrl);
+    if (!response.ok) throw new Error(`JWKS fetch failed for ${provider.name}`);
+    keys = (await response.json()).keys;
+    jwksCache.set(provider.jwksUrl, { keys });
+  }
+
+  const jwk = keys.find((key) => !kid || key.kid === kid);
+  if (!jwk) throw new Error(`Unknown signing key ${kid}`);
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+export const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("Malformed ID token");
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "ES256", "PS256"],
+    issuer: provider.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  return claims;
+};
+
+// ====================== Profile ======================
+// Normalizes what each provider tells us about the user to
+// { subject, email, emailVerified, name }.
+export const fetchProfile = async (provider, tokens, nonce) => {
+  if (provider.type === "oidc") {
+    if (!tokens.id_token) throw new Error("Provider returned no ID token");
+    const claims = await verifyIdToken(provider, tokens.id_token, nonce);
+    return {
+      subject: claims.sub,
+      email: claims.email,
+      emailVerified: [true, "true"].includes(claims.email_verified),
+      name: claims.name || claims.email,
+    };
+  }
+
+  // Plain OAuth 2.0 (GitHub): the profile and the verified emails are
+  // separate API calls.
+  const headers = {
+    Authorization: `Bearer ${tokens.access_token}`,
+    Accept: "application/json",
+  };
+  const profileResponse = await fetch(provider.userinfoUrl, { headers });
+  if (!profileResponse.ok) {
+    throw new Error(`Profile fetch failed for ${provider.name}`);
+  }
+  const profile = await profileResponse.json();
+
+  let email = profile.email;
+  let emailVerified = false;
+  if (provider.emailsUrl) {
+    const emailsResponse = await fetch(provider.emailsUrl, { headers });
+    if (emailsResponse.ok) {
+      const emails = await emailsResponse.json();
+      const primary = emails.find((entry) => entry.primary && entry.verified);
+      if (primary) {
+        email = primary.email;
+        emailVerified = true;
+      }
+    }
+  }
+
+  return {
+    subject: String(profile.id),
+    email,
+    emailVerified,
+    name: profile.name || profile.login || email,
+  };
+};
@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import { OAuthClient } from "../models/oauthClient.model.js";
+import { oidcConfig } from "../config/oidc.config.js";
+import { hashToken } from "./hashToken.js";
+import { OAuthError } from "./errors.js";
+
+// Helpers for this service acting as an OpenID Connect provider. The client
+// side of social login lives in oauth.js.
+
+// Repeated query parameters arrive as arrays, which are never valid here
+const param = (value) => (typeof value === "string" ? value : undefined);
+
+// ====================== Client Credentials ======================
+export const generateClientCredentials = () => ({
+  clientId: crypto.randomBytes(16).toString("hex"),
+  clientSecret: crypto.randomBytes(32).toString("base64url"),
+});
+
+const secretsMatch = (secret, storedHash) =>
+  crypto.timingSafeEqual(
+    Buffer.from(hashToken(secret)),
+    Buffer.from(storedHash)
+  );
+
+// Accepts client_secret_basic and client_secret_post. Public clients send
+// only their client_id.
+export const authenticateClient = async (req) => {
+  let clientId = param(req.body?.client_id);
+  let clientSecret = param(req.body?.client_secret);
+
+  const [scheme, credentials] = (req.get("authorization") ?? "").split(" ");
+  if (scheme.toLowerCase() === "basic" && credentials) {
+    const decoded = Buffer.from(credentials, "base64").toString();
+    const separator = decoded.indexOf(":");
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    } catch {
+      clientId = undefined; // Malformed encoding fails authentication below
+    }
+  }
+
+  const client = clientId && (await OAuthClient.findOne({ clientId }));
+  const authenticated =
+    client &&
+    (client.clientSecretHash
+      ? Boolean(clientSecret) &&
+        secretsMatch(clientSecret, client.clientSecretHash)
+      : !clientSecret);
+  if (!authenticated) {
+    throw new OAuthError("invalid_client", "Client authentication failed", {
+      status: 401,
+    });
+  }
+  return client;
+};
+
+// ====================== Authorization Request ======================
+// Checks the parameters of an authorization request, as sent to /authorize
+// and replayed by the consent screen. An unknown client or redirect URI
+// throws: there is no safe place to send the user. Other problems come back
+// as `error` ([code, description]) to be reported to the client's
+// redirect URI.
+export const parseAuthorizationRequest = async (params) => {
+  const clientId = param(params.client_id);
+  const client = clientId && (await OAuthClient.findOne({ clientId }));
+  if (!client) {
+    throw new OAuthError("invalid_request", "Unknown client_id");
+  }
+  const redirectUri = param(params.redirect_uri);
+  if (!client.redirectUris.includes(redirectUri)) {
+    throw new OAuthError(
+      "invalid_request",
+      "redirect_uri is not registered for this client"
+    );
+  }
+
+  const request = {
+    client,
+    redirectUri,
+    state: param(params.state),
+    nonce: param(params.nonce),
+  };
+  const scopes = [
+    ...new Set((param(params.scope) ?? "").split(" ").filter(Boolean)),
+  ];
+  const codeChallenge = param(params.code_challenge);
+
+  if (param(params.response_type) !== "code") {
+    return {
+      ...request,
+      error: [
+        "unsupported_response_type",
+        "Only response_type=code is supported",
+      ],
+    };
+  }
+  if (!scopes.includes("openid")) {
+    return {
+      ...request,
+      error: ["invalid_scope", "The openid scope is required"],
+    };
+  }
+  const unknownScope = scopes.find(
+    (scope) =>
+      !oidcConfig.scopes.includes(scope) || !client.scopes.includes(scope)
+  );
+  if (unknownScope) {
+    return {
+      ...request,
+      error: ["invalid_scope", `Scope ${unknownScope} is not allowed`],
+    };
+  }
+  // PKCE is required of every client, confidential ones included
+  if (
+    param(params.code_challenge_method) !== "S256" ||
+    !/^[\w-]{43}$/.test(codeChallenge ?? "")
+  ) {
+    return {
+      ...request,
+      error: [
+        "invalid_request",
+        "PKCE with code_challenge_method=S256 is required",
+      ],
+    };
+  }
+
+  return { ...request, scopes, codeChallenge };
+};
+
+// The request in its query string form, for the consent screen
+export const authorizationParams = (request) =>
+  new URLSearchParams(
+    Object.entries({
+      response_type: "code",
+      client_id: request.client.clientId,
+      redirect_uri: request.redirectUri,
+      scope: request.scopes.join(" "),
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: request.codeChallenge,
+      code_challenge_method: "S256",
+    }).filter(([, value]) => value !== undefined)
+  );
+
+// Where to send the user back to, with the code or an error. `iss` lets the
+// client detect mix-up attacks (RFC 9207).
+export const clientRedirectUrl = (request, params) => {
+  const url = new URL(request.redirectUri);
+  for (const [name, value] of Object.entries({
+    ...params,
+    state: request.state,
+    iss: oidcConfig.issuer,
+  })) {
+    if (value !== undefined) url.searchParams.set(name, value);
+  }
+  return url.toString();
+};
+
+// ====================== Claims ======================
+// What a client may learn about the user, by granted scope
+export const userClaims = (user, scopes) => ({
+  sub: user._id.toString(),
+  ...(scopes.includes("profile") && {
+    name: user.name,
+    locale: user.locale,
+    updated_at: Math.floor(user.updatedAt.getTime() / 1000),
+  }),
+  ...(scopes.includes("email") && {
+    email: user.email,
+    email_verified: user.isVerified,
+  }),
+});
@@ -0,0 +1,131 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { promisify } from "util";
+import { passwordHashingConfig } from "../config/passwordHashing.config.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const { algorithm, pepper } = passwordHashingConfig;
+
+const PEPPER_PREFIX = "$peppered$";
+const SCRYPT_KEY_LENGTH = 64;
+
+// With a pepper the password is first HMAC'd with it, which also keeps long
+// passwords under bcrypt's 72-byte limit
+const applyPepper = (password) =>
+  crypto.createHmac("sha256", pepper).update(password).digest("base64");
+
+const deriveScryptKey = (password, salt, { logN, r, p }) => {
+  const N = 2 ** logN;
+  return scrypt(password, salt, SCRYPT_KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r, // Node's default cap is too low for N = 2^15
+  });
+};
+
+const parseScryptHash = (hash) => {
+  const [, , paramString, salt, key] = hash.split("$");
+  const params = Object.fromEntries(
+    paramString.split(",").map((pair) => {
+      const [name, value] = pair.split("=");
+      return [name === "ln" ? "logN" : name, Number(value)];
+    })
+  );
+  return { params, salt, key };
+};
+
+// ====================== Hashers ======================
+// Each algorithm knows how to hash, verify, and read back the parameters a
+// stored hash was made with.
+const hashers = {
+  // $2b$10$<salt+hash>: the cost is part of the standard format
+  bcrypt: {
+    matches: (hash) => /^\$2[abxy]\$/.test(hash),
+    hash: (password) =>
+      bcrypt.hash(password, passwordHashingConfig.bcrypt.cost),
+    verify: (password, hash) => bcrypt.compare(password, hash),
+    isCurrent: (hash) =>
+      bcrypt.getRounds(hash) === passwordHashingConfig.bcrypt.cost,
+  },
+  // $scrypt$ln=15,r=8,p=1$<salt>$<key> (PHC string format, base64)
+  scrypt: {
+    matches: (hash) => hash.startsWith("$scrypt$"),
+    hash: async (password) => {
+      const { logN, r, p } = passwordHashingConfig.scrypt;
+      const salt = crypto.randomBytes(16);
+      const key = await deriveScryptKey(password, salt, { logN, r, p });
+      return `$scrypt$ln=${logN},r=${r},p=${p}$${salt.toString("base64")}$${key.toString("base64")}`;
+    },
+    verify: async (password, hash) => {
+      const { params, salt, key } = parseScryptHash(hash);
+      const derived = await deriveScryptKey(
+        password,
+        Buffer.from(salt, "base64"),
+        params
+      );
+      const expected = Buffer.from(key, "base64");
+      return (
+        derived.length === expected.length &&
+        crypto.timingSafeEqual(derived, expected)
+      );
+    },
+    isCurrent: (hash) => {
+      const { params } = parseScryptHash(hash);
+      const { logN, r, p } = passwordHashingConfig.scrypt;
+      return params.logN === logN && params.r === r && params.p === p;
+    },
+  },
+};
+
+if (!hashers[algorithm]) {
+  throw new Error(
+    `Unknown PASSWORD_HASH_ALGORITHM "${algorithm}", use one of: ${Object.keys(hashers).join(", ")}`
+  );
+}
+
+// Splits off the pepper marker and finds the algorithm of a stored hash
+const inspectHash = (storedHash) => {
+  const peppered = storedHash.startsWith(PEPPER_PREFIX);
+  const hash = peppered ? storedHash.slice(PEPPER_PREFIX.length) : storedHash;
+  const name = Object.keys(hashers).find((key) => hashers[key].matches(hash));
+  return { peppered, hash, name };
+};
+
+// ====================== Hash Password ======================
+// Hashes with the configured algorithm, parameters and pepper
+export const hashPassword = async (password) => {
+  if (!pepper) return hashers[algorithm].hash(password);
+  return PEPPER_PREFIX + (await hashers[algorithm].hash(applyPepper(password)));
+};
+
+// ====================== Verify Password ======================
+// Works for every hash this module ever produced, whatever the current
+// settings. False for accounts without a password.
+export const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) return false;
+
+  const { peppered, hash, name } = inspectHash(storedHash);
+  if (!name) return false;
+  if (peppered && !pepper) {
+    console.error("Password hash needs PASSWORD_PEPPER, which is not set");
+    return false;
+  }
+  return hashers[name].verify(
+    peppered ? applyPepper(password) : password,
+    hash
+  );
+};
+
+// ====================== Needs Rehash ======================
+// True when a hash was made with other settings than the current ones. Call
+// after a successful verifyPassword and store hashPassword(password).
+export const needsRehash = (storedHash) => {
+  const { peppered, hash, name } = inspectHash(storedHash);
+  return (
+    name !== algorithm ||
+    peppered !== Boolean(pepper) ||
+    !hashers[name].isCurrent(hash)
+  );
+};
@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { passwordScreeningConfig } from "../config/passwordScreening.config.js";
+import { validatePassword } from "../../shared/passwordPolicy.js";
+import { ValidationError } from "./errors.js";
+
+const { breachCheck, breachApiUrl, breachFile, breachTimeout } =
+  passwordScreeningConfig;
+
+// ====================== Breach Range Sources ======================
+// Both take the first 5 hex characters of a SHA-1 and return the matching
+// "SUFFIX:COUNT" lines, so only the prefix ever leaves the server.
+const fetchRange = async (prefix) => {
+  const response = await fetch(`${breachApiUrl}/${prefix}`, {
+    // Padded responses hide the number of real matches from observers
+    headers: { "Add-Padding": "true" },
+    signal: AbortSignal.timeout(breachTimeout),
+  });
+  if (!response.ok) {
+    throw new Error(`Breach range request failed with ${response.status}`);
+  }
+  return response.text();
+};
+
+let localRanges;
+
+const loadLocalRanges = async () => {
+  const ranges = new Map();
+  const content = await fs.readFile(breachFile, "utf8");
+  for (const line of content.split("\n")) {
+    const entry = line.trim().toUpperCase();
+    if (!entry) continue;
+    const prefix = entry.slice(0, 5);
+    ranges.set(prefix, `${ranges.get(prefix) ?? ""}${entry.slice(5)}\n`);
+  }
+  return ranges;
+};
+
+const readLocalRange = async (prefix) => {
+  localRanges ??= loadLocalRanges();
+  return (await localRanges).get(prefix) ?? "";
+};
+
+// ====================== Is Breached Password ======================
+// True when the password appears in a known data breach. Errors are logged
+// and treated as "not found".
+export const isBreachedPassword = async (password) => {
+  if (breachCheck === "off") return false;
+
+  const hash = crypto
+    .createHash("sha1")
+    .update(password)
+    .digest("hex")
+    .toUpperCase();
+  const prefix = hash.slice(0, 5);
+  const suffix = hash.slice(5);
+
+  try {
+    const range =
+      breachCheck === "local"
+        ? await readLocalRange(prefix)
+        : await fetchRange(prefix);
+    return range.split("\n").some((line) => {
+      const [lineSuffix, count] = line.trim().split(":");
+      // Padding entries have a count of 0
+      return lineSuffix === suffix && Number(count) > 0;
+    });
+  } catch (error) {
+    console.error("Error checking breached passwords:", error);
+    return false;
+  }
+};
+
+// ====================== Screen Password ======================
+// Checks a new password against what only the server knows: the account's
+// email and name (`userInputs`) and the breach corpus. The request schemas
+// already enforced the rest of the shared policy. Throws a ValidationError
+// on `field`.
+export const screenPassword = async (
+  password,
+  userInputs,
+  field = "password"
+) => {
+  const [message] = validatePassword(password, userInputs);
+  if (message) {
+    throw new ValidationError(message, { errors: { [field]: message } });
+  }
+
+  if (await isBreachedPassword(password)) {
+    const message =
+      "This password has appeared in a data breach, choose a different one";
+    throw new ValidationError(message, { errors: { [field]: message } });
+  }
+};
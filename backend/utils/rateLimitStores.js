@@ -0,0 +1,88 @@
+import { RateLimit } from "../models/rateLimit.model.js";
+
+// A rate limit store counts hits per key inside a fixed window. Stores expose:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key) -> Promise<void>
+
+// ====================== Memory Store ======================
+// Default store. Counters live in this process only, so use the Mongo store
+// when running more than one instance.
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref(); // Don't keep the process alive for this
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.hits.set(key, fresh);
+      return { ...fresh };
+    }
+    entry.count++;
+    return { ...entry };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+// ====================== Mongo Store ======================
+// Shares counters between instances through the RateLimit collection.
+export class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ["$resetAt", now] };
+
+    // Single atomic upsert: bump the counter inside a live window, otherwise
+    // start a new window at 1.
+    const doc = await RateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [
+                windowOpen,
+                "$resetAt",
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+
+    return { count: doc.count, resetAt: doc.resetAt.getTime() };
+  }
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+}
+
+// ====================== Default Store ======================
+let defaultStore;
+
+export const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === "mongo"
+        ? new MongoStore()
+        : new MemoryStore();
+  }
+  return defaultStore;
+};
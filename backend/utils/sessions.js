@@ -0,0 +1,50 @@
+import crypto from "crypto";
+import { Session } from "../models/session.model.js";
+import { RefreshToken } from "../models/refreshToken.model.js";
+import { Membership } from "../models/membership.model.js";
+
+// ====================== Create Session ======================
+// New sessions start in the organization the user joined first
+export const createSession = async (req, userId) => {
+  const membership = await Membership.findOne({ user: userId }).sort({
+    createdAt: 1,
+  });
+
+  return Session.create({
+    jti: crypto.randomUUID(),
+    user: userId,
+    activeOrganization: membership?.organization,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+};
+
+// ====================== Revoke Sessions ======================
+// Revokes every active session matching `filter` together with the refresh
+// tokens issued for them.
+export const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select(
+    "jti"
+  );
+  const jtis = sessions.map((session) => session.jti);
+  if (jtis.length === 0) return 0;
+
+  const now = Date.now();
+  await Session.updateMany({ jti: { $in: jtis } }, { revokedAt: now });
+  await RefreshToken.updateMany(
+    { family: { $in: jtis }, revokedAt: null },
+    { revokedAt: now }
+  );
+  return jtis.length;
+};
+
+// Signs the user out everywhere, including refresh tokens whose session
+// record is gone
+export const revokeUserSessions = async (userId) => {
+  const revoked = await revokeSessions({ user: userId });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+  return revoked;
+};
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { SigningKey } from "../models/signingKey.model.js";
+import {
+  signingKeysConfig,
+  SIGNING_ALGORITHMS,
+} from "../config/signingKeys.config.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+// Other instances may rotate or revoke keys: re-read them this often
+const CACHE_TTL = 60 * 1000;
+
+let currentKey = null;
+let currentKeyLoadedAt = 0;
+let currentKeyLoading = null;
+const publicKeys = new Map(); // kid -> { publicKey, algorithm, loadedAt }
+
+if (!SIGNING_ALGORITHMS.includes(signingKeysConfig.algorithm)) {
+  throw new Error(
+    `Unknown JWT_SIGNING_ALGORITHM "${signingKeysConfig.algorithm}", use one of: ${SIGNING_ALGORITHMS.join(", ")}`
+  );
+}
+
+const keyPairOptions = {
+  RS256: ["rsa", { modulusLength: 2048 }],
+  ES256: ["ec", { namedCurve: "P-256" }],
+};
+
+const generateKeyPair = (algorithm) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(
+    ...keyPairOptions[algorithm]
+  );
+  return {
+    kid: crypto.randomBytes(12).toString("base64url"),
+    algorithm,
+    publicJwk: publicKey.export({ format: "jwk" }),
+    privateKey: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+};
+
+// Keys that may still have signed a valid token
+const publishedFilter = () => ({
+  $or: [{ retiredAt: null }, { expiresAt: { $gt: Date.now() } }],
+});
+
+// ====================== Rotate Signing Key ======================
+// Creates a new signing key and retires the one in use. A retired key still
+// verifies tokens for the grace period, unless `revoke` drops it straight away
+// (for a leaked key: tokens it signed stop working, sessions refresh). Keys
+// retired earlier keep their own expiry.
+export const rotateSigningKey = async ({ revoke = false } = {}) => {
+  const key = await SigningKey.create(
+    generateKeyPair(signingKeysConfig.algorithm)
+  );
+  const now = Date.now();
+  await SigningKey.updateMany(
+    { _id: { $ne: key._id }, retiredAt: null },
+    {
+      retiredAt: now,
+      expiresAt: revoke ? now : now + signingKeysConfig.graceDays * DAY,
+    }
+  );
+
+  currentKey = key;
+  currentKeyLoadedAt = now;
+  publicKeys.clear();
+  return key;
+};
+
+const loadSigningKey = async () => {
+  const key = await SigningKey.findOne({ retiredAt: null }).sort({
+    createdAt: -1,
+  });
+  if (
+    !key ||
+    key.algorithm !== signingKeysConfig.algorithm ||
+    Date.now() - key.createdAt > signingKeysConfig.rotationDays * DAY
+  ) {
+    return rotateSigningKey();
+  }
+  currentKey = key;
+  currentKeyLoadedAt = Date.now();
+  return key;
+};
+
+// The key new tokens are signed with. Rotates once it reaches its maximum age
+// or the configured algorithm changes (and creates the very first key).
+const getSigningKey = async () => {
+  if (currentKey && Date.now() - currentKeyLoadedAt < CACHE_TTL) {
+    return currentKey;
+  }
+  // Concurrent requests share one lookup, so a fresh database gets one key
+  currentKeyLoading ??= loadSigningKey().finally(() => {
+    currentKeyLoading = null;
+  });
+  return currentKeyLoading;
+};
+
+const getPublicKey = async (kid) => {
+  const cached = publicKeys.get(kid);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) return cached;
+
+  const key = await SigningKey.findOne({ kid, ...publishedFilter() });
+  if (!key) {
+    publicKeys.delete(kid);
+    return null;
+  }
+  const entry = {
+    publicKey: crypto.createPublicKey({ key: key.publicJwk, format: "jwk" }),
+    algorithm: key.algorithm,
+    loadedAt: Date.now(),
+  };
+  publicKeys.set(kid, entry);
+  return entry;
+};
+
+// ====================== JWKS ======================
+// Public halves of every key that may still have signed a valid token
+export const getJwks = async () => {
+  const keys = await SigningKey.find(publishedFilter()).sort({
+    createdAt: -1,
+  });
+
+  return {
+    keys: keys.map((key) => ({
+      ...key.publicJwk,
+      kid: key.kid,
+      alg: key.algorithm,
+      use: "sig",
+    })),
+  };
+};
+
+// ====================== Sign / Verify ======================
+// jsonwebtoken options (expiresIn, audience...) pass straight through
+export const signWithCurrentKey = async (payload, options = {}) => {
+  const key = await getSigningKey();
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+  });
+};
+
+// Throws jsonwebtoken's errors for bad, expired or unknown-key tokens
+export const verifyWithPublishedKeys = async (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded?.header.kid && (await getPublicKey(decoded.header.kid));
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.algorithm],
+  });
+};
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// which is what Google Authenticator, Authy, 1Password etc. expect.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// ====================== Base32 ======================
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// ====================== Generate Secret ======================
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// ====================== HOTP (RFC 4226) ======================
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+export const currentTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+// ====================== Verify TOTP ======================
+// Accepts codes from one step before/after to tolerate clock drift. Returns
+// the matched time step (so callers can refuse to accept it twice) or null.
+export const verifyTotp = (secret, code, window = 1) => {
+  if (!/^\d{6}$/.test(code || "")) return null;
+
+  const step = currentTimeStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const expected = Buffer.from(hotp(secret, step + drift));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+// ====================== otpauth:// URI ======================
+export const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
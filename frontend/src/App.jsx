@@ -6,13 +6,24 @@ import LoadingSpinner from "./components/LoadingSpinner";
 
 import DashboardPage from "./pages/DashboardPage";
 import LoginPage from "./pages/LoginPage";
+import TwoFactorPage from "./pages/TwoFactorPage";
 import SignupPage from "./pages/SignupPage";
 import VerifyEmailPage from "./pages/VerifyEmailPage";
 import ForgotPasswordPage from "./pages/ForgotPasswordPage";
 import ResetPasswordPage from "./pages/ResetPasswordPage";
+import UnlockAccountPage from "./pages/UnlockAccountPage";
+import MagicLinkPage from "./pages/MagicLinkPage";
 import NotFoundPage from "./pages/NotFoundPage";
+import AdminUsersPage from "./pages/AdminUsersPage";
+import SettingsPage from "./pages/SettingsPage";
+import ConfirmEmailChangePage from "./pages/ConfirmEmailChangePage";
+import CancelDeletionPage from "./pages/CancelDeletionPage";
+import ReportDevicePage from "./pages/ReportDevicePage";
+import InvitationPage from "./pages/InvitationPage";
+import ConsentPage from "./pages/ConsentPage";
 
 import { useAuthStore } from "../store/useAuthStore";
+import { getReturnTo } from "./utils/returnTo";
 
 // ====================== Protect Routes That Require Authentication ======================
 const ProtectedRoute = ({ children }) => {
@@ -29,12 +40,25 @@ const ProtectedRoute = ({ children }) => {
   return children;
 };
 
+// ====================== Protect Routes That Require A Role ======================
+const RoleRoute = ({ roles, children }) => {
+  const { user } = useAuthStore();
+
+  const hasRole = user?.roles?.some((role) => roles.includes(role));
+
+  return (
+    <ProtectedRoute>
+      {hasRole ? children : <Navigate to="/" replace />}
+    </ProtectedRoute>
+  );
+};
+
 // ====================== Redirect Authenticated Users Away From Login/Signup Pages ======================
 const RedirectAuthenticatedUser = ({ children }) => {
   const { isAuthenticated, user } = useAuthStore();
 
   if (isAuthenticated && user?.isVerified) {
-    return <Navigate to="/" replace />;
+    return <Navigate to={getReturnTo()} replace />;
   }
 
   return children;
@@ -87,6 +111,22 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/settings"
+          element={
+            <ProtectedRoute>
+              <SettingsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/admin/users"
+          element={
+            <RoleRoute roles={["admin"]}>
+              <AdminUsersPage />
+            </RoleRoute>
+          }
+        />
         <Route
           path="/login"
           element={
@@ -95,6 +135,14 @@ function App() {
             </RedirectAuthenticatedUser>
           }
         />
+        <Route
+          path="/login/2fa"
+          element={
+            <RedirectAuthenticatedUser>
+              <TwoFactorPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
         <Route
           path="/signup"
           element={
@@ -112,14 +160,41 @@ function App() {
             </RedirectAuthenticatedUser>
           }
         />
+        {/* Reachable while signed in: a reported device leads here */}
+        <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+        <Route
+          path="/unlock-account/:token"
+          element={
+            <RedirectAuthenticatedUser>
+              <UnlockAccountPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
+        <Route
+          path="/magic-link/:token"
+          element={
+            <RedirectAuthenticatedUser>
+              <MagicLinkPage />
+            </RedirectAuthenticatedUser>
+          }
+        />
+        <Route
+          path="/confirm-email/:token"
+          element={<ConfirmEmailChangePage />}
+        />
         <Route
-          path="/reset-password/:token"
+          path="/cancel-deletion/:token"
           element={
             <RedirectAuthenticatedUser>
-              <ResetPasswordPage />
+              <CancelDeletionPage />
             </RedirectAuthenticatedUser>
           }
         />
+        <Route path="/report-device/:token" element={<ReportDevicePage />} />
+        {/* Shows the invitation signed out, accepting needs a session */}
+        <Route path="/invitations/:token" element={<InvitationPage />} />
+        {/* Sends signed-out users to log in and back, see returnTo */}
+        <Route path="/oauth/consent" element={<ConsentPage />} />
         <Route path="*" element={<NotFoundPage />} />
       </Routes>
     </div>
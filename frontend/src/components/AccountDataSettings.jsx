@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Download, Lock, Trash2 } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import Input from "./Input";
+
+const buttonClassName =
+  "w-full py-2 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 cursor-pointer flex items-center justify-center";
+
+const AccountDataSettings = () => {
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [password, setPassword] = useState("");
+
+  const { error, isLoading, exportAccountData, deleteAccount } = useAuthStore();
+
+  const handleExport = async () => {
+    try {
+      await exportAccountData();
+    } catch (error) {
+      console.error("Exporting data failed:", error);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!window.confirm("Delete your account? You will be signed out.")) {
+      return;
+    }
+    try {
+      // Signed out: the protected route sends us to the login page
+      await deleteAccount(password);
+    } catch (error) {
+      console.error("Deleting account failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3">Your Data</h3>
+      <p className="text-gray-300 text-sm mb-3">
+        Download a copy of your profile, devices and security settings.
+      </p>
+      <button onClick={handleExport} className={buttonClassName}>
+        <Download className="size-4 mr-2" />
+        Download my data
+      </button>
+
+      <div className="mt-6 pt-4 border-t border-gray-700">
+        {isDeleting ? (
+          <form onSubmit={handleDelete}>
+            <p className="text-gray-300 text-sm mb-3">
+              Your account will be deleted for good after a grace period. Until
+              then you can restore it with the link we email you.
+            </p>
+            <Input
+              icon={Lock}
+              type="password"
+              placeholder="Confirm password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setIsDeleting(false)}
+                className="w-full py-2 px-4 rounded-lg border border-gray-600 text-gray-300 hover:bg-gray-700 cursor-pointer"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full py-2 px-4 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg disabled:opacity-50 cursor-pointer"
+              >
+                Delete account
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            onClick={() => setIsDeleting(true)}
+            className="text-sm text-red-400 hover:underline flex items-center cursor-pointer"
+          >
+            <Trash2 className="size-4 mr-1" />
+            Delete my account
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default AccountDataSettings;
@@ -0,0 +1,89 @@
+import { useEffect } from "react";
+import { motion } from "framer-motion";
+import { Monitor, X } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import { formatDate } from "../utils/formatDate";
+import { describeUserAgent } from "../../../shared/describeUserAgent.js";
+
+const ActiveDevices = () => {
+  const { sessions, getSessions, revokeSession, revokeOtherSessions } =
+    useAuthStore();
+
+  useEffect(() => {
+    getSessions().catch((error) =>
+      console.error("Loading sessions failed:", error)
+    );
+  }, [getSessions]);
+
+  const handleRevoke = async (id) => {
+    try {
+      await revokeSession(id);
+    } catch (error) {
+      console.error("Revoking session failed:", error);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      await revokeOtherSessions();
+    } catch (error) {
+      console.error("Revoking sessions failed:", error);
+    }
+  };
+
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3">
+        Active Devices
+      </h3>
+      <ul className="space-y-3">
+        {sessions.map((session) => (
+          <li key={session.id} className="flex items-start justify-between">
+            <div className="flex items-start">
+              <Monitor className="size-5 text-blue-500 mr-2 mt-0.5" />
+              <div>
+                <p className="text-gray-300">
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 text-xs text-cyan-400">
+                      (this device)
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {session.ip} · Last active {formatDate(session.lastSeenAt)}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => handleRevoke(session.id)}
+                className="text-gray-400 hover:text-red-400 cursor-pointer"
+                title="Sign out this device"
+              >
+                <X className="size-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {hasOtherSessions && (
+        <button
+          onClick={handleRevokeOthers}
+          className="mt-4 text-sm text-red-400 hover:underline cursor-pointer"
+        >
+          Log out all other devices
+        </button>
+      )}
+    </motion.div>
+  );
+};
+
+export default ActiveDevices;
@@ -0,0 +1,200 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { KeyRound, X } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import { formatDate } from "../utils/formatDate";
+import { API_KEY_SCOPE_DESCRIPTIONS } from "../../../shared/apiKeyScopes.js";
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+const buttonClassName =
+  "w-full py-2 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 cursor-pointer";
+
+const inputClassName =
+  "px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:border-blue-500 focus:outline-none";
+
+const ApiKeys = () => {
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [newKey, setNewKey] = useState(null);
+
+  const { apiKeys, isLoading, getApiKeys, createApiKey, revokeApiKey } =
+    useAuthStore();
+
+  useEffect(() => {
+    getApiKeys().catch((error) =>
+      console.error("Loading API keys failed:", error)
+    );
+  }, [getApiKeys]);
+
+  const toggleScope = (scope) =>
+    setScopes((current) =>
+      current.includes(scope)
+        ? current.filter((selected) => selected !== scope)
+        : [...current, scope]
+    );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setNewKey(await createApiKey({ name, scopes, expiresInDays }));
+      setIsCreating(false);
+      setName("");
+      setScopes([]);
+    } catch (error) {
+      console.error("Creating API key failed:", error);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (
+      !window.confirm("Revoke this key? Scripts using it will stop working.")
+    ) {
+      return;
+    }
+    try {
+      await revokeApiKey(id);
+    } catch (error) {
+      console.error("Revoking API key failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3 flex items-center">
+        <KeyRound className="size-5 mr-2" />
+        API Keys
+      </h3>
+      <p className="text-gray-300 text-sm mb-3">
+        Let scripts and apps call the API for you. Send the key as{" "}
+        <code className="text-cyan-300">Authorization: Bearer &lt;key&gt;</code>
+        .
+      </p>
+
+      {/* ===================== New Key (shown once) ===================== */}
+      {newKey && (
+        <div className="mb-4">
+          <p className="text-gray-300 text-sm mb-2">
+            Copy this key now, it won&apos;t be shown again.
+          </p>
+          <p className="font-mono text-sm text-cyan-300 break-all">{newKey}</p>
+        </div>
+      )}
+
+      <ul className="space-y-3 mb-3">
+        {apiKeys.map((apiKey) => (
+          <li key={apiKey.id} className="flex items-start justify-between">
+            <div>
+              <p className="text-gray-300">
+                {apiKey.name}{" "}
+                <span className="font-mono text-xs text-gray-400">
+                  {apiKey.prefix}…
+                </span>
+              </p>
+              <p className="text-xs text-gray-400">
+                {apiKey.scopes.join(", ")}
+              </p>
+              <p className="text-xs text-gray-400">
+                {new Date(apiKey.expiresAt) <= new Date()
+                  ? "Expired"
+                  : `Expires ${formatDate(apiKey.expiresAt)}`}{" "}
+                ·{" "}
+                {apiKey.lastUsedAt
+                  ? `Last used ${formatDate(apiKey.lastUsedAt)}`
+                  : "Never used"}
+              </p>
+            </div>
+            <button
+              onClick={() => handleRevoke(apiKey.id)}
+              className="text-gray-400 hover:text-red-400 cursor-pointer"
+              title="Revoke key"
+            >
+              <X className="size-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {isCreating ? (
+        <form onSubmit={handleCreate} className="space-y-3">
+          <input
+            placeholder="Key name, e.g. Backup script"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={50}
+            required
+            autoFocus
+            className={`${inputClassName} w-full`}
+          />
+          <div className="space-y-1">
+            {Object.entries(API_KEY_SCOPE_DESCRIPTIONS).map(
+              ([scope, description]) => (
+                <label
+                  key={scope}
+                  className="flex items-start text-sm text-gray-300"
+                >
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope)}
+                    onChange={() => toggleScope(scope)}
+                    className="mr-2 mt-1"
+                  />
+                  <span>
+                    <span className="font-mono text-cyan-300">{scope}</span>{" "}
+                    {description}
+                  </span>
+                </label>
+              )
+            )}
+          </div>
+          <select
+            value={expiresInDays}
+            onChange={(e) => setExpiresInDays(Number(e.target.value))}
+            className={`${inputClassName} w-full`}
+          >
+            {EXPIRY_OPTIONS.map((days) => (
+              <option key={days} value={days}>
+                Expires in {days} days
+              </option>
+            ))}
+          </select>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={isLoading || scopes.length === 0}
+              className={buttonClassName}
+            >
+              Create key
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsCreating(false)}
+              className="py-2 px-4 text-gray-300 hover:text-white cursor-pointer"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => {
+            setNewKey(null);
+            setIsCreating(true);
+          }}
+          className={buttonClassName}
+        >
+          New API key
+        </button>
+      )}
+    </motion.div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,69 @@
+import { useEffect, useRef } from "react";
+
+// ===================== 6-Box One-Time Code Input =====================
+// `code` is an array of single digits, `setCode` receives the updated array.
+const CodeInput = ({ code, setCode }) => {
+  const inputRefs = useRef([]);
+  const length = code.length;
+
+  // ===================== Auto Focus First Input =====================
+  useEffect(() => {
+    if (inputRefs.current[0]) {
+      inputRefs.current[0].focus();
+    }
+  }, []);
+
+  // ===================== Handle Change =====================
+  const handleChange = (index, value) => {
+    if (!/^\d*$/.test(value)) return; // Only digits allowed
+
+    const newCode = [...code];
+    newCode[index] = value.slice(-1); // Only keep the last digit
+    setCode(newCode);
+
+    // Handle pasted content (if more than one digit entered)
+    if (value.length > 1) {
+      const pastedCode = value.slice(0, length).split("");
+      for (let i = 0; i < length; i++) {
+        newCode[i] = pastedCode[i] || "";
+      }
+      setCode(newCode);
+
+      // Focus the last filled input
+      const lastIndex = Math.min(pastedCode.length, length) - 1;
+      inputRefs.current[lastIndex]?.focus();
+    } else {
+      // Move focus to the next input if value is entered
+      if (value && index < length - 1) {
+        inputRefs.current[index + 1].focus();
+      }
+    }
+  };
+
+  // ===================== Handle Key Down =====================
+  const handleKeyDown = (index, e) => {
+    if (e.key === "Backspace" && !code[index] && index > 0) {
+      inputRefs.current[index - 1].focus();
+    }
+  };
+
+  return (
+    <div className="flex justify-between">
+      {code.map((digit, index) => (
+        <input
+          key={index}
+          ref={(el) => (inputRefs.current[index] = el)}
+          type="text"
+          inputMode="numeric"
+          maxLength="1"
+          value={digit}
+          onChange={(e) => handleChange(index, e.target.value)}
+          onKeyDown={(e) => handleKeyDown(index, e)}
+          className="w-12 h-12 text-center text-2xl font-bold bg-gray-700 text-white border-2 border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none"
+        />
+      ))}
+    </div>
+  );
+};
+
+export default CodeInput;
@@ -0,0 +1,72 @@
+import { useEffect } from "react";
+import { motion } from "framer-motion";
+import { MapPin, X } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import { formatDate } from "../utils/formatDate";
+import { describeUserAgent } from "../../../shared/describeUserAgent.js";
+
+const KnownDevices = () => {
+  const { knownDevices, getKnownDevices, removeKnownDevice } = useAuthStore();
+
+  useEffect(() => {
+    getKnownDevices().catch((error) =>
+      console.error("Loading devices failed:", error)
+    );
+  }, [getKnownDevices]);
+
+  const handleRemove = async (id) => {
+    try {
+      await removeKnownDevice(id);
+    } catch (error) {
+      console.error("Removing device failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3">
+        Known Devices
+      </h3>
+      <p className="text-gray-300 text-sm mb-3">
+        We email you when you sign in from a device that is not on this list.
+      </p>
+      <ul className="space-y-3">
+        {knownDevices.map((device) => (
+          <li key={device.id} className="flex items-start justify-between">
+            <div className="flex items-start">
+              <MapPin className="size-5 text-blue-500 mr-2 mt-0.5" />
+              <div>
+                <p className="text-gray-300">
+                  {describeUserAgent(device.userAgent)}
+                  {device.current && (
+                    <span className="ml-2 text-xs text-cyan-400">
+                      (this device)
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {device.location || device.ipPrefix} · Last seen{" "}
+                  {formatDate(device.lastSeenAt)}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => handleRemove(device.id)}
+              className="text-gray-400 hover:text-red-400 cursor-pointer"
+              title="Forget this device"
+            >
+              <X className="size-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </motion.div>
+  );
+};
+
+export default KnownDevices;
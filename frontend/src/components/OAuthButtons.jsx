@@ -0,0 +1,35 @@
+import { useEffect } from "react";
+import { useAuthStore, getOAuthLoginUrl } from "../../store/useAuthStore";
+
+const OAuthButtons = () => {
+  const { oauthProviders, getOAuthProviders } = useAuthStore();
+
+  useEffect(() => {
+    getOAuthProviders();
+  }, [getOAuthProviders]);
+
+  if (oauthProviders.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center mb-4">
+        <div className="flex-grow border-t border-gray-700" />
+        <span className="mx-3 text-xs text-gray-400">or</span>
+        <div className="flex-grow border-t border-gray-700" />
+      </div>
+      <div className="space-y-3">
+        {oauthProviders.map((provider) => (
+          <a
+            key={provider.name}
+            href={getOAuthLoginUrl(provider.name)}
+            className="block w-full py-2 px-4 text-center text-white font-semibold bg-gray-800 bg-opacity-50 border border-gray-700 rounded-lg hover:border-blue-500 transition duration-200"
+          >
+            Continue with {provider.label}
+          </a>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthButtons;
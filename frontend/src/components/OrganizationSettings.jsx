@@ -0,0 +1,319 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Building2, Mail, Plus, X } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import { useOrganizationStore } from "../../store/useOrganizationStore";
+import { formatDate } from "../utils/formatDate";
+
+const ROLES = ["owner", "admin", "member"];
+
+const inputClassName =
+  "px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:border-blue-500 focus:outline-none";
+
+const OrganizationSettings = () => {
+  const [newName, setNewName] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("member");
+
+  const { user } = useAuthStore();
+  const {
+    organizations,
+    activeOrganizationId,
+    current,
+    permissions,
+    members,
+    invitations,
+    error,
+    isLoading,
+    fetchOrganizations,
+    fetchCurrent,
+    createOrganization,
+    switchOrganization,
+    inviteMember,
+    revokeInvitation,
+    updateMemberRole,
+    removeMember,
+  } = useOrganizationStore();
+
+  useEffect(() => {
+    fetchOrganizations()
+      .then(() => {
+        if (useOrganizationStore.getState().activeOrganizationId) {
+          return fetchCurrent();
+        }
+      })
+      .catch((error) => console.error("Loading organizations failed:", error));
+  }, [fetchOrganizations, fetchCurrent]);
+
+  const canInvite = permissions.includes("org:members:invite");
+  const canManageMembers = permissions.includes("org:members:manage");
+  const canManageOwners = permissions.includes("org:owners:manage");
+  // Only owners may hand out the owner role
+  const assignableRoles = ROLES.filter(
+    (role) => role !== "owner" || canManageOwners
+  );
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await createOrganization(newName);
+      setNewName("");
+      setIsCreating(false);
+    } catch (error) {
+      console.error("Creating organization failed:", error);
+    }
+  };
+
+  const handleSwitch = async (e) => {
+    try {
+      await switchOrganization(e.target.value);
+    } catch (error) {
+      console.error("Switching organization failed:", error);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      await inviteMember(inviteEmail, inviteRole);
+      setInviteEmail("");
+    } catch (error) {
+      console.error("Inviting member failed:", error);
+    }
+  };
+
+  const handleRoleChange = async (id, role) => {
+    try {
+      await updateMemberRole(id, role);
+    } catch (error) {
+      console.error("Updating role failed:", error);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const self = member.userId === user._id;
+    try {
+      await removeMember(member.id, { self });
+    } catch (error) {
+      console.error("Removing member failed:", error);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await revokeInvitation(id);
+    } catch (error) {
+      console.error("Revoking invitation failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3 flex items-center">
+        <Building2 className="size-5 mr-2" />
+        Organizations
+      </h3>
+
+      {organizations.length === 0 ? (
+        <p className="text-gray-300 mb-3">
+          Create an organization to work together with your team.
+        </p>
+      ) : (
+        <select
+          value={activeOrganizationId ?? ""}
+          onChange={handleSwitch}
+          disabled={isLoading}
+          className={`${inputClassName} w-full mb-3`}
+        >
+          {!activeOrganizationId && (
+            <option value="" disabled>
+              Select an organization
+            </option>
+          )}
+          {organizations.map((organization) => (
+            <option key={organization.id} value={organization.id}>
+              {organization.name} ({organization.role})
+            </option>
+          ))}
+        </select>
+      )}
+
+      {current && (
+        <>
+          <h4 className="text-gray-300 font-bold mb-2">Members</h4>
+          <ul className="space-y-3 mb-3">
+            {members.map((member) => {
+              const isSelf = member.userId === user._id;
+              const canChange =
+                canManageMembers &&
+                !isSelf &&
+                (member.role !== "owner" || canManageOwners);
+              return (
+                <li
+                  key={member.id}
+                  className="flex items-start justify-between"
+                >
+                  <div>
+                    <p className="text-gray-300">
+                      {member.name}
+                      {isSelf && (
+                        <span className="ml-2 text-xs text-cyan-400">
+                          (you)
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-400">{member.email}</p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {canChange ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) =>
+                          handleRoleChange(member.id, e.target.value)
+                        }
+                        className={`${inputClassName} text-sm`}
+                      >
+                        {assignableRoles.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-xs text-gray-400">
+                        {member.role}
+                      </span>
+                    )}
+                    {(canChange || isSelf) && (
+                      <button
+                        onClick={() => handleRemove(member)}
+                        className="text-gray-400 hover:text-red-400 cursor-pointer"
+                        title={isSelf ? "Leave organization" : "Remove member"}
+                      >
+                        <X className="size-4" />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          {canInvite && (
+            <>
+              {invitations.length > 0 && (
+                <>
+                  <h4 className="text-gray-300 font-bold mb-2">
+                    Pending invitations
+                  </h4>
+                  <ul className="space-y-3 mb-3">
+                    {invitations.map((invitation) => (
+                      <li
+                        key={invitation.id}
+                        className="flex items-start justify-between"
+                      >
+                        <div className="flex items-start">
+                          <Mail className="size-5 text-blue-500 mr-2 mt-0.5" />
+                          <div>
+                            <p className="text-gray-300">{invitation.email}</p>
+                            <p className="text-xs text-gray-400">
+                              {invitation.role} · Expires{" "}
+                              {formatDate(invitation.expiresAt)}
+                            </p>
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => handleRevoke(invitation.id)}
+                          className="text-gray-400 hover:text-red-400 cursor-pointer"
+                          title="Revoke invitation"
+                        >
+                          <X className="size-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+              <form onSubmit={handleInvite} className="flex items-center mb-3">
+                <input
+                  type="email"
+                  placeholder="Email address"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  required
+                  className={`${inputClassName} flex-grow min-w-0`}
+                />
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className={`${inputClassName} ml-2`}
+                >
+                  {assignableRoles.map((role) => (
+                    <option key={role} value={role}>
+                      {role}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="ml-2 text-blue-400 disabled:opacity-50 cursor-pointer"
+                  title="Send invitation"
+                >
+                  <Mail className="size-5" />
+                </button>
+              </form>
+            </>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+
+      {isCreating ? (
+        <form onSubmit={handleCreate} className="flex items-center">
+          <input
+            placeholder="Organization name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={80}
+            required
+            autoFocus
+            className={`${inputClassName} flex-grow`}
+          />
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="ml-2 text-blue-400 disabled:opacity-50 cursor-pointer"
+            title="Create"
+          >
+            <Plus className="size-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsCreating(false)}
+            className="ml-2 text-gray-400 cursor-pointer"
+            title="Cancel"
+          >
+            <X className="size-4" />
+          </button>
+        </form>
+      ) : (
+        <button
+          onClick={() => setIsCreating(true)}
+          className="w-full py-2 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 cursor-pointer"
+        >
+          New organization
+        </button>
+      )}
+    </motion.div>
+  );
+};
+
+export default OrganizationSettings;
@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Check, Fingerprint, Pencil, Trash2, X } from "lucide-react";
+import { browserSupportsWebAuthn } from "@simplewebauthn/browser";
+import { useAuthStore } from "../../store/useAuthStore";
+import { formatDate } from "../utils/formatDate";
+
+const PasskeySettings = () => {
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+
+  const {
+    passkeys,
+    isLoading,
+    getPasskeys,
+    registerPasskey,
+    renamePasskey,
+    deletePasskey,
+  } = useAuthStore();
+
+  useEffect(() => {
+    getPasskeys().catch((error) =>
+      console.error("Loading passkeys failed:", error)
+    );
+  }, [getPasskeys]);
+
+  const handleAdd = async () => {
+    try {
+      await registerPasskey(`Passkey ${passkeys.length + 1}`);
+    } catch (error) {
+      console.error("Registering passkey failed:", error);
+    }
+  };
+
+  const startEditing = (passkey) => {
+    setEditingId(passkey.id);
+    setEditName(passkey.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    try {
+      await renamePasskey(editingId, editName);
+      setEditingId(null);
+    } catch (error) {
+      console.error("Renaming passkey failed:", error);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deletePasskey(id);
+    } catch (error) {
+      console.error("Deleting passkey failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3 flex items-center">
+        <Fingerprint className="size-5 mr-2" />
+        Passkeys
+      </h3>
+
+      {passkeys.length === 0 && (
+        <p className="text-gray-300 mb-3">
+          Sign in with your fingerprint, face or device PIN instead of a
+          password.
+        </p>
+      )}
+
+      <ul className="space-y-3 mb-3">
+        {passkeys.map((passkey) => (
+          <li key={passkey.id} className="flex items-start justify-between">
+            {editingId === passkey.id ? (
+              <form onSubmit={handleRename} className="flex items-center w-full">
+                <input
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  maxLength={50}
+                  autoFocus
+                  className="flex-grow px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                />
+                <button
+                  type="submit"
+                  className="ml-2 text-blue-400 cursor-pointer"
+                  title="Save"
+                >
+                  <Check className="size-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditingId(null)}
+                  className="ml-2 text-gray-400 cursor-pointer"
+                  title="Cancel"
+                >
+                  <X className="size-4" />
+                </button>
+              </form>
+            ) : (
+              <>
+                <div>
+                  <p className="text-gray-300">{passkey.name}</p>
+                  <p className="text-xs text-gray-400">
+                    Added {formatDate(passkey.createdAt)}
+                    {passkey.lastUsedAt &&
+                      ` · Last used ${formatDate(passkey.lastUsedAt)}`}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => startEditing(passkey)}
+                    className="text-gray-400 hover:text-blue-400 cursor-pointer"
+                    title="Rename"
+                  >
+                    <Pencil className="size-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(passkey.id)}
+                    className="text-gray-400 hover:text-red-400 cursor-pointer"
+                    title="Delete"
+                  >
+                    <Trash2 className="size-4" />
+                  </button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {browserSupportsWebAuthn() ? (
+        <button
+          onClick={handleAdd}
+          disabled={isLoading}
+          className="w-full py-2 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 cursor-pointer"
+        >
+          Add a passkey
+        </button>
+      ) : (
+        <p className="text-xs text-gray-400">
+          This browser does not support passkeys.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default PasskeySettings;
@@ -1,13 +1,12 @@
 import { Check, X } from "lucide-react";
+// Same policy the server enforces on signup and password reset
+import {
+  checkPassword,
+  passwordStrength,
+} from "../../../shared/passwordPolicy.js";
 
-const PasswordCriteria = ({ password }) => {
-  const criteria = [
-    { label: "At least 6 characters", met: password.length >= 6 },
-    { label: "Contains uppercase letter", met: /[A-Z]/.test(password) },
-    { label: "Contains lowercase letter", met: /[a-z]/.test(password) },
-    { label: "Contains a number", met: /\d/.test(password) },
-    { label: "Contains special character", met: /[^A-Za-z0-9]/.test(password) },
-  ];
+const PasswordCriteria = ({ password, userInputs }) => {
+  const criteria = checkPassword(password, userInputs);
 
   return (
     <div className="mt-2 space-y-1">
@@ -27,16 +26,9 @@ const PasswordCriteria = ({ password }) => {
   );
 };
 
-const PasswordStrengthMeter = ({ password }) => {
-  const getStrength = (pass) => {
-    let strength = 0;
-    if (pass.length >= 1) strength++;
-    if (pass.match(/[a-z]/) && pass.match(/[A-Z]/)) strength++;
-    if (pass.match(/\d/)) strength++;
-    if (pass.match(/[^a-zA-Z\d]/)) strength++;
-    return strength;
-  };
-  const strength = getStrength(password);
+// `userInputs` (email, name) count against passwords built from them
+const PasswordStrengthMeter = ({ password, userInputs }) => {
+  const strength = passwordStrength(password, userInputs);
 
   const getColor = (strength) => {
     if (strength === 0) return "bg-red-500";
@@ -73,7 +65,7 @@ const PasswordStrengthMeter = ({ password }) => {
           />
         ))}
       </div>
-      <PasswordCriteria password={password} />
+      <PasswordCriteria password={password} userInputs={userInputs} />
     </div>
   );
 };
@@ -0,0 +1,109 @@
+import { useEffect } from "react";
+import { CheckCircle, XCircle } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import { formatDate } from "../utils/formatDate";
+import { describeUserAgent } from "../../../shared/describeUserAgent.js";
+
+const EVENT_LABELS = {
+  signup: "Account created",
+  login: "Sign in",
+  logout: "Sign out",
+  email_verify: "Email verified",
+  password_reset_request: "Password reset requested",
+  password_reset: "Password reset",
+  password_change: "Password changed",
+  email_change: "Email changed",
+  token_rejected: "Session rejected",
+  two_factor_enable: "Two-factor enabled",
+  two_factor_disable: "Two-factor disabled",
+  passkey_add: "Passkey added",
+  passkey_remove: "Passkey removed",
+  account_deletion_request: "Account deletion requested",
+  account_deletion_cancel: "Account deletion cancelled",
+  device_report: "Sign-in reported as not you",
+  api_key_create: "API key created",
+  api_key_revoke: "API key revoked",
+};
+
+const METHOD_LABELS = {
+  password: "password",
+  magic_link: "magic link",
+  passkey: "passkey",
+  totp: "authenticator app",
+  recovery_code: "recovery code",
+};
+
+const describeMethod = (method) =>
+  method?.startsWith("oauth:")
+    ? method.slice("oauth:".length)
+    : METHOD_LABELS[method] || method;
+
+const RecentActivity = () => {
+  const { authEvents, authEventsCursor, getAuthEvents } = useAuthStore();
+
+  useEffect(() => {
+    getAuthEvents().catch((error) =>
+      console.error("Loading activity failed:", error)
+    );
+  }, [getAuthEvents]);
+
+  const handleLoadMore = async () => {
+    try {
+      await getAuthEvents({ more: true });
+    } catch (error) {
+      console.error("Loading activity failed:", error);
+    }
+  };
+
+  if (authEvents.length === 0) {
+    return <p className="text-gray-400 text-sm">No recent activity.</p>;
+  }
+
+  return (
+    <>
+      <ul className="space-y-3">
+        {authEvents.map((event) => {
+          const failed = event.outcome === "failure";
+          const Icon = failed ? XCircle : CheckCircle;
+          return (
+            <li key={event.id} className="flex items-start">
+              <Icon
+                className={`size-5 mr-2 mt-0.5 ${
+                  failed ? "text-red-400" : "text-blue-500"
+                }`}
+              />
+              <div>
+                <p className="text-gray-300">
+                  {EVENT_LABELS[event.type] || event.type}
+                  {failed && (
+                    <span className="ml-2 text-xs text-red-400">(failed)</span>
+                  )}
+                  {event.method && (
+                    <span className="ml-2 text-xs text-gray-400">
+                      with {describeMethod(event.method)}
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {formatDate(event.createdAt)} ·{" "}
+                  {describeUserAgent(event.userAgent)}
+                  {event.ip && ` · ${event.ip}`}
+                </p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {authEventsCursor && (
+        <button
+          onClick={handleLoadMore}
+          className="mt-4 text-sm text-blue-400 hover:underline cursor-pointer"
+        >
+          Load more
+        </button>
+      )}
+    </>
+  );
+};
+
+export default RecentActivity;
@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { Lock, ShieldCheck } from "lucide-react";
+import { useAuthStore } from "../../store/useAuthStore";
+import CodeInput from "./CodeInput";
+import Input from "./Input";
+
+const buttonClassName =
+  "w-full py-2 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 cursor-pointer";
+
+const TwoFactorSettings = () => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState(["", "", "", "", "", ""]);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [password, setPassword] = useState("");
+
+  const {
+    user,
+    isLoading,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+  } = useAuthStore();
+
+  const handleStart = async () => {
+    try {
+      setSetup(await setupTwoFactor());
+    } catch (error) {
+      console.error("2FA setup failed:", error);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    try {
+      setRecoveryCodes(await confirmTwoFactor(code.join("")));
+      setSetup(null);
+    } catch (error) {
+      console.error("2FA confirmation failed:", error);
+      setCode(["", "", "", "", "", ""]);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      await disableTwoFactor(password);
+      setPassword("");
+      setRecoveryCodes(null);
+    } catch (error) {
+      console.error("Disabling 2FA failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.5 }}
+    >
+      <h3 className="text-xl font-semibold text-blue-400 mb-3 flex items-center">
+        <ShieldCheck className="size-5 mr-2" />
+        Two-Factor Authentication
+      </h3>
+
+      {/* ===================== Recovery Codes (shown once) ===================== */}
+      {recoveryCodes && (
+        <div className="mb-4">
+          <p className="text-gray-300 text-sm mb-2">
+            Save these recovery codes somewhere safe. Each one can be used once
+            if you lose your authenticator.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-cyan-300">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {user.twoFactorEnabled ? (
+        <form onSubmit={handleDisable}>
+          <p className="text-gray-300 mb-3">
+            Status: <span className="text-blue-400 font-bold">Enabled</span>
+          </p>
+          <Input
+            icon={Lock}
+            type="password"
+            placeholder="Confirm password to disable"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+          />
+          <button type="submit" disabled={isLoading} className={buttonClassName}>
+            Disable 2FA
+          </button>
+        </form>
+      ) : setup ? (
+        <form onSubmit={handleConfirm} className="space-y-4">
+          <p className="text-gray-300 text-sm">
+            Scan this QR code with your authenticator app, then enter the
+            6-digit code it shows.
+          </p>
+          <img
+            src={setup.qrCode}
+            alt="2FA QR code"
+            className="mx-auto bg-white p-2 rounded-lg"
+          />
+          <p className="text-xs text-gray-400 break-all text-center">
+            Or enter this key manually: {setup.secret}
+          </p>
+          <CodeInput code={code} setCode={setCode} />
+          <button
+            type="submit"
+            disabled={isLoading || code.some((digit) => !digit)}
+            className={buttonClassName}
+          >
+            Confirm
+          </button>
+        </form>
+      ) : (
+        <>
+          <p className="text-gray-300 mb-3">
+            Add an extra layer of security with an authenticator app.
+          </p>
+          <button onClick={handleStart} className={buttonClassName}>
+            Enable 2FA
+          </button>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+
+const secondsUntil = (timestamp) =>
+  timestamp ? Math.max(0, Math.ceil((timestamp - Date.now()) / 1000)) : 0;
+
+// Seconds remaining until `timestamp` (ms), updated every second
+export const useCountdown = (timestamp) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => secondsUntil(timestamp));
+
+  useEffect(() => {
+    setSecondsLeft(secondsUntil(timestamp));
+    if (!timestamp) return;
+
+    const timer = setInterval(() => {
+      const remaining = secondsUntil(timestamp);
+      setSecondsLeft(remaining);
+      if (remaining === 0) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [timestamp]);
+
+  return secondsLeft;
+};
+
+// 125 -> "2:05"
+export const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
@@ -0,0 +1,163 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { ArrowLeft, Search } from "lucide-react";
+import { Link } from "react-router-dom";
+import Input from "../components/Input";
+import { useAdminStore } from "../../store/useAdminStore";
+import { useAuthStore } from "../../store/useAuthStore";
+import { formatDate } from "../utils/formatDate";
+
+const AdminUsersPage = () => {
+  const [search, setSearch] = useState("");
+  const { user: currentUser } = useAuthStore();
+  const {
+    users,
+    page,
+    totalPages,
+    total,
+    error,
+    isLoading,
+    fetchUsers,
+    updateRoles,
+    setUserDisabled,
+  } = useAdminStore();
+
+  // Debounce the search box so we don't query on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchUsers({ search, page: 1 }).catch((error) =>
+        console.error("Loading users failed:", error)
+      );
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search, fetchUsers]);
+
+  const goToPage = (newPage) => {
+    fetchUsers({ search, page: newPage }).catch((error) =>
+      console.error("Loading users failed:", error)
+    );
+  };
+
+  const toggleAdmin = async (user) => {
+    const roles = user.roles.includes("admin")
+      ? user.roles.filter((role) => role !== "admin")
+      : [...user.roles, "admin"];
+    try {
+      await updateRoles(user._id, roles.length ? roles : ["user"]);
+    } catch (error) {
+      console.error("Updating roles failed:", error);
+    }
+  };
+
+  const toggleDisabled = async (user) => {
+    try {
+      await setUserDisabled(user._id, !user.isDisabled);
+    } catch (error) {
+      console.error("Updating user status failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-4xl w-full mx-4 p-8 bg-gray-900 bg-opacity-80 backdrop-filter backdrop-blur-lg rounded-xl shadow-2xl border border-gray-800"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-cyan-600 text-transparent bg-clip-text">
+          Users
+        </h2>
+        <Link
+          to="/"
+          className="text-sm text-blue-400 hover:underline flex items-center"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" /> Dashboard
+        </Link>
+      </div>
+
+      <Input
+        icon={Search}
+        type="text"
+        placeholder="Search by name or email"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left text-gray-300">
+          <thead className="text-xs uppercase text-gray-400 border-b border-gray-700">
+            <tr>
+              <th className="py-2 pr-4">Name</th>
+              <th className="py-2 pr-4">Email</th>
+              <th className="py-2 pr-4">Roles</th>
+              <th className="py-2 pr-4">Joined</th>
+              <th className="py-2">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => {
+              const isSelf = user._id === currentUser._id;
+              return (
+                <tr
+                  key={user._id}
+                  className={`border-b border-gray-800 ${
+                    user.isDisabled ? "opacity-50" : ""
+                  }`}
+                >
+                  <td className="py-2 pr-4">{user.name}</td>
+                  <td className="py-2 pr-4">{user.email}</td>
+                  <td className="py-2 pr-4">{user.roles.join(", ")}</td>
+                  <td className="py-2 pr-4">{formatDate(user.createdAt)}</td>
+                  <td className="py-2 space-x-3 whitespace-nowrap">
+                    <button
+                      onClick={() => toggleAdmin(user)}
+                      disabled={isSelf}
+                      className="text-blue-400 hover:underline disabled:text-gray-600 disabled:no-underline cursor-pointer"
+                    >
+                      {user.roles.includes("admin")
+                        ? "Remove admin"
+                        : "Make admin"}
+                    </button>
+                    <button
+                      onClick={() => toggleDisabled(user)}
+                      disabled={isSelf}
+                      className="text-red-400 hover:underline disabled:text-gray-600 disabled:no-underline cursor-pointer"
+                    >
+                      {user.isDisabled ? "Enable" : "Disable"}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+        <span>
+          {isLoading ? "Loading..." : `${total} user(s)`} · Page {page} of{" "}
+          {Math.max(totalPages, 1)}
+        </span>
+        <div className="space-x-3">
+          <button
+            onClick={() => goToPage(page - 1)}
+            disabled={page <= 1}
+            className="text-blue-400 hover:underline disabled:text-gray-600 cursor-pointer"
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => goToPage(page + 1)}
+            disabled={page >= totalPages}
+            className="text-blue-400 hover:underline disabled:text-gray-600 cursor-pointer"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+export default AdminUsersPage;
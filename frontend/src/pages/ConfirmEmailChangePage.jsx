@@ -0,0 +1,54 @@
+import { useEffect } from "react";
+import { motion } from "framer-motion";
+import { Loader, MailCheck } from "lucide-react";
+import { Link, useParams } from "react-router-dom";
+import { useAuthStore } from "../../store/useAuthStore";
+
+const ConfirmEmailChangePage = () => {
+  const { token } = useParams();
+  const { confirmEmailChange, isAuthenticated, error, message, isLoading } =
+    useAuthStore();
+
+  useEffect(() => {
+    confirmEmailChange(token).catch((error) =>
+      console.error("Email confirmation failed:", error)
+    );
+  }, [token, confirmEmailChange]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8 text-center">
+        <h2 className="text-3xl font-bold mb-6 bg-gradient-to-r from-blue-400 to-cyan-500 text-transparent bg-clip-text">
+          Confirm Email
+        </h2>
+        {isLoading ? (
+          <Loader className="size-8 animate-spin mx-auto text-blue-400" />
+        ) : (
+          <>
+            {message && (
+              <div className="text-gray-300">
+                <MailCheck className="size-10 mx-auto mb-4 text-blue-400" />
+                <p>{message}</p>
+              </div>
+            )}
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+          </>
+        )}
+      </div>
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link
+          to={isAuthenticated ? "/settings" : "/login"}
+          className="text-sm text-blue-400 hover:underline"
+        >
+          {isAuthenticated ? "Back to Settings" : "Back to Login"}
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+export default ConfirmEmailChangePage;
@@ -0,0 +1,125 @@
+import { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { AppWindow, Loader } from "lucide-react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useAuthStore } from "../../store/useAuthStore";
+import { useOidcStore } from "../../store/useOidcStore";
+import { setReturnTo, clearReturnTo } from "../utils/returnTo";
+
+const SCOPE_DESCRIPTIONS = {
+  openid: "Know who you are when you sign in",
+  profile: "See your name and language",
+  email: "See your email address and whether it is verified",
+};
+
+const ConsentPage = () => {
+  const location = useLocation();
+  const [request, setRequest] = useState(null);
+  const { isAuthenticated, user } = useAuthStore();
+  const { getAuthorizationRequest, decideAuthorization, error, isLoading } =
+    useOidcStore();
+  const decided = useRef(false);
+
+  const isSignedIn = isAuthenticated && user?.isVerified;
+
+  const decide = async (approve) => {
+    // Each approval issues a code, so don't ask twice under StrictMode
+    if (decided.current) return;
+    decided.current = true;
+    try {
+      const params = Object.fromEntries(new URLSearchParams(location.search));
+      window.location.assign(await decideAuthorization(params, approve));
+    } catch (error) {
+      decided.current = false;
+      console.error("Completing sign-in failed:", error);
+    }
+  };
+  const decideRef = useRef(decide);
+  decideRef.current = decide;
+
+  useEffect(() => {
+    if (!isSignedIn) return;
+    clearReturnTo();
+    const params = Object.fromEntries(new URLSearchParams(location.search));
+    getAuthorizationRequest(params)
+      .then((data) => {
+        // Scopes the user already granted this app need no second click
+        if (data.consentGiven) decideRef.current(true);
+        else setRequest(data);
+      })
+      .catch((error) =>
+        console.error("Loading sign-in request failed:", error)
+      );
+  }, [isSignedIn, location.search, getAuthorizationRequest]);
+
+  if (!isAuthenticated) {
+    setReturnTo(`${location.pathname}${location.search}`);
+    return <Navigate to="/login" replace />;
+  }
+  if (!user?.isVerified) {
+    setReturnTo(`${location.pathname}${location.search}`);
+    return <Navigate to="/verify-email" replace />;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8 text-center">
+        <h2 className="text-3xl font-bold mb-6 bg-gradient-to-r from-blue-400 to-cyan-500 text-transparent bg-clip-text">
+          Sign In With Your Account
+        </h2>
+        {request && (
+          <div className="text-gray-300 mb-6">
+            <AppWindow className="size-10 mx-auto mb-4 text-blue-400" />
+            <p className="mb-4">
+              <span className="font-bold">{request.client.name}</span> wants to:
+            </p>
+            <ul className="text-sm text-left space-y-2">
+              {request.scopes.map((scope) => (
+                <li key={scope}>• {SCOPE_DESCRIPTIONS[scope] ?? scope}</li>
+              ))}
+            </ul>
+            <p className="text-xs text-gray-400 mt-4">
+              Signed in as {user.email}
+            </p>
+          </div>
+        )}
+        {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+        {!request && !error && (
+          <Loader className="size-8 animate-spin mx-auto text-blue-400" />
+        )}
+        {request && (
+          <div className="flex space-x-2">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => decide(false)}
+              disabled={isLoading}
+              className="w-full py-3 px-4 bg-gray-700 text-white font-bold rounded-lg shadow-lg hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
+            >
+              Deny
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => decide(true)}
+              disabled={isLoading}
+              className="w-full py-3 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
+            >
+              {isLoading ? (
+                <Loader className="size-6 animate-spin mx-auto" />
+              ) : (
+                "Allow"
+              )}
+            </motion.button>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+export default ConsentPage;
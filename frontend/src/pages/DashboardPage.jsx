@@ -1,6 +1,14 @@
 import { motion } from "framer-motion";
+import { Link } from "react-router-dom";
 import { useAuthStore } from "../../store/useAuthStore";
-import { formatDate } from "../utils/formatDate";
+import ActiveDevices from "../components/ActiveDevices";
+import KnownDevices from "../components/KnownDevices";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import PasskeySettings from "../components/PasskeySettings";
+import AccountDataSettings from "../components/AccountDataSettings";
+import RecentActivity from "../components/RecentActivity";
+import OrganizationSettings from "../components/OrganizationSettings";
+import ApiKeys from "../components/ApiKeys";
 
 const DashboardPage = () => {
   const { user, logout } = useAuthStore();
@@ -35,6 +43,20 @@ const DashboardPage = () => {
           </h3>
           <p className="text-gray-300">Name: {user.name}</p>
           <p className="text-gray-300">Email: {user.email}</p>
+          <Link
+            to="/settings"
+            className="inline-block mt-2 mr-4 text-sm text-blue-400 hover:underline"
+          >
+            Edit settings
+          </Link>
+          {user.roles?.includes("admin") && (
+            <Link
+              to="/admin/users"
+              className="inline-block mt-2 text-sm text-blue-400 hover:underline"
+            >
+              Manage users
+            </Link>
+          )}
         </motion.div>
         <motion.div
           className="p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700"
@@ -53,11 +75,18 @@ const DashboardPage = () => {
               day: "numeric",
             })}
           </p>
-          <p className="text-gray-300">
-            <span className="font-bold">Last Login: </span>
-            {formatDate(user.lastlogin)}
-          </p>
+          <h4 className="text-gray-300 font-bold mt-4 mb-2">
+            Recent security events
+          </h4>
+          <RecentActivity />
         </motion.div>
+        <OrganizationSettings />
+        <TwoFactorSettings />
+        <PasskeySettings />
+        <ActiveDevices />
+        <KnownDevices />
+        <ApiKeys />
+        <AccountDataSettings />
       </div>
 
       <motion.div
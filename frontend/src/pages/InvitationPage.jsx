@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Building2, Loader } from "lucide-react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useAuthStore } from "../../store/useAuthStore";
+import { useOrganizationStore } from "../../store/useOrganizationStore";
+
+const InvitationPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const { isAuthenticated, user } = useAuthStore();
+  const { getInvitation, acceptInvitation, error, isLoading } =
+    useOrganizationStore();
+
+  useEffect(() => {
+    getInvitation(token)
+      .then(setInvitation)
+      .catch((error) => console.error("Loading invitation failed:", error));
+  }, [token, getInvitation]);
+
+  const handleAccept = async () => {
+    try {
+      await acceptInvitation(token);
+      navigate("/", { replace: true });
+    } catch (error) {
+      console.error("Accepting invitation failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8 text-center">
+        <h2 className="text-3xl font-bold mb-6 bg-gradient-to-r from-blue-400 to-cyan-500 text-transparent bg-clip-text">
+          Join Organization
+        </h2>
+        {invitation && (
+          <div className="text-gray-300 mb-6">
+            <Building2 className="size-10 mx-auto mb-4 text-blue-400" />
+            <p>
+              {invitation.invitedBy ?? "Someone"} invited you to join{" "}
+              <span className="font-bold">{invitation.organizationName}</span>{" "}
+              as {invitation.role}.
+            </p>
+            {!isAuthenticated && (
+              <p className="text-sm text-gray-400 mt-4">
+                Log in or sign up as {invitation.email}, then open this link
+                again.
+              </p>
+            )}
+            {isAuthenticated && user.email !== invitation.email && (
+              <p className="text-sm text-gray-400 mt-4">
+                This invitation is for {invitation.email}, you are logged in as{" "}
+                {user.email}.
+              </p>
+            )}
+          </div>
+        )}
+        {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+        {!invitation && !error && (
+          <Loader className="size-8 animate-spin mx-auto text-blue-400" />
+        )}
+        {invitation && isAuthenticated && (
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleAccept}
+            disabled={isLoading}
+            className="w-full py-3 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 disabled:opacity-50"
+          >
+            {isLoading ? (
+              <Loader className="size-6 animate-spin mx-auto" />
+            ) : (
+              "Accept Invitation"
+            )}
+          </motion.button>
+        )}
+      </div>
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center space-x-4">
+        {isAuthenticated ? (
+          <Link to={"/"} className="text-sm text-blue-400 hover:underline">
+            Back to Dashboard
+          </Link>
+        ) : (
+          <>
+            <Link
+              to={"/login"}
+              className="text-sm text-blue-400 hover:underline"
+            >
+              Log in
+            </Link>
+            <Link
+              to={"/signup"}
+              className="text-sm text-blue-400 hover:underline"
+            >
+              Sign up
+            </Link>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+export default InvitationPage;
@@ -1,19 +1,71 @@
 import React, { useState } from "react";
 import { motion } from "framer-motion";
-import { Mail, Lock } from "lucide-react";
+import { Mail, Lock, Fingerprint } from "lucide-react";
+import { browserSupportsWebAuthn } from "@simplewebauthn/browser";
 import Input from "../components/Input";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { useAuthStore } from "../../store/useAuthStore";
+import { useCountdown, formatCountdown } from "../hooks/useCountdown";
+import OAuthButtons from "../components/OAuthButtons";
+
+// Error codes the social login callback redirects back with
+const OAUTH_ERRORS = {
+  access_denied: "Sign-in was cancelled.",
+  invalid_state: "Your sign-in session expired, please try again.",
+  email_missing: "Your account with that provider has no email address.",
+  email_not_verified:
+    "That email is already registered. Verify it with the provider or sign in with your password.",
+  account_disabled: "This account has been disabled.",
+  account_pending_deletion:
+    "This account is scheduled for deletion. Use the link we emailed you to keep it.",
+  password_reset_required:
+    "For your security, reset your password before signing in.",
+  provider_unavailable: "That sign-in provider is unavailable right now.",
+  login_failed: "Sign-in failed, please try again.",
+};
 
 function LoginPage() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [useMagicLink, setUseMagicLink] = useState(false);
+
+  const {
+    login,
+    requestMagicLink,
+    loginWithPasskey,
+    error,
+    message,
+    isLoading,
+    retryAt,
+  } = useAuthStore();
+  const secondsLeft = useCountdown(retryAt);
 
-  const { login, error, isLoading } = useAuthStore();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const oauthError = searchParams.get("oauthError");
 
   const handleLogin = async (e) => {
     e.preventDefault();
-    await login(email, password);
+    try {
+      if (useMagicLink) {
+        await requestMagicLink(email);
+        return;
+      }
+      const data = await login(email, password);
+      if (data.twoFactorRequired) {
+        navigate("/login/2fa");
+      }
+    } catch (error) {
+      console.error("Login failed:", error);
+    }
+  };
+
+  const handlePasskeyLogin = async () => {
+    try {
+      await loginWithPasskey();
+    } catch (error) {
+      console.error("Passkey login failed:", error);
+    }
   };
 
   return (
@@ -35,12 +87,14 @@ function LoginPage() {
             placeholder="Email Address"
             onChange={(e) => setEmail(e.target.value)}
           />
-          <Input
-            icon={Lock}
-            type="password"
-            placeholder="Password"
-            onChange={(e) => setPassword(e.target.value)}
-          />
+          {!useMagicLink && (
+            <Input
+              icon={Lock}
+              type="password"
+              placeholder="Password"
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          )}
           <div className="flex items-center justify-between mt-2 mb-4">
             <Link
               to="/forgot-password"
@@ -48,18 +102,60 @@ function LoginPage() {
             >
               Forgot password?
             </Link>
+            <button
+              type="button"
+              onClick={() => setUseMagicLink(!useMagicLink)}
+              className="text-sm text-blue-400 hover:underline cursor-pointer"
+            >
+              {useMagicLink ? "Use password instead" : "Email me a sign-in link"}
+            </button>
           </div>
+          {oauthError && !error && (
+            <p className="my-4 text-sm text-red-500">
+              {OAUTH_ERRORS[oauthError] || OAUTH_ERRORS.login_failed}
+            </p>
+          )}
           {error && <p className="my-4 text-sm text-red-500">{error}</p>}
+          {message && !error && (
+            <p className="my-4 text-sm text-blue-400">
+              {useMagicLink
+                ? `${message}. Check your inbox for a link to sign in.`
+                : message}
+            </p>
+          )}
+          {secondsLeft > 0 && (
+            <p className="my-4 text-sm text-yellow-400">
+              You can try again in {formatCountdown(secondsLeft)}.
+            </p>
+          )}
           <motion.button
             className="w-full py-3 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200 cursor-pointer"
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
             type="submit"
-            disabled={isLoading}
+            disabled={isLoading || secondsLeft > 0}
           >
-            {isLoading ? "Logging in..." : "Login"}
+            {useMagicLink
+              ? isLoading
+                ? "Sending..."
+                : "Send Sign-In Link"
+              : isLoading
+              ? "Logging in..."
+              : "Login"}
           </motion.button>
         </form>
+        {browserSupportsWebAuthn() && (
+          <button
+            type="button"
+            onClick={handlePasskeyLogin}
+            disabled={isLoading || secondsLeft > 0}
+            className="mt-4 w-full py-2 px-4 flex items-center justify-center text-white font-semibold bg-gray-800 bg-opacity-50 border border-gray-700 rounded-lg hover:border-blue-500 transition duration-200 cursor-pointer"
+          >
+            <Fingerprint className="size-5 mr-2 text-blue-500" />
+            Sign in with a passkey
+          </button>
+        )}
+        <OAuthButtons />
       </div>
       <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
         <p className="text-sm text-gray-400">
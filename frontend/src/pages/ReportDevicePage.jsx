@@ -0,0 +1,50 @@
+import { useEffect, useRef } from "react";
+import { motion } from "framer-motion";
+import { Loader } from "lucide-react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useAuthStore } from "../../store/useAuthStore";
+
+const ReportDevicePage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { reportDevice, error } = useAuthStore();
+  const reported = useRef(false);
+
+  useEffect(() => {
+    // The link is single-use, so don't fire twice under StrictMode
+    if (reported.current) return;
+    reported.current = true;
+
+    reportDevice(token)
+      .then(({ resetToken }) =>
+        navigate(`/reset-password/${resetToken}`, { replace: true })
+      )
+      .catch((error) => console.error("Reporting device failed:", error));
+  }, [token, reportDevice, navigate]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="p-8 text-center">
+        <h2 className="text-3xl font-bold mb-6 bg-gradient-to-r from-blue-400 to-cyan-500 text-transparent bg-clip-text">
+          Secure Account
+        </h2>
+        {error ? (
+          <p className="text-red-500 text-sm">{error}</p>
+        ) : (
+          <Loader className="size-8 animate-spin mx-auto text-blue-400" />
+        )}
+      </div>
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link to={"/login"} className="text-sm text-blue-400 hover:underline">
+          Back to Login
+        </Link>
+      </div>
+    </motion.div>
+  );
+};
+export default ReportDevicePage;
@@ -1,10 +1,12 @@
 import { useState } from "react";
 import { motion } from "framer-motion";
 import Input from "../components/Input";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
 import { Lock } from "lucide-react";
 
 import { useAuthStore } from "../../store/useAuthStore";
 import { useNavigate, useParams } from "react-router-dom";
+import { isPasswordValid } from "../../../shared/passwordPolicy.js";
 
 const ResetPasswordPage = () => {
   const [password, setPassword] = useState("");
@@ -63,12 +65,14 @@ const ResetPasswordPage = () => {
             required
           />
 
+          <PasswordStrengthMeter password={password} />
+
           <motion.button
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
-            className="w-full py-3 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200"
+            className="mt-5 w-full py-3 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 transition duration-200"
             type="submit"
-            disabled={isLoading}
+            disabled={isLoading || !isPasswordValid(password)}
           >
             {isLoading ? "Resetting..." : "Set New Password"}
           </motion.button>
@@ -0,0 +1,226 @@
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { ArrowLeft, Lock, Mail, User } from "lucide-react";
+import { Link } from "react-router-dom";
+import Input from "../components/Input";
+import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import { useAuthStore } from "../../store/useAuthStore";
+import { isPasswordValid } from "../../../shared/passwordPolicy.js";
+
+// Languages the server has email translations for
+const LANGUAGES = [
+  { value: "en", label: "English" },
+  { value: "es", label: "Español" },
+];
+
+const sectionClassName =
+  "p-4 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700";
+
+const buttonClassName =
+  "w-full py-2 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 cursor-pointer";
+
+const SettingsPage = () => {
+  const {
+    user,
+    error,
+    message,
+    isLoading,
+    updateProfile,
+    changePassword,
+    requestEmailChange,
+  } = useAuthStore();
+
+  const [name, setName] = useState(user.name);
+  const [locale, setLocale] = useState(user.locale || "en");
+  const [newEmail, setNewEmail] = useState("");
+  const [emailPassword, setEmailPassword] = useState("");
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await updateProfile({ name, locale });
+    } catch (error) {
+      console.error("Updating profile failed:", error);
+    }
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await requestEmailChange(newEmail, emailPassword);
+      setNewEmail("");
+      setEmailPassword("");
+    } catch (error) {
+      console.error("Changing email failed:", error);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      alert("Passwords do not match");
+      return;
+    }
+    try {
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+    } catch (error) {
+      console.error("Changing password failed:", error);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.9 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.5 }}
+      className="max-w-md w-full mx-auto mt-10 p-8 bg-gray-900 bg-opacity-80 backdrop-filter backdrop-blur-lg rounded-xl shadow-2xl border border-gray-800"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-cyan-600 text-transparent bg-clip-text">
+          Settings
+        </h2>
+        <Link
+          to="/"
+          className="text-sm text-blue-400 hover:underline flex items-center"
+        >
+          <ArrowLeft className="h-4 w-4 mr-2" /> Dashboard
+        </Link>
+      </div>
+
+      {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+      {message && <p className="text-blue-500 text-sm mb-4">{message}</p>}
+
+      <div className="space-y-6">
+        {/* ===================== Profile ===================== */}
+        <form onSubmit={handleProfileSubmit} className={sectionClassName}>
+          <h3 className="text-xl font-semibold text-blue-400 mb-3">Profile</h3>
+          <Input
+            icon={User}
+            type="text"
+            placeholder="Full Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            required
+          />
+          <label className="block text-sm text-gray-400 mb-1" htmlFor="locale">
+            Email language
+          </label>
+          <select
+            id="locale"
+            value={locale}
+            onChange={(e) => setLocale(e.target.value)}
+            className="w-full mb-6 px-3 py-2 bg-gray-800 bg-opacity-50 rounded-lg border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500 text-white"
+          >
+            {LANGUAGES.map((language) => (
+              <option key={language.value} value={language.value}>
+                {language.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={
+              isLoading ||
+              !name.trim() ||
+              (name === user.name && locale === user.locale)
+            }
+            className={buttonClassName}
+          >
+            Save Profile
+          </button>
+        </form>
+
+        {/* ===================== Email ===================== */}
+        <form onSubmit={handleEmailSubmit} className={sectionClassName}>
+          <h3 className="text-xl font-semibold text-blue-400 mb-3">Email</h3>
+          <p className="text-gray-300 mb-1">Current: {user.email}</p>
+          {user.pendingEmail && (
+            <p className="text-sm text-gray-400 mb-1">
+              Waiting for confirmation of {user.pendingEmail}
+            </p>
+          )}
+          <p className="text-sm text-gray-400 mb-3">
+            We'll send a confirmation link to the new address. Your email only
+            changes once you open it.
+          </p>
+          <Input
+            icon={Mail}
+            type="email"
+            placeholder="New Email Address"
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            required
+          />
+          <Input
+            icon={Lock}
+            type="password"
+            placeholder="Current Password"
+            value={emailPassword}
+            onChange={(e) => setEmailPassword(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={isLoading || !newEmail}
+            className={buttonClassName}
+          >
+            Change Email
+          </button>
+        </form>
+
+        {/* ===================== Password ===================== */}
+        <form onSubmit={handlePasswordSubmit} className={sectionClassName}>
+          <h3 className="text-xl font-semibold text-blue-400 mb-3">Password</h3>
+          <p className="text-sm text-gray-400 mb-3">
+            Changing your password signs you out on all other devices.
+          </p>
+          <Input
+            icon={Lock}
+            type="password"
+            placeholder="Current Password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            required
+          />
+          <Input
+            icon={Lock}
+            type="password"
+            placeholder="New Password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            required
+          />
+          <Input
+            icon={Lock}
+            type="password"
+            placeholder="Confirm New Password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+          />
+          <PasswordStrengthMeter
+            password={newPassword}
+            userInputs={[user.email, user.name]}
+          />
+          <button
+            type="submit"
+            disabled={
+              isLoading ||
+              !isPasswordValid(newPassword, [user.email, user.name])
+            }
+            className={`mt-5 ${buttonClassName}`}
+          >
+            Change Password
+          </button>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+export default SettingsPage;
@@ -3,8 +3,10 @@ import { motion } from "framer-motion";
 import { User, Mail, Lock } from "lucide-react";
 import Input from "../components/Input";
 import PasswordStrengthMeter from "../components/PasswordStrengthMeter";
+import OAuthButtons from "../components/OAuthButtons";
 import { Link, useNavigate } from "react-router-dom";
 import { useAuthStore } from "../../store/useAuthStore";
+import { isPasswordValid } from "../../../shared/passwordPolicy.js";
 
 function SignupPage() {
   const [name, setName] = useState("");
@@ -59,7 +61,10 @@ function SignupPage() {
           {error && (
             <p className="text-red-500 font-semibold mt-2 text-sm">{error}</p>
           )}
-          <PasswordStrengthMeter password={password} />
+          <PasswordStrengthMeter
+            password={password}
+            userInputs={[email, name]}
+          />
           <motion.button
             className="mt-5 w-full py-3 px-4 bg-gradient-to-r from-blue-500 to-cyan-600 text-white 
 						font-bold rounded-lg shadow-lg hover:from-blue-600
@@ -68,11 +73,12 @@ function SignupPage() {
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
             type="submit"
-            disabled={isLoading}
+            disabled={isLoading || !isPasswordValid(password, [email, name])}
           >
             {isLoading ? "Signing Up..." : "Sign Up"}
           </motion.button>
         </form>
+        <OAuthButtons />
       </div>
       <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
         <p className="text-sm text-gray-400">
@@ -0,0 +1,133 @@
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { KeyRound } from "lucide-react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+
+import { useAuthStore } from "../../store/useAuthStore";
+import CodeInput from "../components/CodeInput";
+import Input from "../components/Input";
+import { getReturnTo } from "../utils/returnTo";
+
+function TwoFactorPage() {
+  const [code, setCode] = useState(["", "", "", "", "", ""]);
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // ===================== Zustand Store =====================
+  const {
+    verifyTwoFactor,
+    twoFactorChallenge,
+    setTwoFactorChallenge,
+    error,
+    isLoading,
+  } = useAuthStore();
+
+  // ===================== Challenge From Social Login Redirect =====================
+  const hashChallenge = new URLSearchParams(location.hash.slice(1)).get(
+    "challenge"
+  );
+  useEffect(() => {
+    if (hashChallenge) {
+      setTwoFactorChallenge(hashChallenge);
+      navigate("/login/2fa", { replace: true }); // Drop the token from the URL
+    }
+  }, [hashChallenge, setTwoFactorChallenge, navigate]);
+
+  // ===================== Handle Submit =====================
+  const handleSubmit = useCallback(
+    async (e) => {
+      if (e) e.preventDefault();
+      try {
+        if (useRecoveryCode) {
+          await verifyTwoFactor(recoveryCode, true);
+        } else {
+          await verifyTwoFactor(code.join(""));
+        }
+        navigate(getReturnTo());
+      } catch (err) {
+        console.error("Two-factor verification failed:", err);
+        setCode(["", "", "", "", "", ""]);
+      }
+    },
+    [useRecoveryCode, recoveryCode, code, verifyTwoFactor, navigate]
+  );
+
+  // ===================== Auto Submit When All Digits Are Entered =====================
+  useEffect(() => {
+    if (!useRecoveryCode && code.every((digit) => digit !== "")) {
+      handleSubmit();
+    }
+  }, [code, useRecoveryCode, handleSubmit]);
+
+  // The challenge only exists right after a successful password step
+  if (!twoFactorChallenge && !hashChallenge) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <div className="max-w-md w-full bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-xl overflow-hidden">
+      <motion.div
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="bg-gray-800 bg-opacity-50 backdrop-filter backdrop-blur-xl rounded-2xl shadow-2xl p-8 w-full max-w-md"
+      >
+        <h2 className="text-3xl font-bold mb-6 text-center bg-gradient-to-r from-blue-400 to-cyan-500 text-transparent bg-clip-text">
+          Two-Factor Authentication
+        </h2>
+        <p className="text-center text-gray-300 mb-6">
+          {useRecoveryCode
+            ? "Enter one of your recovery codes."
+            : "Enter the 6-digit code from your authenticator app."}
+        </p>
+
+        <form className="space-y-6" onSubmit={handleSubmit}>
+          {useRecoveryCode ? (
+            <Input
+              icon={KeyRound}
+              type="text"
+              placeholder="xxxxx-xxxxx"
+              value={recoveryCode}
+              onChange={(e) => setRecoveryCode(e.target.value)}
+              required
+            />
+          ) : (
+            <CodeInput code={code} setCode={setCode} />
+          )}
+          {error && <div className="text-red-500 text-sm mt-2">{error}</div>}
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            type="submit"
+            disabled={
+              isLoading ||
+              (useRecoveryCode
+                ? !recoveryCode
+                : code.some((digit) => !digit))
+            }
+            className="w-full bg-gradient-to-r from-blue-500 to-cyan-600 text-white font-bold py-3 px-4 rounded-lg shadow-lg hover:from-blue-600 hover:to-cyan-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 disabled:opacity-50 cursor-pointer"
+          >
+            {isLoading ? "Verifying..." : "Verify"}
+          </motion.button>
+        </form>
+        <button
+          onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+          className="mt-4 w-full text-sm text-blue-400 hover:underline cursor-pointer"
+        >
+          {useRecoveryCode
+            ? "Use your authenticator app instead"
+            : "Lost your device? Use a recovery code"}
+        </button>
+      </motion.div>
+      <div className="px-8 py-4 bg-gray-900 bg-opacity-50 flex justify-center">
+        <Link to={"/login"} className="text-sm text-blue-400 hover:underline">
+          Back to Login
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorPage;
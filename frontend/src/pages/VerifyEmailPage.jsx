@@ -1,57 +1,26 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useState } from "react";
 import { motion } from "framer-motion";
 import { useNavigate } from "react-router-dom";
 
 import { useAuthStore } from "../../store/useAuthStore";
+import CodeInput from "../components/CodeInput";
+import { useCountdown, formatCountdown } from "../hooks/useCountdown";
+import { getReturnTo } from "../utils/returnTo";
 
 function VerifyEmailPage() {
   const [code, setCode] = useState(["", "", "", "", "", ""]);
-  const inputRefs = useRef([]);
   const navigate = useNavigate();
 
   // ===================== Zustand Store =====================
-  const { verifyEmail, error, isLoading } = useAuthStore();
-
-  // ===================== Auto Focus First Input =====================
-  useEffect(() => {
-    if (inputRefs.current[0]) {
-      inputRefs.current[0].focus();
-    }
-  }, []);
-
-  // ===================== Handle Change =====================
-  const handleChange = (index, value) => {
-    if (!/^\d*$/.test(value)) return; // Only digits allowed
-
-    const newCode = [...code];
-    newCode[index] = value.slice(-1); // Only keep the last digit
-    setCode(newCode);
-
-    // Handle pasted content (if more than one digit entered)
-    if (value.length > 1) {
-      const pastedCode = value.slice(0, 6).split("");
-      for (let i = 0; i < 6; i++) {
-        newCode[i] = pastedCode[i] || "";
-      }
-      setCode(newCode);
-
-      // Focus the last filled input
-      const lastIndex = Math.min(pastedCode.length, 6) - 1;
-      inputRefs.current[lastIndex]?.focus();
-    } else {
-      // Move focus to the next input if value is entered
-      if (value && index < 5) {
-        inputRefs.current[index + 1].focus();
-      }
-    }
-  };
-
-  // ===================== Handle Key Down =====================
-  const handleKeyDown = (index, e) => {
-    if (e.key === "Backspace" && !code[index] && index > 0) {
-      inputRefs.current[index - 1].focus();
-    }
-  };
+  const {
+    verifyEmail,
+    resendVerification,
+    verificationResendAt,
+    error,
+    message,
+    isLoading,
+  } = useAuthStore();
+  const resendSecondsLeft = useCountdown(verificationResendAt);
 
   // ===================== Handle Submit =====================
   const handleSubmit = async (e) => {
@@ -59,12 +28,22 @@ function VerifyEmailPage() {
     const verificationCode = code.join("");
     try {
       await verifyEmail(verificationCode);
-      navigate("/");
+      navigate(getReturnTo());
     } catch (err) {
       console.error("Verification failed:", err);
     }
   };
 
+  // ===================== Handle Resend =====================
+  const handleResend = async () => {
+    try {
+      await resendVerification();
+      setCode(["", "", "", "", "", ""]);
+    } catch (err) {
+      console.error("Resending code failed:", err);
+    }
+  };
+
   // ===================== Auto Submit When All Digits Are Entered =====================
   useEffect(() => {
     if (code.every((digit) => digit !== "")) {
@@ -88,21 +67,11 @@ function VerifyEmailPage() {
         </p>
 
         <form className="space-y-6" onSubmit={handleSubmit}>
-          <div className="flex justify-between">
-            {code.map((digit, index) => (
-              <input
-                key={index}
-                ref={(el) => (inputRefs.current[index] = el)}
-                type="text"
-                maxLength="1" // FIXED: only one digit per box
-                value={digit}
-                onChange={(e) => handleChange(index, e.target.value)}
-                onKeyDown={(e) => handleKeyDown(index, e)}
-                className="w-12 h-12 text-center text-2xl font-bold bg-gray-700 text-white border-2 border-gray-600 rounded-lg focus:border-blue-500 focus:outline-none"
-              />
-            ))}
-          </div>
+          <CodeInput code={code} setCode={setCode} />
           {error && <div className="text-red-500 text-sm mt-2">{error}</div>}
+          {message && !error && (
+            <div className="text-blue-400 text-sm mt-2">{message}</div>
+          )}
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -113,6 +82,19 @@ function VerifyEmailPage() {
             {isLoading ? "Verifying..." : "Verify Email"}
           </motion.button>
         </form>
+        <p className="mt-4 text-center text-sm text-gray-400">
+          Didn't get the code?{" "}
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={resendSecondsLeft > 0}
+            className="text-blue-400 hover:underline disabled:text-gray-500 disabled:no-underline cursor-pointer disabled:cursor-default"
+          >
+            {resendSecondsLeft > 0
+              ? `Resend code in ${formatCountdown(resendSecondsLeft)}`
+              : "Resend code"}
+          </button>
+        </p>
       </motion.div>
     </div>
   );
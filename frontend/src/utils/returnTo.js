@@ -0,0 +1,9 @@
+// Where to go once the user has signed in, e.g. back to an app's consent
+// screen. Kept in sessionStorage so it survives social login redirects.
+const KEY = "returnTo";
+
+export const setReturnTo = (path) => sessionStorage.setItem(KEY, path);
+
+export const getReturnTo = () => sessionStorage.getItem(KEY) ?? "/";
+
+export const clearReturnTo = () => sessionStorage.removeItem(KEY);
@@ -0,0 +1,76 @@
+import { create } from "zustand";
+import axios from "axios";
+import { getErrorMessage } from "./useAuthStore";
+
+const API_URL =
+  import.meta.env.MODE === "development"
+    ? "http://localhost:5000/api/admin"
+    : "/api/admin";
+
+export const useAdminStore = create((set) => ({
+  users: [],
+  page: 1,
+  totalPages: 1,
+  total: 0,
+  error: null,
+  isLoading: false,
+
+  // Fetch Users Action (search + pagination)
+  fetchUsers: async ({ search = "", page = 1, limit = 20 } = {}) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.get(`${API_URL}/users`, {
+        params: { search: search || undefined, page, limit },
+      });
+      set({
+        isLoading: false,
+        users: response.data.users,
+        page: response.data.page,
+        totalPages: response.data.totalPages,
+        total: response.data.total,
+      });
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error loading users"),
+      });
+      throw error;
+    }
+  },
+  // Update Roles Action
+  updateRoles: async (id, roles) => {
+    set({ error: null });
+    try {
+      const response = await axios.patch(`${API_URL}/users/${id}/roles`, {
+        roles,
+      });
+      set((state) => ({
+        users: state.users.map((user) =>
+          user._id === id ? response.data.user : user
+        ),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error updating roles") });
+      throw error;
+    }
+  },
+  // Disable / Enable User Action
+  setUserDisabled: async (id, isDisabled) => {
+    set({ error: null });
+    try {
+      const response = await axios.post(
+        `${API_URL}/users/${id}/${isDisabled ? "disable" : "enable"}`
+      );
+      set((state) => ({
+        users: state.users.map((user) =>
+          user._id === id ? response.data.user : user
+        ),
+      }));
+    } catch (error) {
+      set({
+        error: getErrorMessage(error, "Error updating user status"),
+      });
+      throw error;
+    }
+  },
+}));
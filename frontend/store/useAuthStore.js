@@ -1,20 +1,212 @@
 import { create } from "zustand";
 import axios from "axios";
+import {
+  startAuthentication,
+  startRegistration,
+} from "@simplewebauthn/browser";
+import { ERROR_CODES } from "../../shared/errorCodes.js";
 
 const API_URL =
   import.meta.env.MODE === "development"
     ? "http://localhost:5000/api/auth"
     : "/api/auth";
 
+const RESEND_COOLDOWN = 60 * 1000; // Matches the server's resend cooldown
+
 axios.defaults.withCredentials = true; // Enable sending cookies with requests
 
-export const useAuthStore = create((set) => ({
+// ====================== Transparent Token Refresh ======================
+// Access tokens are short-lived. When a request comes back 401 we rotate the
+// refresh token once and replay the request. Concurrent 401s share the same
+// refresh call so the refresh token is only used once.
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_URL}/refresh`)
+      .finally(() => (refreshPromise = null));
+  }
+  return refreshPromise;
+};
+
+// 401s a new access token can fix; bad credentials or a revoked session can't
+const REFRESHABLE_CODES = [
+  ERROR_CODES.AUTH_REQUIRED,
+  ERROR_CODES.AUTH_TOKEN_EXPIRED,
+  ERROR_CODES.AUTH_TOKEN_INVALID,
+];
+
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config;
+    if (
+      error.response?.status !== 401 ||
+      !REFRESHABLE_CODES.includes(error.response.data?.code) ||
+      !request ||
+      request._retry ||
+      request.url === `${API_URL}/refresh`
+    ) {
+      throw error;
+    }
+    request._retry = true;
+    try {
+      await refreshSession();
+    } catch {
+      throw error; // Refresh failed, surface the original 401
+    }
+    return axios(request);
+  }
+);
+
+// ====================== CSRF Token ======================
+// Requests that change state echo a token the API pairs with a cookie. It is
+// fetched before the first such request and again when the API rejects it
+// (the cookie went away). Every store uses this axios instance.
+const API_ROOT =
+  import.meta.env.MODE === "development" ? "http://localhost:5000/api" : "/api";
+const SAFE_METHODS = ["get", "head", "options"];
+const CSRF_CODES = [
+  ERROR_CODES.CSRF_TOKEN_MISSING,
+  ERROR_CODES.CSRF_TOKEN_INVALID,
+];
+
+let csrfToken = null;
+let csrfPromise = null;
+
+const fetchCsrfToken = () => {
+  if (!csrfPromise) {
+    csrfPromise = axios
+      .get(`${API_URL}/csrf-token`)
+      .then((response) => (csrfToken = response.data.csrfToken))
+      .finally(() => (csrfPromise = null));
+  }
+  return csrfPromise;
+};
+
+axios.interceptors.request.use(async (config) => {
+  if (
+    SAFE_METHODS.includes(config.method) ||
+    !config.url.startsWith(API_ROOT)
+  ) {
+    return config;
+  }
+  config.headers["X-CSRF-Token"] = csrfToken ?? (await fetchCsrfToken());
+  return config;
+});
+
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const request = error.config;
+    if (
+      error.response?.status !== 403 ||
+      !CSRF_CODES.includes(error.response.data?.code) ||
+      !request ||
+      request._csrfRetry
+    ) {
+      throw error;
+    }
+    request._csrfRetry = true;
+    csrfToken = null;
+    return axios(request); // The request interceptor fetches a fresh token
+  }
+);
+
+// ====================== Error Messages ======================
+// User-facing text for the API's error codes. Codes not listed here (e.g.
+// VALIDATION_FAILED, whose message names the field) use the server message.
+const ERROR_MESSAGES = {
+  [ERROR_CODES.AUTH_REQUIRED]: "Please log in to continue",
+  [ERROR_CODES.AUTH_TOKEN_EXPIRED]:
+    "Your session has expired, please log in again",
+  [ERROR_CODES.AUTH_TOKEN_INVALID]:
+    "Your session has expired, please log in again",
+  [ERROR_CODES.AUTH_SESSION_REVOKED]:
+    "You have been signed out, please log in again",
+  [ERROR_CODES.AUTH_REFRESH_INVALID]:
+    "Your session has expired, please log in again",
+  [ERROR_CODES.AUTH_REFRESH_REUSED]:
+    "You have been signed out for security reasons, please log in again",
+  [ERROR_CODES.AUTH_INVALID_CREDENTIALS]: "Incorrect email or password",
+  [ERROR_CODES.AUTH_SOCIAL_ACCOUNT]:
+    "This account uses social login, continue with your provider",
+  [ERROR_CODES.AUTH_CHALLENGE_EXPIRED]:
+    "This sign-in attempt expired, please start again",
+  [ERROR_CODES.AUTH_INVALID_CODE]: "That code is not valid",
+  [ERROR_CODES.ACCOUNT_DISABLED]:
+    "This account has been disabled, contact support if this is a mistake",
+  [ERROR_CODES.ACCOUNT_LOCKED]:
+    "Too many failed attempts, your account is temporarily locked",
+  [ERROR_CODES.ACCOUNT_PENDING_DELETION]:
+    "This account is scheduled for deletion. Use the link we emailed you to keep it",
+  [ERROR_CODES.PASSWORD_RESET_REQUIRED]:
+    "For your security, reset your password before signing in",
+  [ERROR_CODES.EMAIL_ALREADY_VERIFIED]: "Your email is already verified",
+  [ERROR_CODES.INVALID_OR_EXPIRED_CODE]: "This code is invalid or has expired",
+  [ERROR_CODES.INVALID_OR_EXPIRED_LINK]: "This link is invalid or has expired",
+  [ERROR_CODES.TOO_MANY_ATTEMPTS]:
+    "Too many incorrect attempts, please request a new code",
+  [ERROR_CODES.FORBIDDEN]: "You don't have permission to do that",
+  [ERROR_CODES.INSUFFICIENT_SCOPE]:
+    "This API key doesn't have the scope for that request",
+  [ERROR_CODES.CSRF_TOKEN_MISSING]:
+    "Your session is out of date, please reload the page",
+  [ERROR_CODES.CSRF_TOKEN_INVALID]:
+    "Your session is out of date, please reload the page",
+  [ERROR_CODES.ORGANIZATION_REQUIRED]:
+    "Create or select an organization to continue",
+  [ERROR_CODES.INVITATION_EMAIL_MISMATCH]:
+    "This invitation was sent to another email address, log in with that account to accept it",
+  [ERROR_CODES.USER_NOT_FOUND]: "No account found with that email",
+  [ERROR_CODES.USER_EXISTS]: "An account with this email already exists",
+  [ERROR_CODES.RATE_LIMITED]:
+    "Too many requests, please wait a moment and try again",
+  [ERROR_CODES.INTERNAL_ERROR]: "Something went wrong, please try again",
+};
+
+export const getErrorMessage = (error, fallback) => {
+  if (!error.response) {
+    // The request went out but nothing came back
+    return error.request
+      ? "Can't reach the server, check your connection"
+      : fallback;
+  }
+  const { code, message } = error.response.data || {};
+  return ERROR_MESSAGES[code] || message || fallback;
+};
+
+// Social login is a full-page redirect through the API, not an XHR call
+export const getOAuthLoginUrl = (provider) => `${API_URL}/oauth/${provider}`;
+
+// When a request was rate limited or the account is locked (429), returns the
+// timestamp after which it is worth trying again.
+const getRetryAt = (error) => {
+  if (error.response?.status !== 429) return null;
+  const retryAfter = Number(
+    error.response.headers["retry-after"] ?? error.response.data?.retryAfter
+  );
+  return retryAfter ? Date.now() + retryAfter * 1000 : null;
+};
+
+export const useAuthStore = create((set, get) => ({
   user: null,
   isAuthenticated: false,
   error: null,
   isLoading: false,
   isCheckingAuth: true,
   message: null,
+  sessions: [],
+  knownDevices: [],
+  apiKeys: [],
+  authEvents: [],
+  authEventsCursor: null,
+  twoFactorChallenge: null,
+  retryAt: null,
+  verificationResendAt: null,
+  oauthProviders: [],
+  passkeys: [],
 
   // Signup Action
   signup: async (email, password, name) => {
@@ -29,9 +221,14 @@ export const useAuthStore = create((set) => ({
         isLoading: false,
         user: response.data.user,
         isAuthenticated: true,
+        // A code was just sent, so resending is on cooldown
+        verificationResendAt: Date.now() + RESEND_COOLDOWN,
       });
     } catch (error) {
-      set({ isLoading: false, error: error.response.data.message });
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error signing up"),
+      });
       throw error;
     }
   },
@@ -40,7 +237,11 @@ export const useAuthStore = create((set) => ({
   verifyEmail: async (code) => {
     set({ isLoading: true, error: null });
     try {
-      const response = await axios.post(`${API_URL}/verify-email`, { code });
+      // The server uses the session when there is one, the email otherwise
+      const response = await axios.post(`${API_URL}/verify-email`, {
+        code,
+        email: get().user?.email,
+      });
       set({
         isLoading: false,
         user: response.data.user,
@@ -48,7 +249,30 @@ export const useAuthStore = create((set) => ({
       });
       return response.data;
     } catch (error) {
-      set({ isLoading: false, error: error.response.data.message });
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error verifying email"),
+      });
+      throw error;
+    }
+  },
+  // Resend Verification Code Action
+  resendVerification: async () => {
+    set({ error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/resend-verification`, {
+        email: get().user?.email,
+      });
+      set({
+        message: response.data.message,
+        verificationResendAt: Date.now() + response.data.retryAfter * 1000,
+      });
+      return response.data;
+    } catch (error) {
+      set({
+        error: getErrorMessage(error, "Error resending code"),
+        verificationResendAt: getRetryAt(error),
+      });
       throw error;
     }
   },
@@ -76,14 +300,137 @@ export const useAuthStore = create((set) => ({
         email,
         password,
       });
+      // Password was fine but a second factor is needed
+      if (response.data.twoFactorRequired) {
+        set({
+          isLoading: false,
+          twoFactorChallenge: response.data.challengeToken,
+        });
+        return response.data;
+      }
       set({
         isLoading: false,
         user: response.data.user,
         isAuthenticated: true,
         error: null,
+        retryAt: null,
+      });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error logging in"),
+        retryAt: getRetryAt(error),
+      });
+      throw error;
+    }
+  },
+  // Verify Two-Factor Login Action
+  verifyTwoFactor: async (code, isRecoveryCode = false) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(`${API_URL}/2fa/verify`, {
+        challengeToken: get().twoFactorChallenge,
+        ...(isRecoveryCode ? { recoveryCode: code } : { code }),
       });
+      set({
+        isLoading: false,
+        user: response.data.user,
+        isAuthenticated: true,
+        twoFactorChallenge: null,
+      });
+      return response.data;
     } catch (error) {
-      set({ isLoading: false, error: error.response.data.message });
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error verifying code"),
+      });
+      throw error;
+    }
+  },
+  // Set Two-Factor Challenge Action (social login hands it over in the URL)
+  setTwoFactorChallenge: (challengeToken) =>
+    set({ twoFactorChallenge: challengeToken }),
+  // Get OAuth Providers Action
+  getOAuthProviders: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/oauth/providers`);
+      set({ oauthProviders: response.data.providers });
+    } catch (error) {
+      console.error("Error loading login providers:", error);
+    }
+  },
+  // Request Magic Link Action
+  requestMagicLink: async (email) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/magic-link`, { email });
+      set({ message: response.data.message, isLoading: false });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error sending sign-in link"),
+        retryAt: getRetryAt(error),
+      });
+      throw error;
+    }
+  },
+  // Magic Link Login Action
+  consumeMagicLink: async (token) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(`${API_URL}/magic-link/${token}`);
+      if (response.data.twoFactorRequired) {
+        set({
+          isLoading: false,
+          twoFactorChallenge: response.data.challengeToken,
+        });
+        return response.data;
+      }
+      set({
+        isLoading: false,
+        user: response.data.user,
+        isAuthenticated: true,
+      });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error signing in"),
+      });
+      throw error;
+    }
+  },
+  // Passkey Login Action
+  loginWithPasskey: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const { data: optionsJSON } = await axios.post(
+        `${API_URL}/webauthn/login/options`
+      );
+      // Prompts the browser / OS passkey dialog
+      const credential = await startAuthentication({ optionsJSON });
+      const response = await axios.post(`${API_URL}/webauthn/login/verify`, {
+        response: credential,
+      });
+      set({
+        isLoading: false,
+        user: response.data.user,
+        isAuthenticated: true,
+      });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(
+          error,
+          error.name === "NotAllowedError"
+            ? "Passkey sign-in was cancelled"
+            : "Error signing in with passkey"
+        ),
+        retryAt: getRetryAt(error),
+      });
       throw error;
     }
   },
@@ -97,9 +444,18 @@ export const useAuthStore = create((set) => ({
         user: null,
         isAuthenticated: false,
         error: null,
+        message: null,
+        sessions: [],
+        knownDevices: [],
+        apiKeys: [],
+        authEvents: [],
+        authEventsCursor: null,
       });
     } catch (error) {
-      set({ isLoading: false, error: error.response.data.message });
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error logging out"),
+      });
       throw error;
     }
   },
@@ -115,8 +471,7 @@ export const useAuthStore = create((set) => ({
     } catch (error) {
       set({
         isLoading: false,
-        error:
-          error.response.data.message || "Error sending reset password email",
+        error: getErrorMessage(error, "Error sending reset password email"),
       });
       throw error;
     }
@@ -133,9 +488,432 @@ export const useAuthStore = create((set) => ({
     } catch (error) {
       set({
         isLoading: false,
-        error: error.response.data.message || "Error resetting password",
+        error: getErrorMessage(error, "Error resetting password"),
       });
       throw error;
     }
   },
+  // Update Profile Action (name, locale)
+  updateProfile: async (profile) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.patch(`${API_URL}/me`, profile);
+      set({
+        user: response.data.user,
+        message: response.data.message,
+        isLoading: false,
+      });
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error updating profile"),
+      });
+      throw error;
+    }
+  },
+  // Change Password Action (signs out every other session)
+  changePassword: async (currentPassword, newPassword) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/me/password`, {
+        currentPassword,
+        newPassword,
+      });
+      set((state) => ({
+        message: response.data.message,
+        isLoading: false,
+        sessions: state.sessions.filter((session) => session.current),
+      }));
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error changing password"),
+      });
+      throw error;
+    }
+  },
+  // Request Email Change Action (emails a confirmation link to the new address)
+  requestEmailChange: async (email, password) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/me/email`, {
+        email,
+        password: password || undefined,
+      });
+      set({
+        user: response.data.user,
+        message: response.data.message,
+        isLoading: false,
+      });
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error changing email"),
+      });
+      throw error;
+    }
+  },
+  // Confirm Email Change Action
+  confirmEmailChange: async (token) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/confirm-email/${token}`);
+      // The link may be opened while signed in as someone else, or not at all
+      set((state) => ({
+        user:
+          state.user?._id === response.data.user._id
+            ? response.data.user
+            : state.user,
+        message: response.data.message,
+        isLoading: false,
+      }));
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error confirming email"),
+      });
+      throw error;
+    }
+  },
+  // Export Account Data Action (downloads a JSON archive)
+  exportAccountData: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.get(`${API_URL}/me/export`, {
+        responseType: "blob",
+      });
+      const filename =
+        response.headers["content-disposition"]?.match(
+          /filename="(.+)"/
+        )?.[1] || "account-export.json";
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error exporting your data") });
+      throw error;
+    }
+  },
+  // Delete Account Action (signs out; the account can be restored by email)
+  deleteAccount: async (password) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.delete(`${API_URL}/me`, {
+        data: { password: password || undefined },
+      });
+      set({
+        isLoading: false,
+        user: null,
+        isAuthenticated: false,
+        sessions: [],
+        knownDevices: [],
+        apiKeys: [],
+        authEvents: [],
+        authEventsCursor: null,
+        message: response.data.message,
+      });
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error deleting account"),
+      });
+      throw error;
+    }
+  },
+  // Cancel Account Deletion Action
+  cancelAccountDeletion: async (token) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/cancel-deletion/${token}`);
+      set({ message: response.data.message, isLoading: false });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error cancelling account deletion"),
+      });
+      throw error;
+    }
+  },
+  // Get Sessions Action
+  getSessions: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.get(`${API_URL}/sessions`);
+      set({ sessions: response.data.sessions });
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error loading sessions") });
+      throw error;
+    }
+  },
+  // Get Known Devices Action
+  getKnownDevices: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.get(`${API_URL}/devices`);
+      set({ knownDevices: response.data.devices });
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error loading devices") });
+      throw error;
+    }
+  },
+  // Remove Known Device Action
+  removeKnownDevice: async (id) => {
+    set({ error: null });
+    try {
+      await axios.delete(`${API_URL}/devices/${id}`);
+      set((state) => ({
+        knownDevices: state.knownDevices.filter((device) => device.id !== id),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error removing device") });
+      throw error;
+    }
+  },
+  // Get API Keys Action
+  getApiKeys: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.get(`${API_URL}/api-keys`);
+      set({ apiKeys: response.data.apiKeys });
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error loading API keys") });
+      throw error;
+    }
+  },
+  // Create API Key Action
+  // Returns the key: the server never shows it again
+  createApiKey: async ({ name, scopes, expiresInDays }) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(`${API_URL}/api-keys`, {
+        name,
+        scopes,
+        expiresInDays,
+      });
+      set((state) => ({
+        isLoading: false,
+        apiKeys: [response.data.apiKey, ...state.apiKeys],
+      }));
+      return response.data.key;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error creating API key"),
+      });
+      throw error;
+    }
+  },
+  // Revoke API Key Action
+  revokeApiKey: async (id) => {
+    set({ error: null });
+    try {
+      await axios.delete(`${API_URL}/api-keys/${id}`);
+      set((state) => ({
+        apiKeys: state.apiKeys.filter((apiKey) => apiKey.id !== id),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error revoking API key") });
+      throw error;
+    }
+  },
+  // Report Device Action ("this wasn't me")
+  reportDevice: async (token) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/report-device/${token}`);
+      set({ message: response.data.message, isLoading: false });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error reporting device"),
+      });
+      throw error;
+    }
+  },
+  // Get Auth Events Action
+  // Loads the newest security events, or with `more` the page after the
+  // ones already loaded.
+  getAuthEvents: async ({ more = false } = {}) => {
+    set({ error: null });
+    try {
+      const response = await axios.get(`${API_URL}/me/events`, {
+        params: { cursor: more ? get().authEventsCursor : undefined },
+      });
+      set((state) => ({
+        authEvents: more
+          ? [...state.authEvents, ...response.data.events]
+          : response.data.events,
+        authEventsCursor: response.data.nextCursor,
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error loading activity") });
+      throw error;
+    }
+  },
+  // Revoke Session Action
+  revokeSession: async (id) => {
+    set({ error: null });
+    try {
+      await axios.delete(`${API_URL}/sessions/${id}`);
+      set((state) => ({
+        sessions: state.sessions.filter((session) => session.id !== id),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error revoking session") });
+      throw error;
+    }
+  },
+  // Revoke Other Sessions Action ("log out everywhere else")
+  revokeOtherSessions: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.delete(`${API_URL}/sessions`);
+      set((state) => ({
+        sessions: state.sessions.filter((session) => session.current),
+        message: response.data.message,
+      }));
+    } catch (error) {
+      set({
+        error: getErrorMessage(error, "Error revoking sessions"),
+      });
+      throw error;
+    }
+  },
+  // Setup Two-Factor Action (returns secret, otpauth URL and QR code)
+  setupTwoFactor: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.post(`${API_URL}/2fa/setup`);
+      return response.data;
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error setting up 2FA") });
+      throw error;
+    }
+  },
+  // Confirm Two-Factor Action (returns the one-time recovery codes)
+  confirmTwoFactor: async (code) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(`${API_URL}/2fa/confirm`, { code });
+      set((state) => ({
+        isLoading: false,
+        user: { ...state.user, twoFactorEnabled: true },
+      }));
+      return response.data.recoveryCodes;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error confirming 2FA"),
+      });
+      throw error;
+    }
+  },
+  // Disable Two-Factor Action
+  disableTwoFactor: async (password) => {
+    set({ isLoading: true, error: null });
+    try {
+      await axios.post(`${API_URL}/2fa/disable`, { password });
+      set((state) => ({
+        isLoading: false,
+        user: { ...state.user, twoFactorEnabled: false },
+      }));
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error disabling 2FA"),
+      });
+      throw error;
+    }
+  },
+  // Unlock Account Action
+  unlockAccount: async (token) => {
+    set({ isLoading: true, error: null, message: null });
+    try {
+      const response = await axios.post(`${API_URL}/unlock-account/${token}`);
+      set({ message: response.data.message, isLoading: false, retryAt: null });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error unlocking account"),
+      });
+      throw error;
+    }
+  },
+  // Get Passkeys Action
+  getPasskeys: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/webauthn/credentials`);
+      set({ passkeys: response.data.credentials });
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error loading passkeys") });
+      throw error;
+    }
+  },
+  // Register Passkey Action
+  registerPasskey: async (name) => {
+    set({ isLoading: true, error: null });
+    try {
+      const { data: optionsJSON } = await axios.post(
+        `${API_URL}/webauthn/register/options`
+      );
+      const credential = await startRegistration({ optionsJSON });
+      const response = await axios.post(`${API_URL}/webauthn/register/verify`, {
+        response: credential,
+        name,
+      });
+      set((state) => ({
+        isLoading: false,
+        passkeys: [...state.passkeys, response.data.credential],
+      }));
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(
+          error,
+          error.name === "InvalidStateError"
+            ? "This device is already registered"
+            : "Error registering passkey"
+        ),
+      });
+      throw error;
+    }
+  },
+  // Rename Passkey Action
+  renamePasskey: async (id, name) => {
+    set({ error: null });
+    try {
+      const response = await axios.patch(
+        `${API_URL}/webauthn/credentials/${id}`,
+        { name }
+      );
+      set((state) => ({
+        passkeys: state.passkeys.map((passkey) =>
+          passkey.id === id ? response.data.credential : passkey
+        ),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error renaming passkey") });
+      throw error;
+    }
+  },
+  // Delete Passkey Action
+  deletePasskey: async (id) => {
+    set({ error: null });
+    try {
+      await axios.delete(`${API_URL}/webauthn/credentials/${id}`);
+      set((state) => ({
+        passkeys: state.passkeys.filter((passkey) => passkey.id !== id),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error deleting passkey") });
+      throw error;
+    }
+  },
 }));
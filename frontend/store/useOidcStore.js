@@ -0,0 +1,49 @@
+import { create } from "zustand";
+import axios from "axios";
+import { getErrorMessage } from "./useAuthStore";
+
+const API_URL =
+  import.meta.env.MODE === "development"
+    ? "http://localhost:5000/api/oidc"
+    : "/api/oidc";
+
+// Signing in to other apps with this account (OpenID Connect)
+export const useOidcStore = create((set) => ({
+  error: null,
+  isLoading: false,
+
+  // Get Authorization Request Action (`params` is the consent page's query)
+  getAuthorizationRequest: async (params) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.get(`${API_URL}/authorize/request`, {
+        params,
+      });
+      set({ isLoading: false });
+      return response.data;
+    } catch (error) {
+      set({
+        error: getErrorMessage(error, "Error loading sign-in request"),
+        isLoading: false,
+      });
+      throw error;
+    }
+  },
+  // Decide Authorization Action (resolves to where the browser goes next)
+  decideAuthorization: async (params, approve) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(`${API_URL}/authorize/decision`, {
+        ...params,
+        approve,
+      });
+      return response.data.redirectUrl;
+    } catch (error) {
+      set({
+        error: getErrorMessage(error, "Error completing sign-in"),
+        isLoading: false,
+      });
+      throw error;
+    }
+  },
+}));
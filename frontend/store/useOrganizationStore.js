@@ -0,0 +1,220 @@
+import { create } from "zustand";
+import axios from "axios";
+import { getErrorMessage } from "./useAuthStore";
+
+const API_URL =
+  import.meta.env.MODE === "development"
+    ? "http://localhost:5000/api/orgs"
+    : "/api/orgs";
+
+export const useOrganizationStore = create((set, get) => ({
+  organizations: [],
+  activeOrganizationId: null,
+  // The active organization with its members, as the current user sees it
+  current: null,
+  permissions: [],
+  members: [],
+  invitations: [],
+  error: null,
+  isLoading: false,
+
+  // Fetch Organizations Action
+  fetchOrganizations: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.get(API_URL);
+      set({
+        organizations: response.data.organizations,
+        activeOrganizationId: response.data.activeOrganizationId,
+      });
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error loading organizations") });
+      throw error;
+    }
+  },
+  // Fetch Current Organization Action
+  fetchCurrent: async () => {
+    set({ error: null });
+    try {
+      const response = await axios.get(`${API_URL}/current`);
+      set({
+        current: response.data.organization,
+        permissions: response.data.permissions,
+        members: response.data.members,
+        invitations: response.data.invitations,
+      });
+    } catch (error) {
+      set({
+        current: null,
+        permissions: [],
+        members: [],
+        invitations: [],
+        error: getErrorMessage(error, "Error loading organization"),
+      });
+      throw error;
+    }
+  },
+  // Create Organization Action (the new organization becomes active)
+  createOrganization: async (name) => {
+    set({ isLoading: true, error: null });
+    try {
+      await axios.post(API_URL, { name });
+      await get().fetchOrganizations();
+      await get().fetchCurrent();
+      set({ isLoading: false });
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error creating organization"),
+      });
+      throw error;
+    }
+  },
+  // Switch Organization Action
+  switchOrganization: async (organizationId) => {
+    set({ isLoading: true, error: null });
+    try {
+      await axios.post(`${API_URL}/active`, { organizationId });
+      set({ activeOrganizationId: organizationId });
+      await get().fetchCurrent();
+      set({ isLoading: false });
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error switching organization"),
+      });
+      throw error;
+    }
+  },
+  // Rename Organization Action
+  updateOrganization: async (name) => {
+    set({ error: null });
+    try {
+      const response = await axios.patch(`${API_URL}/current`, { name });
+      const { organization } = response.data;
+      set((state) => ({
+        current: organization,
+        organizations: state.organizations.map((org) =>
+          org.id === organization.id ? organization : org
+        ),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error renaming organization") });
+      throw error;
+    }
+  },
+  // Invite Member Action
+  inviteMember: async (email, role) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(`${API_URL}/current/invitations`, {
+        email,
+        role,
+      });
+      const { invitation } = response.data;
+      set((state) => ({
+        isLoading: false,
+        // A repeated invite replaces the pending one
+        invitations: [
+          invitation,
+          ...state.invitations.filter(({ id }) => id !== invitation.id),
+        ],
+      }));
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error sending invitation"),
+      });
+      throw error;
+    }
+  },
+  // Revoke Invitation Action
+  revokeInvitation: async (id) => {
+    set({ error: null });
+    try {
+      await axios.delete(`${API_URL}/current/invitations/${id}`);
+      set((state) => ({
+        invitations: state.invitations.filter(
+          (invitation) => invitation.id !== id
+        ),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error revoking invitation") });
+      throw error;
+    }
+  },
+  // Update Member Role Action
+  updateMemberRole: async (id, role) => {
+    set({ error: null });
+    try {
+      await axios.patch(`${API_URL}/current/members/${id}`, { role });
+      set((state) => ({
+        members: state.members.map((member) =>
+          member.id === id ? { ...member, role } : member
+        ),
+      }));
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error updating role") });
+      throw error;
+    }
+  },
+  // Remove Member Action (removing yourself leaves the organization)
+  removeMember: async (id, { self = false } = {}) => {
+    set({ error: null });
+    try {
+      await axios.delete(`${API_URL}/current/members/${id}`);
+      if (self) {
+        set({
+          current: null,
+          permissions: [],
+          members: [],
+          invitations: [],
+          activeOrganizationId: null,
+        });
+        await get().fetchOrganizations();
+      } else {
+        set((state) => ({
+          members: state.members.filter((member) => member.id !== id),
+        }));
+      }
+    } catch (error) {
+      set({ error: getErrorMessage(error, "Error removing member") });
+      throw error;
+    }
+  },
+  // Get Invitation Action (works signed out)
+  getInvitation: async (token) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.get(`${API_URL}/invitations/${token}`);
+      set({ isLoading: false });
+      return response.data.invitation;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error loading invitation"),
+      });
+      throw error;
+    }
+  },
+  // Accept Invitation Action (the organization becomes active)
+  acceptInvitation: async (token) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await axios.post(
+        `${API_URL}/invitations/${token}/accept`
+      );
+      set({
+        isLoading: false,
+        activeOrganizationId: response.data.organization.id,
+      });
+      return response.data;
+    } catch (error) {
+      set({
+        isLoading: false,
+        error: getErrorMessage(error, "Error accepting invitation"),
+      });
+      throw error;
+    }
+  },
+}));
@@ -5,4 +5,10 @@ import tailwindcss from "@tailwindcss/vite";
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  server: {
+    fs: {
+      // Allow importing the password policy shared with the backend
+      allow: [".", "../shared"],
+    },
+  },
 });
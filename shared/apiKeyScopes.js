@@ -0,0 +1,21 @@
+// What an API key may be used for. Routes opt in to API keys one scope at a
+// time; everything else (signing in, managing credentials, the account
+// itself) needs a browser session.
+export const API_KEY_SCOPES = {
+  PROFILE_READ: "profile:read",
+  PROFILE_WRITE: "profile:write",
+  SESSIONS_READ: "sessions:read",
+  ORGS_READ: "orgs:read",
+  ORGS_WRITE: "orgs:write",
+  ADMIN: "admin",
+};
+
+// Shown next to each scope when creating a key
+export const API_KEY_SCOPE_DESCRIPTIONS = {
+  [API_KEY_SCOPES.PROFILE_READ]: "Read your profile and security events",
+  [API_KEY_SCOPES.PROFILE_WRITE]: "Update your profile",
+  [API_KEY_SCOPES.SESSIONS_READ]: "List your sessions and known devices",
+  [API_KEY_SCOPES.ORGS_READ]: "Read your organizations and their members",
+  [API_KEY_SCOPES.ORGS_WRITE]: "Manage the organization and its members",
+  [API_KEY_SCOPES.ADMIN]: "Use the admin API, if your account has access",
+};
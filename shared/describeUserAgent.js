@@ -0,0 +1,24 @@
+// Turns a raw user agent string into a short "Browser on OS" label
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser =
+    [
+      ["Edge", /Edg\//],
+      ["Opera", /OPR\//],
+      ["Chrome", /Chrome\//],
+      ["Firefox", /Firefox\//],
+      ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown browser";
+
+  const os =
+    [
+      ["Windows", /Windows/],
+      ["Android", /Android/],
+      ["iOS", /iPhone|iPad|iPod/],
+      ["macOS", /Mac OS X/],
+      ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Unknown OS";
+
+  return `${browser} on ${os}`;
+};
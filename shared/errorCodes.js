@@ -0,0 +1,46 @@
+// Machine-readable error codes returned by the API as `{ code, message }`.
+// The frontend maps them to user-facing messages, so once released a code
+// must keep its meaning.
+export const ERROR_CODES = {
+  // Request
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  INVALID_JSON: "INVALID_JSON",
+  // Authentication
+  AUTH_REQUIRED: "AUTH_REQUIRED",
+  AUTH_TOKEN_EXPIRED: "AUTH_TOKEN_EXPIRED",
+  AUTH_TOKEN_INVALID: "AUTH_TOKEN_INVALID",
+  AUTH_SESSION_REVOKED: "AUTH_SESSION_REVOKED",
+  AUTH_REFRESH_INVALID: "AUTH_REFRESH_INVALID",
+  AUTH_REFRESH_REUSED: "AUTH_REFRESH_REUSED",
+  AUTH_INVALID_CREDENTIALS: "AUTH_INVALID_CREDENTIALS",
+  AUTH_SOCIAL_ACCOUNT: "AUTH_SOCIAL_ACCOUNT",
+  AUTH_CHALLENGE_EXPIRED: "AUTH_CHALLENGE_EXPIRED",
+  AUTH_INVALID_CODE: "AUTH_INVALID_CODE",
+  AUTH_PASSKEY_FAILED: "AUTH_PASSKEY_FAILED",
+  // Account state
+  ACCOUNT_DISABLED: "ACCOUNT_DISABLED",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  ACCOUNT_PENDING_DELETION: "ACCOUNT_PENDING_DELETION",
+  PASSWORD_RESET_REQUIRED: "PASSWORD_RESET_REQUIRED",
+  EMAIL_ALREADY_VERIFIED: "EMAIL_ALREADY_VERIFIED",
+  INVALID_OR_EXPIRED_CODE: "INVALID_OR_EXPIRED_CODE",
+  INVALID_OR_EXPIRED_LINK: "INVALID_OR_EXPIRED_LINK",
+  TOO_MANY_ATTEMPTS: "TOO_MANY_ATTEMPTS",
+  // Access
+  FORBIDDEN: "FORBIDDEN",
+  INSUFFICIENT_SCOPE: "INSUFFICIENT_SCOPE",
+  OAUTH_REQUEST_INVALID: "OAUTH_REQUEST_INVALID",
+  CSRF_TOKEN_MISSING: "CSRF_TOKEN_MISSING",
+  CSRF_TOKEN_INVALID: "CSRF_TOKEN_INVALID",
+  ORGANIZATION_REQUIRED: "ORGANIZATION_REQUIRED",
+  INVITATION_EMAIL_MISMATCH: "INVITATION_EMAIL_MISMATCH",
+  // Resources
+  NOT_FOUND: "NOT_FOUND",
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  USER_EXISTS: "USER_EXISTS",
+  // Throttling
+  RATE_LIMITED: "RATE_LIMITED",
+  // Anything unexpected
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
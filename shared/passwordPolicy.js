@@ -0,0 +1,116 @@
+// Password policy shared by the API (request validation) and the frontend
+// (PasswordStrengthMeter), so both always agree on what is accepted.
+// Plain ES module with no dependencies: it runs in Node and in the browser.
+// Rules get the password and optionally the user's email and name
+// (`userInputs`), which the API checks once it knows the account.
+import {
+  estimatePasswordStrength,
+  isCommonPassword,
+  isSimilarToPersonalInfo,
+} from "./passwordStrength.js";
+
+export const PASSWORD_MIN_LENGTH = 8;
+// bcrypt only looks at the first 72 bytes
+export const PASSWORD_MAX_BYTES = 72;
+// Lowest estimated strength (0-4) accepted for a new password
+export const PASSWORD_MIN_SCORE = 3;
+
+const PASSWORD_TOO_LONG_MESSAGE = `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+
+export const isPasswordTooLong = (password) =>
+  new TextEncoder().encode(password).length > PASSWORD_MAX_BYTES;
+
+export const PASSWORD_RULES = [
+  {
+    id: "length",
+    label: `At least ${PASSWORD_MIN_LENGTH} characters`,
+    message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+    required: true,
+    test: (password) => password.length >= PASSWORD_MIN_LENGTH,
+  },
+  {
+    id: "uppercase",
+    label: "Contains uppercase letter",
+    message: "Password must contain an uppercase letter",
+    required: true,
+    test: (password) => /[A-Z]/.test(password),
+  },
+  {
+    id: "lowercase",
+    label: "Contains lowercase letter",
+    message: "Password must contain a lowercase letter",
+    required: true,
+    test: (password) => /[a-z]/.test(password),
+  },
+  {
+    id: "number",
+    label: "Contains a number",
+    message: "Password must contain a number",
+    required: true,
+    test: (password) => /\d/.test(password),
+  },
+  {
+    id: "common",
+    label: "Not a common password",
+    message: "This password is too common, choose a less predictable one",
+    required: true,
+    test: (password) => password.length > 0 && !isCommonPassword(password),
+  },
+  {
+    id: "personal",
+    label: "Not based on your name or email",
+    message: "Password is too similar to your email or name",
+    required: true,
+    test: (password, userInputs) =>
+      password.length > 0 && !isSimilarToPersonalInfo(password, userInputs),
+  },
+  {
+    id: "strength",
+    label: "Hard to guess",
+    message:
+      "Password is too easy to guess, avoid sequences, repeats and common words",
+    required: true,
+    test: (password, userInputs) =>
+      estimatePasswordStrength(password, userInputs).score >=
+      PASSWORD_MIN_SCORE,
+  },
+  {
+    id: "special",
+    label: "Contains special character (recommended)",
+    message: "Password should contain a special character",
+    required: false,
+    test: (password) => /[^A-Za-z0-9]/.test(password),
+  },
+];
+
+// Every rule with whether the password meets it
+export const checkPassword = (password = "", userInputs = []) =>
+  PASSWORD_RULES.map(({ id, label, required, test }) => ({
+    id,
+    label,
+    required,
+    met: test(password, userInputs),
+  }));
+
+// Messages for the required rules the password breaks; empty when valid.
+// Overlong input is refused before running the (costlier) rules.
+export const validatePassword = (password = "", userInputs = []) => {
+  if (isPasswordTooLong(password)) {
+    return [PASSWORD_TOO_LONG_MESSAGE];
+  }
+  return PASSWORD_RULES.filter(
+    (rule) => rule.required && !rule.test(password, userInputs)
+  ).map((rule) => rule.message);
+};
+
+export const isPasswordValid = (password, userInputs) =>
+  validatePassword(password, userInputs).length === 0;
+
+// 0 (very weak) to 4 (strong), from the estimated number of guesses. A
+// password the server would reject never scores above "Fair".
+export const passwordStrength = (password = "", userInputs = []) => {
+  const { score } = estimatePasswordStrength(password, userInputs);
+  return isPasswordValid(password, userInputs)
+    ? score
+    : Math.min(score, PASSWORD_MIN_SCORE - 1);
+};
@@ -0,0 +1,207 @@
+// Pattern-aware password strength estimator shared by the API and the
+// frontend. It estimates how many guesses an attacker who tries common
+// passwords, personal details, sequences, keyboard walks, repeats and years
+// first would need, in the spirit of zxcvbn but small enough for the bundle.
+// Plain ES module with no dependencies: it runs in Node and in the browser.
+import { COMMON_PASSWORDS } from "./commonPasswords.js";
+
+const COMMON_RANKS = new Map(
+  COMMON_PASSWORDS.map((password, index) => [password, index + 1])
+);
+
+const LEET = {
+  4: "a",
+  "@": "a",
+  8: "b",
+  3: "e",
+  1: "i",
+  "!": "i",
+  0: "o",
+  $: "s",
+  5: "s",
+  7: "t",
+};
+
+const KEYBOARD_ROWS = ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm"];
+
+const MIN_MATCH_LENGTH = 3;
+// Longer runs are matched piecewise, which keeps the estimate cheap enough
+// to run on every keystroke
+const MAX_MATCH_LENGTH = 20;
+
+// Only the start of longer input is searched for patterns, the rest counts
+// as brute-forced characters. Accepted passwords are far shorter (72 bytes).
+const MAX_ANALYZED_LENGTH = 128;
+
+// Guesses -> score: 10^3, 10^6, 10^8 and 10^10 guesses separate the levels
+const SCORE_THRESHOLDS = [3, 6, 8, 10].map((power) => power * Math.log2(10));
+
+const unleet = (value) => [...value].map((char) => LEET[char] ?? char).join("");
+
+// Lower-case words of the user's email and name, e.g. "jane.doe@acme.io" ->
+// "jane.doe@acme.io", "jane.doe", "jane", "doe", "acme"
+const personalTokens = (userInputs = []) => {
+  const tokens = new Set();
+  for (const input of userInputs) {
+    if (!input) continue;
+    const value = String(input).toLowerCase().trim();
+    const [local, domain] = value.split("@");
+    const words = [
+      value.replace(/\s+/g, ""),
+      local,
+      local.replace(/[^a-z0-9]/g, ""),
+      ...local.split(/[^a-z0-9]+/),
+      domain?.split(".")[0],
+    ];
+    words
+      .filter((word) => word && word.length >= MIN_MATCH_LENGTH)
+      .forEach((word) => tokens.add(word));
+  }
+  return [...tokens];
+};
+
+// Upper case in an otherwise lower-case word adds a few variations, not a
+// whole new alphabet
+const caseVariations = (word) => {
+  if (word === word.toLowerCase() || word === word.toUpperCase()) {
+    return word === word.toLowerCase() ? 1 : 2;
+  }
+  return /^[A-Z][^A-Z]+$/.test(word) ? 2 : 4;
+};
+
+const isStep = (text, step) =>
+  [...text].every(
+    (char, i) => i === 0 || char.charCodeAt(0) - text.charCodeAt(i - 1) === step
+  );
+
+const isKeyboardWalk = (lower) =>
+  lower.length >= 4 &&
+  KEYBOARD_ROWS.some(
+    (row) => row.includes(lower) || [...row].reverse().join("").includes(lower)
+  );
+
+const cardinality = (password) =>
+  [
+    [/[a-z]/, 26],
+    [/[A-Z]/, 26],
+    [/[0-9]/, 10],
+    [/[^a-zA-Z0-9]/, 33],
+  ].reduce(
+    (total, [pattern, size]) => total + (pattern.test(password) ? size : 0),
+    0
+  );
+
+// Every recognizable pattern in the password as { i, j, pattern, guesses }
+const findMatches = (password, personal) => {
+  const matches = [];
+  const add = (i, j, pattern, guesses) =>
+    matches.push({ i, j, pattern, guesses: Math.max(guesses, 1) });
+
+  for (let i = 0; i < password.length; i++) {
+    const last = Math.min(password.length, i + MAX_MATCH_LENGTH) - 1;
+    for (let j = i + MIN_MATCH_LENGTH - 1; j <= last; j++) {
+      const slice = password.slice(i, j + 1);
+      const lower = slice.toLowerCase();
+      const unleeted = unleet(lower);
+      const leetFactor = unleeted === lower ? 1 : 2;
+
+      const rank = COMMON_RANKS.get(lower) ?? COMMON_RANKS.get(unleeted);
+      if (rank) {
+        add(i, j, "common", rank * caseVariations(slice) * leetFactor);
+      }
+      const personalIndex = personal.findIndex(
+        (token) => token === lower || token === unleeted
+      );
+      if (personalIndex !== -1) {
+        add(
+          i,
+          j,
+          "personal",
+          (personalIndex + 1) * caseVariations(slice) * leetFactor
+        );
+      }
+      if (isKeyboardWalk(lower)) {
+        add(i, j, "keyboard", 20 * slice.length);
+      }
+      if (/^(.)\1+$/.test(slice)) {
+        add(i, j, "repeat", cardinality(slice) * slice.length);
+      }
+      if (isStep(lower, 1) || isStep(lower, -1)) {
+        add(i, j, "sequence", (/^[a1z9]/.test(lower) ? 4 : 26) * slice.length);
+      }
+      if (/^(19|20)\d\d$/.test(slice)) {
+        add(i, j, "year", 120);
+      }
+    }
+  }
+  return matches;
+};
+
+// ====================== Estimate Password Strength ======================
+// Returns { guessesLog2, score, patterns }: score goes from 0 (too guessable)
+// to 4 (very unguessable) and patterns lists what made it guessable
+// ("common", "personal", "keyboard", "repeat", "sequence", "year").
+// `userInputs` (email, name...) are treated as the first words to try.
+export const estimatePasswordStrength = (password = "", userInputs = []) => {
+  if (!password) return { guessesLog2: 0, score: 0, patterns: [] };
+
+  const analyzed = password.slice(0, MAX_ANALYZED_LENGTH);
+  const bruteForceBits = Math.log2(cardinality(password));
+
+  // Matches grouped by the index they end at
+  const matchesByEnd = Array.from({ length: analyzed.length }, () => []);
+  for (const match of findMatches(analyzed, personalTokens(userInputs))) {
+    matchesByEnd[match.j].push(match);
+  }
+
+  // Cheapest way to cover the password with patterns and brute-forced
+  // characters; each pattern also costs a bit for where it sits
+  const best = [{ bits: 0, matches: [] }];
+  for (let end = 1; end <= analyzed.length; end++) {
+    best[end] = {
+      bits: best[end - 1].bits + bruteForceBits,
+      matches: best[end - 1].matches,
+    };
+    for (const match of matchesByEnd[end - 1]) {
+      const bits = best[match.i].bits + Math.log2(match.guesses) + 1;
+      if (bits < best[end].bits) {
+        best[end] = { bits, matches: [...best[match.i].matches, match] };
+      }
+    }
+  }
+  const { matches: used } = best[analyzed.length];
+  const bits =
+    best[analyzed.length].bits +
+    (password.length - analyzed.length) * bruteForceBits;
+
+  return {
+    guessesLog2: bits,
+    score: SCORE_THRESHOLDS.filter((threshold) => bits >= threshold).length,
+    patterns: [...new Set(used.map((match) => match.pattern))],
+  };
+};
+
+// ====================== Common Passwords ======================
+export const isCommonPassword = (password = "") => {
+  const lower = password.toLowerCase();
+  return COMMON_RANKS.has(lower) || COMMON_RANKS.has(unleet(lower));
+};
+
+// ====================== Similar To Personal Info ======================
+// True when the letters of the password are mostly the user's email or name,
+// e.g. "JaneDoe2024!" for Jane Doe. A personal word inside an otherwise
+// strong password only lowers its estimated strength.
+export const isSimilarToPersonalInfo = (password = "", userInputs = []) => {
+  const core = unleet(password.toLowerCase()).replace(/[^a-z]/g, "");
+  if (core.length < MIN_MATCH_LENGTH) return false;
+
+  return personalTokens(userInputs).some((token) => {
+    // Unleeted like the password, so "@" in an address lines up
+    const letters = unleet(token).replace(/[^a-z]/g, "");
+    if (letters.length < MIN_MATCH_LENGTH) return false;
+    return (
+      letters.includes(core) ||
+      (core.includes(letters) && letters.length * 2 >= core.length)
+    );
+  });
+};